@@ -0,0 +1,53 @@
+/**
+ * JSON File Job Store Adapter
+ *
+ * Persists jobs to a local JSON file so job history survives restarts.
+ * Writes go to a temporary file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated file behind.
+ * Follows Single Responsibility Principle (SRP) and Liskov Substitution Principle (LSP).
+ */
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+import { JobStore } from '../../core/JobStore.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger({ component: 'JsonFileJobStore' });
+
+export class JsonFileJobStore extends JobStore {
+  constructor(filePath = './data/jobs.json') {
+    super();
+    this.filePath = filePath;
+  }
+
+  async load() {
+    if (!existsSync(this.filePath)) {
+      logger.debug({ filePath: this.filePath }, 'No job store file found');
+      return [];
+    }
+
+    try {
+      const data = JSON.parse(await readFile(this.filePath, 'utf-8'));
+      logger.info({ filePath: this.filePath, count: data.jobs?.length || 0 }, 'Jobs loaded');
+      return data.jobs || [];
+    } catch (error) {
+      logger.error({ error: error.message, filePath: this.filePath }, 'Failed to load jobs');
+      throw new Error(`Failed to load jobs: ${error.message}`);
+    }
+  }
+
+  async save(jobs) {
+    try {
+      await mkdir(dirname(this.filePath), { recursive: true });
+
+      const tempPath = `${this.filePath}.tmp`;
+      await writeFile(tempPath, JSON.stringify({ jobs }, null, 2), 'utf-8');
+      await rename(tempPath, this.filePath);
+
+      logger.debug({ filePath: this.filePath, count: jobs.length }, 'Jobs saved');
+    } catch (error) {
+      logger.error({ error: error.message, filePath: this.filePath }, 'Failed to save jobs');
+      throw new Error(`Failed to save jobs: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * Memory Job Store Adapter
+ *
+ * Keeps no state outside the JobManager - jobs are lost on restart.
+ * Follows Liskov Substitution Principle (LSP).
+ */
+import { JobStore } from '../../core/JobStore.js';
+
+export class MemoryJobStore extends JobStore {
+  async load() {
+    return [];
+  }
+
+  async save() {
+    // Nothing to persist
+  }
+}
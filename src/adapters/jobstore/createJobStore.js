@@ -0,0 +1,27 @@
+/**
+ * Job Store Factory
+ *
+ * Builds the configured JobStore implementation.
+ * Follows Open/Closed Principle (OCP) and Dependency Inversion Principle (DIP).
+ */
+import { JsonFileJobStore } from './JsonFileJobStore.js';
+import { MemoryJobStore } from './MemoryJobStore.js';
+import { config } from '../../utils/config.js';
+
+/**
+ * Create a job store from configuration
+ * @param {string} store - Store name ('file' or 'memory')
+ * @returns {import('../../core/JobStore.js').JobStore}
+ */
+export function createJobStore(store = config.jobs.store) {
+  switch (store) {
+    case 'file':
+      return new JsonFileJobStore(config.jobs.storePath);
+
+    case 'memory':
+      return new MemoryJobStore();
+
+    default:
+      throw new Error(`Unknown job store: ${store}`);
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Anthropic LLM Provider
+ *
+ * Generates completions with the Anthropic Messages API.
+ * Follows Single Responsibility Principle (SRP) and Liskov Substitution Principle (LSP).
+ */
+import Anthropic from '@anthropic-ai/sdk';
+import { LlmProvider } from '../../core/LlmProvider.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger({ component: 'AnthropicProvider' });
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+export class AnthropicProvider extends LlmProvider {
+  constructor(options = {}) {
+    super();
+    this.defaultModel = options.model || DEFAULT_MODEL;
+    this.temperature = options.temperature ?? null; // Null leaves the API default
+    this.maxTokens = options.maxTokens || 4096;
+    this.anthropic = options.client || null; // Created on first use
+  }
+
+  get name() {
+    return 'anthropic';
+  }
+
+  get model() {
+    return this.defaultModel;
+  }
+
+  get client() {
+    if (!this.anthropic) {
+      this.anthropic = new Anthropic({
+        apiKey: process.env.CLAUDE_API_KEY || process.env.ANTHROPIC_API_KEY,
+      });
+    }
+    return this.anthropic;
+  }
+
+  /**
+   * Build the Messages API request body
+   */
+  buildBody({ system, messages, model, temperature, maxTokens }) {
+    const resolvedTemperature = temperature ?? this.temperature;
+
+    return {
+      model: model || this.defaultModel,
+      max_tokens: maxTokens || this.maxTokens,
+      ...(resolvedTemperature !== null && { temperature: resolvedTemperature }),
+      ...(system && { system }),
+      messages,
+    };
+  }
+
+  async generate(request) {
+    const body = this.buildBody(request);
+
+    try {
+      const message = await this.client.messages.create(body);
+
+      return {
+        text: message.content.filter(content => content.type === 'text').map(content => content.text).join(''),
+        model: message.model || body.model,
+        usage: {
+          inputTokens: message.usage?.input_tokens || 0,
+          outputTokens: message.usage?.output_tokens || 0,
+        },
+      };
+    } catch (error) {
+      logger.error({ error: error.message, model: body.model }, 'Anthropic completion failed');
+      throw new Error(`Anthropic completion failed: ${error.message}`);
+    }
+  }
+
+  async *stream(request) {
+    const body = this.buildBody(request);
+
+    let events;
+    try {
+      events = await this.client.messages.create({ ...body, stream: true });
+    } catch (error) {
+      logger.error({ error: error.message, model: body.model }, 'Anthropic stream failed');
+      throw new Error(`Anthropic completion failed: ${error.message}`);
+    }
+
+    for await (const event of events) {
+      if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        yield event.delta.text;
+      }
+    }
+  }
+}
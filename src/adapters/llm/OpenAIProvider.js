@@ -0,0 +1,93 @@
+/**
+ * OpenAI LLM Provider
+ *
+ * Generates completions with the OpenAI Chat Completions API.
+ * Follows Single Responsibility Principle (SRP) and Liskov Substitution Principle (LSP).
+ */
+import OpenAI from 'openai';
+import { LlmProvider } from '../../core/LlmProvider.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger({ component: 'OpenAIProvider' });
+
+const DEFAULT_MODEL = 'gpt-4o';
+
+export class OpenAIProvider extends LlmProvider {
+  constructor(options = {}) {
+    super();
+    this.defaultModel = options.model || DEFAULT_MODEL;
+    this.temperature = options.temperature ?? null; // Null leaves the API default
+    this.maxTokens = options.maxTokens || 4096;
+    this.openai = options.client || null; // Created on first use: the SDK throws without an API key
+  }
+
+  get name() {
+    return 'openai';
+  }
+
+  get model() {
+    return this.defaultModel;
+  }
+
+  get temperatureRange() {
+    return { min: 0, max: 2 };
+  }
+
+  get client() {
+    if (!this.openai) {
+      this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return this.openai;
+  }
+
+  /**
+   * Build the Chat Completions request body (the system prompt becomes the first message)
+   */
+  buildBody({ system, messages, model, temperature, maxTokens }) {
+    const resolvedTemperature = temperature ?? this.temperature;
+
+    return {
+      model: model || this.defaultModel,
+      max_completion_tokens: maxTokens || this.maxTokens,
+      ...(resolvedTemperature !== null && { temperature: resolvedTemperature }),
+      messages: [...(system ? [{ role: 'system', content: system }] : []), ...messages],
+    };
+  }
+
+  async generate(request) {
+    const body = this.buildBody(request);
+
+    try {
+      const completion = await this.client.chat.completions.create(body);
+
+      return {
+        text: completion.choices[0]?.message?.content || '',
+        model: completion.model || body.model,
+        usage: {
+          inputTokens: completion.usage?.prompt_tokens || 0,
+          outputTokens: completion.usage?.completion_tokens || 0,
+        },
+      };
+    } catch (error) {
+      logger.error({ error: error.message, model: body.model }, 'OpenAI completion failed');
+      throw new Error(`OpenAI completion failed: ${error.message}`);
+    }
+  }
+
+  async *stream(request) {
+    const body = this.buildBody(request);
+
+    let chunks;
+    try {
+      chunks = await this.client.chat.completions.create({ ...body, stream: true });
+    } catch (error) {
+      logger.error({ error: error.message, model: body.model }, 'OpenAI stream failed');
+      throw new Error(`OpenAI completion failed: ${error.message}`);
+    }
+
+    for await (const chunk of chunks) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Stub LLM Provider
+ *
+ * Offline, deterministic provider for development and tests: no API key, no
+ * network. It "answers" with the first sentence of each numbered source in the
+ * prompt (blocks starting with a "[n]" line), citing it as [n], so retrieval,
+ * citations and streaming can be exercised end to end. Tests can script its
+ * replies instead and inspect the requests it received.
+ * Follows Single Responsibility Principle (SRP) and Liskov Substitution Principle (LSP).
+ */
+import { LlmProvider } from '../../core/LlmProvider.js';
+
+// Sources quoted per answer
+const MAX_QUOTED_SOURCES = 3;
+
+/**
+ * Split a prompt into its numbered source blocks
+ * @returns {Array<{number: string, text: string}>}
+ */
+function parseSources(prompt) {
+  const sources = [];
+
+  for (const line of prompt.split('\n')) {
+    const marker = line.match(/^\[(\d+)\]/);
+
+    if (marker) {
+      sources.push({ number: marker[1], lines: [] });
+    } else if (sources.length > 0) {
+      sources[sources.length - 1].lines.push(line);
+    }
+  }
+
+  return sources.map(({ number, lines }) => ({ number, text: lines.join('\n') }));
+}
+
+/**
+ * First sentence of a passage, without markdown headings and code
+ */
+function firstSentence(text) {
+  const prose = text
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .split('\n')
+    .filter(line => line.trim() && !line.trim().startsWith('#'))
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return (prose.match(/^.*?[.!?](?=\s|$)/)?.[0] || prose).slice(0, 300);
+}
+
+export class StubLlmProvider extends LlmProvider {
+  /**
+   * @param {object} options
+   * @param {number} options.delayMs - Pause between streamed words (default: 0)
+   * @param {string[] | Function} options.responses - Scripted replies in call order (the last one
+   *   repeats), or a function of the request returning the reply (default: quotes the sources)
+   */
+  constructor(options = {}) {
+    super();
+    this.delayMs = options.delayMs || 0;
+    this.responses = options.responses || null;
+    this.requests = []; // Every request, oldest first
+  }
+
+  get name() {
+    return 'stub';
+  }
+
+  get model() {
+    return 'stub';
+  }
+
+  /**
+   * Get the reply to a request: the scripted one, or a quote of the sources in the prompt
+   */
+  reply(request, prompt) {
+    if (typeof this.responses === 'function') {
+      return this.responses(request);
+    }
+
+    if (this.responses?.length > 0) {
+      return this.responses[Math.min(this.requests.length - 1, this.responses.length - 1)];
+    }
+
+    const sentences = parseSources(prompt)
+      .map(({ number, text }) => ({ number, sentence: firstSentence(text) }))
+      .filter(({ sentence }) => sentence)
+      .slice(0, MAX_QUOTED_SOURCES);
+
+    return sentences.length > 0
+      ? sentences.map(({ number, sentence }) => `${sentence} [${number}]`).join('\n\n')
+      : 'The documentation does not cover this.';
+  }
+
+  async generate(request) {
+    this.requests.push(request);
+
+    const { messages } = request;
+    const prompt = messages[messages.length - 1]?.content || '';
+    const text = this.reply(request, prompt);
+
+    return {
+      text,
+      model: 'stub',
+      usage: {
+        inputTokens: Math.ceil(prompt.length / 4),
+        outputTokens: Math.ceil(text.length / 4),
+      },
+    };
+  }
+
+  async *stream(request) {
+    const { text } = await this.generate(request);
+
+    for (const word of text.match(/\S+\s*/g) || []) {
+      if (this.delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.delayMs));
+      }
+      yield word;
+    }
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * LLM Provider Factory
+ *
+ * Builds the configured LlmProvider implementation.
+ * Follows Open/Closed Principle (OCP) and Dependency Inversion Principle (DIP).
+ */
+import { AnthropicProvider } from './AnthropicProvider.js';
+import { OpenAIProvider } from './OpenAIProvider.js';
+import { StubLlmProvider } from './StubLlmProvider.js';
+import { config } from '../../utils/config.js';
+
+/**
+ * Create an LLM provider from configuration
+ * @param {string} provider - Provider name ('anthropic', 'openai' or 'stub')
+ * @param {object} options - Defaults of the provider's requests (default: configured)
+ * @param {string} options.model - Model (empty uses the provider's default)
+ * @param {number | null} options.temperature - Sampling temperature (null uses the API default)
+ * @param {number} options.maxTokens - Most tokens to generate
+ * @returns {import('../../core/LlmProvider.js').LlmProvider}
+ */
+export function createLlmProvider(provider = config.llm.provider, options = {}) {
+  const {
+    model = config.llm.model,
+    temperature = config.llm.temperature,
+    maxTokens = config.llm.maxTokens,
+  } = options;
+
+  switch (provider) {
+    case 'anthropic':
+      return new AnthropicProvider({ model, temperature, maxTokens });
+
+    case 'openai':
+      return new OpenAIProvider({ model, temperature, maxTokens });
+
+    case 'stub':
+      return new StubLlmProvider({ delayMs: config.llm.stubDelayMs });
+
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Lexical Reranker
+ *
+ * Re-scores candidates by how well the query terms match the chunk text,
+ * its heading breadcrumb and its document path. Runs offline and needs no
+ * model, so it is a cheap default second stage.
+ * Follows Single Responsibility Principle (SRP) and Liskov Substitution Principle (LSP).
+ */
+import { Reranker } from '../../core/Reranker.js';
+import { tokenize, STOP_WORDS } from '../../utils/tokenizer.js';
+
+// Weight of each signal in the final score (sums to 1)
+const WEIGHTS = {
+  text: 0.4,    // Share of query terms found in the chunk text
+  heading: 0.3, // Share of query terms found in the heading breadcrumb
+  path: 0.2,    // Share of query terms found in the document path (class names)
+  phrase: 0.1,  // Whole query appears verbatim in the text
+};
+
+export class LexicalReranker extends Reranker {
+  get name() {
+    return 'lexical';
+  }
+
+  async rerank(query, candidates) {
+    const queryTerms = [...new Set(tokenize(query))].filter(term => !STOP_WORDS.has(term));
+    const phrase = query.trim().toLowerCase();
+
+    if (queryTerms.length === 0) {
+      return candidates.map(() => 0);
+    }
+
+    const coverage = (text) => {
+      const terms = new Set(tokenize(text));
+      return queryTerms.filter(term => terms.has(term)).length / queryTerms.length;
+    };
+
+    return candidates.map(candidate => {
+      const text = candidate.text || '';
+      const { heading = '', documentPath = '' } = candidate.metadata || {};
+
+      return WEIGHTS.text * coverage(text)
+        + WEIGHTS.heading * coverage(heading)
+        + WEIGHTS.path * coverage(documentPath.replace(/\.md$/, ''))
+        + WEIGHTS.phrase * (phrase && text.toLowerCase().includes(phrase) ? 1 : 0);
+    });
+  }
+}
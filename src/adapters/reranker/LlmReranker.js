@@ -0,0 +1,70 @@
+/**
+ * LLM Reranker
+ *
+ * Asks an LLM provider to grade each candidate's relevance to the query
+ * (cross-encoder style: query and passage are judged together).
+ * Follows Single Responsibility Principle (SRP) and Liskov Substitution Principle (LSP).
+ */
+import { Reranker } from '../../core/Reranker.js';
+import { createLlmProvider } from '../llm/createLlmProvider.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger({ component: 'LlmReranker' });
+
+// Characters of each candidate sent to the model
+const MAX_PASSAGE_LENGTH = 1500;
+
+export class LlmReranker extends Reranker {
+  constructor(provider = createLlmProvider()) {
+    super();
+    this.provider = provider;
+  }
+
+  get name() {
+    return 'llm';
+  }
+
+  /**
+   * Build the grading prompt
+   */
+  buildPrompt(query, candidates) {
+    const passages = candidates
+      .map((candidate, index) => {
+        const heading = candidate.metadata?.heading || candidate.metadata?.documentPath || '';
+        return `[${index + 1}] ${heading}\n${candidate.text.slice(0, MAX_PASSAGE_LENGTH)}`;
+      })
+      .join('\n\n');
+
+    return `Grade how well each documentation passage answers the query.
+Score each passage from 0 (irrelevant) to 10 (directly answers the query).
+Reply with only a JSON array of ${candidates.length} integers, one per passage, in order.
+
+Query: ${query}
+
+Passages:
+${passages}`;
+  }
+
+  async rerank(query, candidates) {
+    if (candidates.length === 0) return [];
+
+    try {
+      const { text } = await this.provider.generate({
+        messages: [{ role: 'user', content: this.buildPrompt(query, candidates) }],
+        temperature: 0,
+        maxTokens: 20 + candidates.length * 4,
+      });
+
+      const grades = JSON.parse(text.match(/\[[\s\S]*?\]/)?.[0] || 'null');
+
+      if (!Array.isArray(grades) || grades.length !== candidates.length) {
+        throw new Error(`Expected ${candidates.length} grades, got: ${text.slice(0, 200)}`);
+      }
+
+      return grades.map(grade => Math.min(Math.max(Number(grade) || 0, 0), 10) / 10);
+    } catch (error) {
+      logger.error({ error: error.message, provider: this.provider.name, model: this.provider.model }, 'LLM reranking failed');
+      throw new Error(`LLM reranking failed: ${error.message}`);
+    }
+  }
+}
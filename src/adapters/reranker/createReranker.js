@@ -0,0 +1,32 @@
+/**
+ * Reranker Factory
+ *
+ * Builds the configured Reranker implementation.
+ * Follows Open/Closed Principle (OCP) and Dependency Inversion Principle (DIP).
+ */
+import { LexicalReranker } from './LexicalReranker.js';
+import { LlmReranker } from './LlmReranker.js';
+import { createLlmProvider } from '../llm/createLlmProvider.js';
+import { config } from '../../utils/config.js';
+
+/**
+ * Create a reranker from configuration
+ * @param {string} reranker - Reranker name ('none', 'lexical' or 'llm')
+ * @returns {import('../../core/Reranker.js').Reranker | null} Null when re-ranking is disabled
+ */
+export function createReranker(reranker = config.rerank.reranker) {
+  switch (reranker) {
+    case 'none':
+      return null;
+
+    case 'lexical':
+      return new LexicalReranker();
+
+    case 'llm':
+      // The configured LLM provider, with the re-ranking model if one is set
+      return new LlmReranker(createLlmProvider(config.llm.provider, { model: config.rerank.llmModel || undefined }));
+
+    default:
+      throw new Error(`Unknown reranker: ${reranker}`);
+  }
+}
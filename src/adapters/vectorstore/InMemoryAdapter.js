@@ -0,0 +1,537 @@
+/**
+ * In-Memory Vector Store Adapter
+ *
+ * Implements VectorStore interface without any external service.
+ * Chunks are kept in memory and scored with hashed term-frequency vectors
+ * (cosine similarity), BM25 keyword ranking or a fusion of both, so the API,
+ * MCP server and admin UI run fully offline.
+ * Optionally snapshots its contents to a JSON file so data survives restarts.
+ * Follows Single Responsibility Principle (SRP) and Liskov Substitution Principle (LSP).
+ */
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+import { VectorStore } from '../../core/VectorStore.js';
+import { createLogger } from '../../utils/logger.js';
+import { isStagingVersion } from '../../utils/staging.js';
+import { sortVersions, pickLatestVersion } from '../../utils/semver.js';
+import { isFilterExpression } from '../../utils/searchFilter.js';
+import { tokenize } from '../../utils/tokenizer.js';
+
+const logger = createLogger({ component: 'InMemoryAdapter' });
+
+// Number of buckets used for hashed term vectors
+const VECTOR_DIMENSIONS = 1024;
+
+// BM25 parameters (same defaults as Weaviate)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Hash a term into a vector bucket (FNV-1a)
+ */
+function hashTerm(term) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    hash ^= term.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % VECTOR_DIMENSIONS;
+}
+
+/**
+ * Build a sparse, L2-normalized hashed term-frequency vector
+ * @returns {Map<number, number>} bucket -> weight
+ */
+function embed(text) {
+  const vector = new Map();
+
+  for (const term of tokenize(text)) {
+    const bucket = hashTerm(term);
+    vector.set(bucket, (vector.get(bucket) || 0) + 1);
+  }
+
+  // Sub-linear TF so long chunks are not dominated by repeated words
+  let norm = 0;
+  for (const [bucket, count] of vector) {
+    const weight = 1 + Math.log(count);
+    vector.set(bucket, weight);
+    norm += weight * weight;
+  }
+
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (const [bucket, weight] of vector) {
+      vector.set(bucket, weight / norm);
+    }
+  }
+
+  return vector;
+}
+
+/**
+ * Count term frequencies for BM25 scoring
+ * @returns {{terms: Map<string, number>, length: number}}
+ */
+function countTerms(text) {
+  const terms = new Map();
+  const tokens = tokenize(text);
+  for (const term of tokens) {
+    terms.set(term, (terms.get(term) || 0) + 1);
+  }
+  return { terms, length: tokens.length };
+}
+
+/**
+ * Scale scores to 0-1 (relative score fusion, as used by Weaviate hybrid search)
+ */
+function normalizeScores(scores) {
+  const max = Math.max(...scores);
+  const min = Math.min(...scores);
+  if (max === min) return scores.map(score => (score > 0 ? 1 : 0));
+  return scores.map(score => (score - min) / (max - min));
+}
+
+/**
+ * Cosine similarity of two normalized sparse vectors (0-1)
+ */
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [bucket, weight] of small) {
+    const other = large.get(bucket);
+    if (other) dot += weight * other;
+  }
+  return dot;
+}
+
+export class InMemoryAdapter extends VectorStore {
+  constructor(options = {}) {
+    super();
+    this.persistPath = options.persistPath || null;
+    this.objects = new Map(); // id -> { id, properties, vector, terms, length }
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    logger.info({ persistPath: this.persistPath }, 'Initializing in-memory vector store');
+
+    if (this.persistPath && existsSync(this.persistPath)) {
+      try {
+        const data = JSON.parse(await readFile(this.persistPath, 'utf-8'));
+        for (const obj of data.objects || []) {
+          this.objects.set(obj.id, this._createObject(obj.id, obj.properties));
+        }
+        logger.info({ count: this.objects.size }, 'Loaded in-memory snapshot');
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to load in-memory snapshot');
+        throw new Error(`In-memory store initialization failed: ${error.message}`);
+      }
+    }
+
+    this.initialized = true;
+  }
+
+  async addDocuments(documents) {
+    logger.info({ count: documents.length }, 'Adding documents to in-memory store');
+
+    for (const doc of documents) {
+      const properties = {
+        text: doc.text,
+        version: doc.metadata.version || '',
+        path: doc.metadata.documentPath || doc.metadata.path || '',
+        product: doc.metadata.product || '',
+        framework: doc.metadata.framework || '',
+        type: doc.metadata.type || '',
+        tags: doc.metadata.tags || [],
+        heading: doc.metadata.heading || '',
+        chunkIndex: doc.metadata.chunkIndex || 0,
+        totalChunks: doc.metadata.totalChunks || 1,
+        contentHash: doc.metadata.contentHash || '',
+        startOffset: doc.metadata.startOffset ?? null,
+        endOffset: doc.metadata.endOffset ?? null,
+      };
+
+      this.objects.set(doc.id, this._createObject(doc.id, properties));
+    }
+
+    await this._persist();
+
+    for (const version of new Set(documents.map(doc => doc.metadata.version || ''))) {
+      this.notifyChange(version);
+    }
+
+    logger.info({ count: documents.length }, 'Documents added successfully');
+  }
+
+  async search(queryText, limit = 5, filter = {}, options = {}) {
+    const { mode = 'vector', alpha = 0.5, offset = 0 } = options;
+
+    logger.debug({ queryText, limit, offset, filter, mode, alpha }, 'Searching for similar documents');
+
+    const candidates = Array.from(this.objects.values())
+      .filter(obj => this._matchesFilter(obj.properties, filter));
+
+    if (candidates.length === 0) return [];
+
+    let scores;
+    if (mode === 'keyword') {
+      scores = this._bm25Scores(queryText, candidates);
+    } else if (mode === 'hybrid') {
+      // alpha 0 = pure keyword, 1 = pure vector
+      const vectorScores = normalizeScores(this._vectorScores(queryText, candidates));
+      const keywordScores = normalizeScores(this._bm25Scores(queryText, candidates));
+      scores = vectorScores.map((score, i) => alpha * score + (1 - alpha) * keywordScores[i]);
+    } else {
+      scores = this._vectorScores(queryText, candidates);
+    }
+
+    const results = candidates.map((obj, i) => ({
+      ...this._toDocument(obj),
+      score: scores[i],
+      mode, // Which search mode produced the score
+    }));
+
+    // Keyword search only returns documents that contain a query term
+    const matching = mode === 'keyword' ? results.filter(r => r.score > 0) : results;
+
+    // Ties are ordered by id so pages do not overlap
+    matching.sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1));
+
+    return matching.slice(offset, offset + limit);
+  }
+
+  async getDocument(id) {
+    logger.debug({ id }, 'Getting document by ID');
+
+    const obj = this.objects.get(id);
+    return obj ? this._toDocument(obj) : null;
+  }
+
+  /**
+   * Get all chunks for a specific document
+   */
+  async getDocumentChunks(documentPath, version) {
+    logger.debug({ documentPath, version }, 'Getting all chunks for document');
+
+    const chunks = [];
+    for (const obj of this.objects.values()) {
+      if (obj.properties.path === documentPath && obj.properties.version === version) {
+        chunks.push(this._toDocument(obj));
+      }
+    }
+
+    chunks.sort((a, b) => a.metadata.chunkIndex - b.metadata.chunkIndex);
+
+    return chunks;
+  }
+
+  /**
+   * Get the content hash of every document in a version
+   * @returns {Promise<Map<string, string>>} documentPath -> contentHash
+   */
+  async getDocumentHashes(version) {
+    const hashes = new Map();
+    for (const obj of this.objects.values()) {
+      if (obj.properties.version === version && obj.properties.chunkIndex === 0) {
+        hashes.set(obj.properties.path, obj.properties.contentHash || '');
+      }
+    }
+    return hashes;
+  }
+
+  async deleteDocuments(filter) {
+    logger.info({ filter }, 'Deleting documents');
+
+    if (!filter || Object.values(filter).every(value => value === null || value === undefined)) {
+      logger.warn('No valid filter provided for deletion');
+      return 0;
+    }
+
+    let deleted = 0;
+    for (const [id, obj] of this.objects) {
+      if (this._matchesFilter(obj.properties, filter)) {
+        this.objects.delete(id);
+        deleted++;
+      }
+    }
+
+    await this._persist();
+    this.notifyChange(typeof filter.version === 'string' ? filter.version : null);
+
+    logger.info({ filter, deleted }, 'Documents deleted');
+    return deleted;
+  }
+
+  /**
+   * Delete all documents for a specific version
+   */
+  async deleteByVersion(version) {
+    logger.info({ version }, 'Deleting documents by version');
+    await this.deleteDocuments({ version });
+  }
+
+  /**
+   * Move staged chunks into the live version
+   * Runs synchronously, so searches see either the old or the new content.
+   */
+  async promoteVersion(stagingVersion, version, { replacePaths = null } = {}) {
+    const replaced = replacePaths ? new Set(replacePaths) : null;
+    let removed = 0;
+    let promoted = 0;
+
+    for (const [id, obj] of this.objects) {
+      const { properties } = obj;
+
+      if (properties.version === version && (!replaced || replaced.has(properties.path))) {
+        this.objects.delete(id);
+        removed++;
+      } else if (properties.version === stagingVersion) {
+        properties.version = version;
+        promoted++;
+      }
+    }
+
+    await this._persist();
+    this.notifyChange(version);
+
+    logger.info({ version, promoted, removed }, 'Staged version promoted');
+  }
+
+  /**
+   * Get all unique versions
+   */
+  async getAllVersions() {
+    const versions = new Set();
+    for (const obj of this.objects.values()) {
+      if (obj.properties.version && !isStagingVersion(obj.properties.version)) {
+        versions.add(obj.properties.version);
+      }
+    }
+    return sortVersions(versions);
+  }
+
+  /**
+   * Get the latest version (newest release by semver)
+   */
+  async getLatestVersion() {
+    return pickLatestVersion(await this.getAllVersions());
+  }
+
+  /**
+   * Get all unique tags
+   */
+  async getAllTags() {
+    const tags = new Set();
+    for (const obj of this.objects.values()) {
+      obj.properties.tags.forEach(tag => tags.add(tag));
+    }
+    return Array.from(tags).sort();
+  }
+
+  /**
+   * Get total number of stored chunks
+   */
+  async getChunkCount() {
+    return this.objects.size;
+  }
+
+  /**
+   * Clear all documents from the store (full purge)
+   */
+  async clearAll() {
+    logger.warn('Clearing all documents from in-memory store');
+    this.objects.clear();
+    await this._persist();
+    this.notifyChange();
+  }
+
+  async close() {
+    logger.info('Closing in-memory vector store');
+    await this._persist();
+  }
+
+  /**
+   * Check stored properties against a simple key-value filter.
+   * Mirrors WeaviateAdapter.buildWhereFilter: field names are mapped to
+   * property names, array values match ANY, array properties match on contains
+   * and { any, all, none } objects apply tag filter semantics.
+   * @private
+   */
+  _matchesFilter(properties, filter = {}) {
+    if (isFilterExpression(filter)) {
+      return this._matchesExpression(properties, filter);
+    }
+
+    const propertyMap = {
+      documentPath: 'path',
+    };
+
+    for (const [key, value] of Object.entries(filter)) {
+      if (value === null || value === undefined) continue;
+
+      const actual = properties[propertyMap[key] || key];
+
+      // Tag filter parsed by parseTagFilter: { any, all, none }
+      if (!Array.isArray(value) && typeof value === 'object') {
+        if (!this._matchesTagFilter(actual || [], value)) return false;
+        continue;
+      }
+
+      const wanted = Array.isArray(value) ? value.map(String) : [String(value)];
+
+      if (Array.isArray(actual)) {
+        if (!wanted.some(v => actual.includes(v))) return false;
+      } else if (!wanted.includes(String(actual))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Evaluate a parsed filter expression (see searchFilter.js) against stored properties
+   * @private
+   */
+  _matchesExpression(properties, node) {
+    const actual = properties[node.field];
+
+    switch (node.op) {
+      case 'and':
+        return node.operands.every(operand => this._matchesExpression(properties, operand));
+      case 'or':
+        return node.operands.some(operand => this._matchesExpression(properties, operand));
+      case 'in':
+        return node.values.includes(actual);
+      case 'prefix':
+        return typeof actual === 'string' && actual.startsWith(node.value);
+      case 'tags':
+        return this._matchesTagFilter(actual || [], node);
+      case 'eq':
+        return actual === node.value;
+      case 'ne':
+        return actual !== node.value;
+      case 'gt':
+        return actual > node.value;
+      case 'gte':
+        return actual >= node.value;
+      case 'lt':
+        return actual < node.value;
+      case 'lte':
+        return actual <= node.value;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Match an array property against { any, all, none }
+   * @private
+   */
+  _matchesTagFilter(actual, { any = [], all = [], none = [] }) {
+    return (any.length === 0 || any.some(tag => actual.includes(tag)))
+      && all.every(tag => actual.includes(tag))
+      && !none.some(tag => actual.includes(tag));
+  }
+
+  /**
+   * Cosine similarity of the query to each candidate (0-1)
+   * @private
+   */
+  _vectorScores(queryText, candidates) {
+    const queryVector = embed(queryText);
+    return candidates.map(obj => cosine(queryVector, obj.vector));
+  }
+
+  /**
+   * BM25 score of the query for each candidate
+   * @private
+   */
+  _bm25Scores(queryText, candidates) {
+    const queryTerms = [...new Set(tokenize(queryText))];
+    const total = this.objects.size;
+
+    let totalLength = 0;
+    const documentFrequency = new Map(queryTerms.map(term => [term, 0]));
+    for (const obj of this.objects.values()) {
+      totalLength += obj.length;
+      for (const term of queryTerms) {
+        if (obj.terms.has(term)) {
+          documentFrequency.set(term, documentFrequency.get(term) + 1);
+        }
+      }
+    }
+    const averageLength = totalLength / total || 1;
+
+    return candidates.map(obj => {
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = obj.terms.get(term);
+        if (!tf) continue;
+
+        const df = documentFrequency.get(term);
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (BM25_K1 + 1)) /
+          (tf + BM25_K1 * (1 - BM25_B + BM25_B * obj.length / averageLength));
+      }
+      return score;
+    });
+  }
+
+  /**
+   * Build a stored object with its precomputed search structures
+   * @private
+   */
+  _createObject(id, properties) {
+    // Heading and path take part in keyword matching, like the Weaviate BM25 query
+    const { terms, length } = countTerms(`${properties.heading} ${properties.path} ${properties.text}`);
+    return { id, properties, vector: embed(properties.text), terms, length };
+  }
+
+  /**
+   * Transform a stored object into the shape returned by WeaviateAdapter
+   * @private
+   */
+  _toDocument(obj) {
+    const p = obj.properties;
+    return {
+      id: obj.id,
+      text: p.text,
+      metadata: {
+        version: p.version,
+        documentPath: p.path,
+        path: p.path,
+        product: p.product,
+        framework: p.framework,
+        type: p.type,
+        tags: p.tags || [],
+        heading: p.heading,
+        chunkIndex: p.chunkIndex,
+        totalChunks: p.totalChunks,
+        contentHash: p.contentHash || '',
+        startOffset: p.startOffset ?? null,
+        endOffset: p.endOffset ?? null,
+      },
+    };
+  }
+
+  /**
+   * Write a JSON snapshot if a persist path is configured
+   * @private
+   */
+  async _persist() {
+    // Never overwrite a snapshot that was not loaded yet
+    if (!this.persistPath || !this.initialized) return;
+
+    try {
+      await mkdir(dirname(this.persistPath), { recursive: true });
+      const objects = Array.from(this.objects.values()).map(({ id, properties }) => ({ id, properties }));
+      await writeFile(this.persistPath, JSON.stringify({ objects }), 'utf-8');
+    } catch (error) {
+      logger.error({ error: error.message, persistPath: this.persistPath }, 'Failed to persist in-memory store');
+    }
+  }
+}
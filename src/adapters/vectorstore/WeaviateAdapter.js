@@ -7,9 +7,186 @@
 import weaviate from 'weaviate-ts-client';
 import { VectorStore } from '../../core/VectorStore.js';
 import { createLogger } from '../../utils/logger.js';
+import { isStagingVersion } from '../../utils/staging.js';
+import { sortVersions, pickLatestVersion } from '../../utils/semver.js';
+import { isFilterExpression } from '../../utils/searchFilter.js';
 
 const logger = createLogger({ component: 'WeaviateAdapter' });
 
+// Objects per batch request when promoting staged chunks or migrating the schema
+const WRITE_BATCH_SIZE = 100;
+const DELETE_ID_BATCH_SIZE = 100;
+
+// Vectorizer module of the class; properties can opt out of its embedding input
+const VECTORIZER = 'text2vec-openai';
+
+// Objects per page when scanning the whole class with the cursor API
+const SCAN_PAGE_SIZE = 1000;
+
+// Most objects a filtered query can page through (Weaviate's default QUERY_MAXIMUM_RESULTS)
+const QUERY_MAXIMUM_RESULTS = 10000;
+
+// Filter expression comparisons -> Weaviate where operators
+const COMPARISON_OPERATORS = {
+  eq: 'Equal',
+  ne: 'NotEqual',
+  gt: 'GreaterThan',
+  gte: 'GreaterThanEqual',
+  lt: 'LessThan',
+  lte: 'LessThanEqual',
+};
+
+// Properties stored for every chunk
+const SCHEMA_PROPERTIES = [
+  {
+    name: 'text',
+    dataType: ['text'],
+    description: 'The document chunk text',
+  },
+  {
+    name: 'version',
+    dataType: ['text'],
+    description: 'Documentation version (e.g., 6.0.0)',
+    // Matched as a whole value, and not embedded: promotion rewrites it without re-embedding
+    tokenization: 'field',
+    moduleConfig: { [VECTORIZER]: { skip: true } },
+  },
+  {
+    name: 'path',
+    dataType: ['text'],
+    description: 'File path in docs repo',
+  },
+  {
+    name: 'pathKeyword',
+    dataType: ['text'],
+    description: 'Copy of path matched as a whole value, for exact and prefix filters',
+    // path keeps word tokenization so keyword search matches parts of it
+    tokenization: 'field',
+    indexSearchable: false,
+    moduleConfig: { [VECTORIZER]: { skip: true } },
+  },
+  {
+    name: 'product',
+    dataType: ['text'],
+    description: 'Product name (grid, scheduler, gantt, etc.)',
+  },
+  {
+    name: 'framework',
+    dataType: ['text'],
+    description: 'Framework (react, angular, vue, vanilla)',
+  },
+  {
+    name: 'type',
+    dataType: ['text'],
+    description: 'Document type (guide, api, example, concept)',
+  },
+  {
+    name: 'tags',
+    dataType: ['text[]'],
+    description: 'Auto-generated tags from path',
+  },
+  {
+    name: 'heading',
+    dataType: ['text'],
+    description: 'Section heading if available',
+  },
+  {
+    name: 'chunkIndex',
+    dataType: ['int'],
+    description: 'Chunk index in document',
+  },
+  {
+    name: 'totalChunks',
+    dataType: ['int'],
+    description: 'Total chunks in document',
+  },
+  {
+    name: 'contentHash',
+    dataType: ['text'],
+    description: 'Hash of the source document content and chunking settings',
+  },
+  {
+    name: 'startOffset',
+    dataType: ['int'],
+    description: 'Start character offset of the chunk in the source document',
+  },
+  {
+    name: 'endOffset',
+    dataType: ['int'],
+    description: 'End character offset of the chunk in the source document',
+  },
+];
+
+// GraphQL fields for all stored properties
+const PROPERTY_FIELDS = SCHEMA_PROPERTIES.map(p => p.name).join(' ');
+
+// Properties filled from other properties; classes created without them are migrated
+const DERIVED_PROPERTIES = ['pathKeyword'];
+
+// Filter fields matched on another property
+const FILTER_PROPERTIES = {
+  path: 'pathKeyword',
+  documentPath: 'pathKeyword',
+};
+
+/**
+ * Add the properties derived from other properties
+ */
+function withDerivedProperties(properties) {
+  return { ...properties, pathKeyword: properties.path };
+}
+
+/**
+ * Get the property a filter field is matched on
+ */
+function filterProperty(field) {
+  return FILTER_PROPERTIES[field] || field;
+}
+
+/**
+ * Whether an existing property differs from its definition in settings
+ * Weaviate cannot change in place (tokenization, vectorizer input)
+ */
+function isOutdatedProperty(existing, property) {
+  return (property.tokenization !== undefined && existing.tokenization !== property.tokenization) ||
+    (property.moduleConfig?.[VECTORIZER]?.skip === true && existing.moduleConfig?.[VECTORIZER]?.skip !== true);
+}
+
+/**
+ * Build a batch object from a queried object, keeping its id and vector
+ * @param {string} className - Class to write to
+ * @param {object} obj - Queried properties with `_additional { id vector }`
+ * @param {object} properties - Properties to overwrite
+ */
+function toStoredObject(className, obj, properties = {}) {
+  const { _additional: { id, vector }, ...stored } = obj;
+  const merged = Object.entries(withDerivedProperties({ ...stored, ...properties }))
+    .filter(([, value]) => value !== null && value !== undefined);
+
+  return { class: className, id, vector, properties: Object.fromEntries(merged) };
+}
+
+/**
+ * Map stored Weaviate properties to chunk metadata
+ */
+function toMetadata(properties) {
+  return {
+    version: properties.version,
+    documentPath: properties.path,
+    path: properties.path,
+    product: properties.product,
+    framework: properties.framework,
+    type: properties.type,
+    tags: properties.tags || [],
+    heading: properties.heading,
+    chunkIndex: properties.chunkIndex,
+    totalChunks: properties.totalChunks,
+    contentHash: properties.contentHash || '',
+    startOffset: properties.startOffset ?? null,
+    endOffset: properties.endOffset ?? null,
+  };
+}
+
 export class WeaviateAdapter extends VectorStore {
   constructor(host, port = 1900, className = 'Document') {
     super();
@@ -54,81 +231,27 @@ export class WeaviateAdapter extends VectorStore {
     try {
       // Check if class exists
       const schema = await this.client.schema.getter().do();
-      const classExists = schema.classes?.some(c => c.class === this.className);
+      const existing = schema.classes?.find(c => c.class === this.className);
+      const migrating = schema.classes?.some(c => c.class === this.migrationClassName);
 
-      if (classExists) {
-        logger.info({ className: this.className }, 'Schema already exists');
+      if (migrating) {
+        logger.warn({ className: this.className }, 'Resuming interrupted schema migration');
+        await this.rebuildClass(existing, { resume: true });
         return;
       }
 
-      // Create new class
-      const classObj = {
-        class: this.className,
-        description: 'Bryntum documentation chunks',
-        vectorizer: 'text2vec-openai',
-        moduleConfig: {
-          'text2vec-openai': {
-            model: 'text-embedding-3-small',
-            dimensions: 1536,
-            type: 'text',
-            vectorizeClassName: false,
-          },
-        },
-        properties: [
-          {
-            name: 'text',
-            dataType: ['text'],
-            description: 'The document chunk text',
-          },
-          {
-            name: 'version',
-            dataType: ['text'],
-            description: 'Documentation version (e.g., 6.0.0)',
-          },
-          {
-            name: 'path',
-            dataType: ['text'],
-            description: 'File path in docs repo',
-          },
-          {
-            name: 'product',
-            dataType: ['text'],
-            description: 'Product name (grid, scheduler, gantt, etc.)',
-          },
-          {
-            name: 'framework',
-            dataType: ['text'],
-            description: 'Framework (react, angular, vue, vanilla)',
-          },
-          {
-            name: 'type',
-            dataType: ['text'],
-            description: 'Document type (guide, api, example, concept)',
-          },
-          {
-            name: 'tags',
-            dataType: ['text[]'],
-            description: 'Auto-generated tags from path',
-          },
-          {
-            name: 'heading',
-            dataType: ['text'],
-            description: 'Section heading if available',
-          },
-          {
-            name: 'chunkIndex',
-            dataType: ['int'],
-            description: 'Chunk index in document',
-          },
-          {
-            name: 'totalChunks',
-            dataType: ['int'],
-            description: 'Total chunks in document',
-          },
-        ],
-      };
+      if (existing) {
+        logger.info({ className: this.className }, 'Schema already exists');
+
+        if (this.isOutdatedClass(existing)) {
+          await this.rebuildClass(existing);
+        } else {
+          await this.addMissingProperties(existing);
+        }
+        return;
+      }
 
-      await this.client.schema.classCreator().withClass(classObj).do();
+      await this.createClass(this.className);
 
       logger.info({ className: this.className }, 'Schema created successfully');
     } catch (error) {
@@ -137,6 +260,145 @@ export class WeaviateAdapter extends VectorStore {
     }
   }
 
+  /**
+   * Create a class holding documentation chunks
+   */
+  async createClass(className) {
+    const classObj = {
+      class: className,
+      description: 'Bryntum documentation chunks',
+      vectorizer: VECTORIZER,
+      moduleConfig: {
+        [VECTORIZER]: {
+          model: 'text-embedding-3-small',
+          dimensions: 1536,
+          type: 'text',
+          vectorizeClassName: false,
+        },
+      },
+      properties: SCHEMA_PROPERTIES,
+    };
+
+    await this.client.schema.classCreator().withClass(classObj).do();
+  }
+
+  /**
+   * Temporary class holding the objects while the class is rebuilt
+   */
+  get migrationClassName() {
+    return `${this.className}Migration`;
+  }
+
+  /**
+   * Whether the class has properties whose settings changed since it was created,
+   * or lacks derived properties that must be filled for existing objects
+   */
+  isOutdatedClass(classSchema) {
+    const existing = new Map((classSchema.properties || []).map(p => [p.name, p]));
+
+    return DERIVED_PROPERTIES.some(name => !existing.has(name)) || SCHEMA_PROPERTIES.some(property =>
+      existing.has(property.name) && isOutdatedProperty(existing.get(property.name), property)
+    );
+  }
+
+  /**
+   * Recreate the class with the current schema (schema migration)
+   * Tokenization and vectorizer settings of a property cannot be changed in
+   * place. Objects are copied to a temporary class with their vectors, so
+   * nothing is re-embedded, and copied back once the class is recreated.
+   * An interrupted migration resumes from the temporary class.
+   * @param {object | undefined} classSchema - Current schema of the class, if it exists
+   * @param {object} options
+   * @param {boolean} options.resume - The temporary class exists from an interrupted migration
+   */
+  async rebuildClass(classSchema, { resume = false } = {}) {
+    const migrationClass = this.migrationClassName;
+    const copying = classSchema && this.isOutdatedClass(classSchema);
+
+    logger.warn({ className: this.className }, 'Migrating schema, copying all objects');
+
+    if (!classSchema || copying) {
+      if (copying) {
+        if (resume) {
+          // The class was not deleted yet: start over, the copy may be partial
+          await this.client.schema.classDeleter().withClassName(migrationClass).do();
+        }
+
+        await this.createClass(migrationClass);
+        await this.copyObjects(this.className, migrationClass, classSchema.properties.map(p => p.name));
+        await this.client.schema.classDeleter().withClassName(this.className).do();
+      }
+
+      await this.createClass(this.className);
+    }
+
+    // Upserts by id, so copying again after an interruption is safe
+    await this.copyObjects(migrationClass, this.className, SCHEMA_PROPERTIES.map(p => p.name));
+    await this.client.schema.classDeleter().withClassName(migrationClass).do();
+
+    this.versionsCache = null;
+    logger.info({ className: this.className }, 'Schema migrated');
+  }
+
+  /**
+   * Copy every object of a class to another one, with its vector
+   * @param {string[]} propertyNames - Properties of the source class
+   */
+  async copyObjects(fromClass, toClass, propertyNames) {
+    let batch = [];
+    let copied = 0;
+
+    for await (const obj of this.scanObjects(propertyNames.join(' '), { className: fromClass, vector: true })) {
+      batch.push(toStoredObject(toClass, obj));
+
+      if (batch.length >= WRITE_BATCH_SIZE) {
+        await this.writeBatch(batch);
+        copied += batch.length;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await this.writeBatch(batch);
+      copied += batch.length;
+    }
+
+    logger.info({ fromClass, toClass, copied }, 'Objects copied');
+  }
+
+  /**
+   * Write objects in one batch request
+   * @throws {Error} When Weaviate rejects any of the objects
+   */
+  async writeBatch(objects) {
+    const results = await objects
+      .reduce((batcher, obj) => batcher.withObject(obj), this.client.batch.objectsBatcher())
+      .do();
+
+    const failed = results.find(result => result.result?.errors?.error?.length > 0);
+    if (failed) {
+      throw new Error(`Batch write failed: ${failed.result.errors.error[0].message}`);
+    }
+  }
+
+  /**
+   * Add properties introduced after the class was created (schema migration)
+   */
+  async addMissingProperties(classSchema) {
+    const existing = new Set((classSchema.properties || []).map(p => p.name));
+    const missing = SCHEMA_PROPERTIES.filter(p => !existing.has(p.name));
+
+    for (const property of missing) {
+      await this.client.schema
+        .propertyCreator()
+        .withClassName(this.className)
+        .withProperty(property)
+        .do();
+
+      logger.info({ className: this.className, property: property.name }, 'Added missing schema property');
+    }
+  }
+
   async addDocuments(documents) {
     try {
       logger.info({ count: documents.length }, 'Adding documents to Weaviate');
@@ -148,7 +410,7 @@ export class WeaviateAdapter extends VectorStore {
       for (const doc of documents) {
         const obj = {
           class: this.className,
-          properties: {
+          properties: withDerivedProperties({
             text: doc.text,
             version: doc.metadata.version || '',
             path: doc.metadata.documentPath || doc.metadata.path || '',
@@ -159,7 +421,12 @@ export class WeaviateAdapter extends VectorStore {
             heading: doc.metadata.heading || '',
             chunkIndex: doc.metadata.chunkIndex || 0,
             totalChunks: doc.metadata.totalChunks || 1,
-          },
+            contentHash: doc.metadata.contentHash || '',
+            ...(Number.isInteger(doc.metadata.startOffset) && {
+              startOffset: doc.metadata.startOffset,
+              endOffset: doc.metadata.endOffset,
+            }),
+          }),
           // No vector - Weaviate generates it automatically via text2vec-openai
           id: doc.id, // Use provided ID
         };
@@ -183,6 +450,10 @@ export class WeaviateAdapter extends VectorStore {
       // Invalidate versions cache
       this.versionsCache = null;
 
+      for (const version of new Set(documents.map(doc => doc.metadata.version || ''))) {
+        this.notifyChange(version);
+      }
+
       logger.info({ count: documents.length }, 'Documents added successfully');
     } catch (error) {
       logger.error({ error: error.message }, 'Failed to add documents');
@@ -190,24 +461,52 @@ export class WeaviateAdapter extends VectorStore {
     }
   }
 
-  async search(queryText, limit = 5, filter = {}) {
+  /**
+   * Search documents
+   * @param {string} queryText - Search query
+   * @param {number} limit - Maximum number of results
+   * @param {object} filter - Metadata filters
+   * @param {object} options - { mode: 'vector' | 'hybrid' | 'keyword', alpha: number, offset: number }
+   */
+  async search(queryText, limit = 5, filter = {}, options = {}) {
+    const { mode = 'vector', alpha = 0.5, offset = 0 } = options;
+
     try {
-      logger.debug({ queryText, limit, filter }, 'Searching for similar documents');
+      logger.debug({ queryText, limit, offset, filter, mode, alpha }, 'Searching for similar documents');
 
-      // Build nearText query - Weaviate generates embedding automatically
       let query = this.client.graphql
         .get()
-        .withClassName(this.className)
-        .withFields('text version path product framework type tags heading chunkIndex totalChunks _additional { id distance certainty }')
-        .withNearText({
-          concepts: [queryText],
-          // Automatically filter out low-quality results
-          // autocut: 1 = more aggressive filtering (only high certainty)
-          // autocut: 2 = balanced filtering
-          // autocut: 3 = less aggressive (more permissive)
-        })
-        .withAutocut(2)
-        .withLimit(limit);
+        .withClassName(this.className);
+
+      if (mode === 'hybrid') {
+        // BM25 + vector fusion - alpha 0 = pure keyword, 1 = pure vector
+        query = query
+          .withFields(`${PROPERTY_FIELDS} _additional { id score }`)
+          .withHybrid({ query: queryText, alpha });
+      } else if (mode === 'keyword') {
+        // Pure BM25 - best for exact API names like DomHelper.createElement
+        query = query
+          .withFields(`${PROPERTY_FIELDS} _additional { id score }`)
+          .withBm25({ query: queryText, properties: ['text', 'heading', 'path'] });
+      } else {
+        // nearText - Weaviate generates embedding automatically
+        query = query
+          .withFields(`${PROPERTY_FIELDS} _additional { id distance certainty }`)
+          .withNearText({ concepts: [queryText] });
+      }
+
+      if (offset > 0) {
+        // Later pages continue the ranking of the first one
+        query = query.withOffset(offset);
+      } else {
+        // Automatically filter out low-quality results
+        // autocut: 1 = more aggressive filtering (only high certainty)
+        // autocut: 2 = balanced filtering
+        // autocut: 3 = less aggressive (more permissive)
+        query = query.withAutocut(2);
+      }
+
+      query = query.withLimit(limit);
 
       // Apply filters
       if (Object.keys(filter).length > 0) {
@@ -224,78 +523,116 @@ export class WeaviateAdapter extends VectorStore {
 
       // Debug: log first result to see what Weaviate returns
       if (objects.length > 0) {
-        logger.info({ first_result_additional: objects[0]._additional }, 'Weaviate response debug');
+        logger.debug({ first_result_additional: objects[0]._additional, mode }, 'Weaviate response debug');
       }
 
       const results = objects.map(obj => {
-        // nearText returns certainty (0-1 where 1 is best match) and distance
-        // Use certainty as score for consistency
-        const score = parseFloat(obj._additional.certainty) || 0;
-
-        logger.debug({ score, certainty: obj._additional.certainty, distance: obj._additional.distance, path: obj.path }, 'nearText search score');
+        // nearText returns certainty (0-1 where 1 is best match),
+        // hybrid returns a fused score (0-1) and bm25 an unbounded BM25 score
+        const score = mode === 'vector'
+          ? parseFloat(obj._additional.certainty) || 0
+          : parseFloat(obj._additional.score) || 0;
 
         return {
           id: obj._additional.id,
           text: obj.text,
-          score, // 0-1 where 1 is best match
-          metadata: {
-            version: obj.version,
-            documentPath: obj.path,
-            path: obj.path,
-            product: obj.product,
-            framework: obj.framework,
-            type: obj.type,
-            tags: obj.tags || [],
-            heading: obj.heading,
-            chunkIndex: obj.chunkIndex,
-            totalChunks: obj.totalChunks,
-          },
+          score,
+          mode, // Which search mode produced the score
+          metadata: toMetadata(obj),
         };
       });
 
       return results;
     } catch (error) {
-      logger.error({ error: error.message }, 'Search failed');
+      logger.error({ error: error.message, mode }, 'Search failed');
       throw new Error(`Search failed: ${error.message}`);
     }
   }
 
   /**
-   * Build Weaviate where filter from simple key-value object
+   * Build where conditions for an array property from { any, all, none }
+   * NotEqual on an array property matches objects that do not contain the value.
+   */
+  buildTagConditions(property, { any = [], all = [], none = [] }) {
+    const conditions = [];
+
+    if (any.length > 0) {
+      conditions.push({ path: [property], operator: 'ContainsAny', valueTextArray: any });
+    }
+
+    if (all.length > 0) {
+      conditions.push({ path: [property], operator: 'ContainsAll', valueTextArray: all });
+    }
+
+    for (const tag of none) {
+      conditions.push({ path: [property], operator: 'NotEqual', valueText: tag });
+    }
+
+    return conditions;
+  }
+
+  /**
+   * Build Weaviate where filter from a parsed filter expression (see searchFilter.js)
+   */
+  buildExpressionFilter(node) {
+    switch (node.op) {
+      case 'and':
+      case 'or':
+        return {
+          operator: node.op === 'and' ? 'And' : 'Or',
+          operands: node.operands.map(operand => this.buildExpressionFilter(operand)),
+        };
+
+      case 'in':
+        return {
+          operator: 'Or',
+          operands: node.values.map(value => this.buildExpressionFilter({ op: 'eq', field: node.field, value })),
+        };
+
+      case 'prefix':
+        return { path: [filterProperty(node.field)], operator: 'Like', valueText: `${node.value}*` };
+
+      case 'tags': {
+        const conditions = this.buildTagConditions(node.field, node);
+        return conditions.length === 1 ? conditions[0] : { operator: 'And', operands: conditions };
+      }
+
+      default:
+        return {
+          path: [filterProperty(node.field)],
+          operator: COMPARISON_OPERATORS[node.op],
+          [typeof node.value === 'number' ? 'valueInt' : 'valueText']: node.value,
+        };
+    }
+  }
+
+  /**
+   * Build Weaviate where filter from simple key-value object or a parsed filter expression
    */
   buildWhereFilter(filter) {
+    if (isFilterExpression(filter)) {
+      return this.buildExpressionFilter(filter);
+    }
+
     const conditions = [];
 
     for (const [key, value] of Object.entries(filter)) {
       if (value === null || value === undefined) continue;
 
-      // Map our field names to Weaviate schema property names
-      const propertyMap = {
-        version: 'version',
-        documentPath: 'path',
-        path: 'path',
-        product: 'product',
-        framework: 'framework',
-        type: 'type',
-      };
-
-      const property = propertyMap[key] || key;
+      const property = filterProperty(key);
 
-      // Handle arrays (like tags)
+      // Handle arrays (like tags): documents that contain ANY of the values
       if (Array.isArray(value)) {
-        // For array filters, we want documents that contain ANY of the values
-        const tagConditions = value.map(tag => ({
-          path: [property],
-          operator: 'Equal',
-          valueText: tag,
-        }));
-
-        if (tagConditions.length > 0) {
+        if (value.length > 0) {
           conditions.push({
-            operator: 'Or',
-            operands: tagConditions,
+            path: [property],
+            operator: 'ContainsAny',
+            valueTextArray: value.map(String),
           });
         }
+      } else if (typeof value === 'object') {
+        // Tag filter parsed by parseTagFilter: { any, all, none }
+        conditions.push(...this.buildTagConditions(property, value));
       } else {
         conditions.push({
           path: [property],
@@ -332,18 +669,7 @@ export class WeaviateAdapter extends VectorStore {
       return {
         id: result.id,
         text: result.properties.text,
-        metadata: {
-          version: result.properties.version,
-          documentPath: result.properties.path,
-          path: result.properties.path,
-          product: result.properties.product,
-          framework: result.properties.framework,
-          type: result.properties.type,
-          tags: result.properties.tags || [],
-          heading: result.properties.heading,
-          chunkIndex: result.properties.chunkIndex,
-          totalChunks: result.properties.totalChunks,
-        },
+        metadata: toMetadata(result.properties),
       };
     } catch (error) {
       logger.error({ error: error.message, id }, 'Failed to get document');
@@ -362,7 +688,7 @@ export class WeaviateAdapter extends VectorStore {
         operator: 'And',
         operands: [
           {
-            path: ['path'],
+            path: ['pathKeyword'],
             operator: 'Equal',
             valueText: documentPath,
           },
@@ -377,7 +703,7 @@ export class WeaviateAdapter extends VectorStore {
       const result = await this.client.graphql
         .get()
         .withClassName(this.className)
-        .withFields('text version path product framework type tags heading chunkIndex totalChunks _additional { id }')
+        .withFields(`${PROPERTY_FIELDS} _additional { id }`)
         .withWhere(whereFilter)
         .withLimit(10000) // Get all chunks
         .do();
@@ -388,18 +714,7 @@ export class WeaviateAdapter extends VectorStore {
       const chunks = objects.map(obj => ({
         id: obj._additional.id,
         text: obj.text,
-        metadata: {
-          version: obj.version,
-          documentPath: obj.path,
-          path: obj.path,
-          product: obj.product,
-          framework: obj.framework,
-          type: obj.type,
-          tags: obj.tags || [],
-          heading: obj.heading,
-          chunkIndex: obj.chunkIndex,
-          totalChunks: obj.totalChunks,
-        },
+        metadata: toMetadata(obj),
       }));
 
       // Sort by chunkIndex
@@ -414,6 +729,32 @@ export class WeaviateAdapter extends VectorStore {
     }
   }
 
+  /**
+   * Get the content hash of every document in a version
+   * @returns {Promise<Map<string, string>>} documentPath -> contentHash
+   */
+  async getDocumentHashes(version) {
+    try {
+      logger.debug({ version }, 'Getting document hashes');
+
+      // Every chunk is read: an interrupted promotion can leave chunks of the
+      // previous content next to the new ones, and such documents must be
+      // re-indexed, so they get an empty hash
+      const hashes = new Map();
+      for (const obj of await this.getVersionObjects(version, 'path contentHash')) {
+        const hash = obj.contentHash || '';
+        hashes.set(obj.path, hashes.has(obj.path) && hashes.get(obj.path) !== hash ? '' : hash);
+      }
+
+      logger.debug({ version, documentCount: hashes.size }, 'Retrieved document hashes');
+
+      return hashes;
+    } catch (error) {
+      logger.error({ error: error.message, version }, 'Failed to get document hashes');
+      throw new Error(`Failed to get document hashes: ${error.message}`);
+    }
+  }
+
   async deleteDocuments(filter) {
     try {
       logger.info({ filter }, 'Deleting documents');
@@ -425,23 +766,42 @@ export class WeaviateAdapter extends VectorStore {
         return 0;
       }
 
-      await this.client.batch
-        .objectsBatchDeleter()
-        .withClassName(this.className)
-        .withWhere(whereFilter)
-        .do();
+      const deleted = await this.deleteWhere(whereFilter);
 
       // Invalidate cache
       this.versionsCache = null;
+      this.notifyChange(typeof filter.version === 'string' ? filter.version : null);
 
-      logger.info({ filter }, 'Documents deleted');
-      return 0; // Weaviate doesn't return count
+      logger.info({ filter, deleted }, 'Documents deleted');
+      return deleted;
     } catch (error) {
       logger.error({ error: error.message }, 'Failed to delete documents');
       throw new Error(`Failed to delete documents: ${error.message}`);
     }
   }
 
+  /**
+   * Delete every object matching a where filter
+   * A batch delete removes at most QUERY_MAXIMUM_RESULTS objects, so it is
+   * repeated until nothing is left.
+   * @returns {Promise<number>} Number of deleted objects
+   */
+  async deleteWhere(whereFilter) {
+    let deleted = 0;
+
+    for (;;) {
+      const { results = {} } = await this.client.batch
+        .objectsBatchDeleter()
+        .withClassName(this.className)
+        .withWhere(whereFilter)
+        .do();
+
+      deleted += results.successful || 0;
+
+      if (!results.successful || results.matches < results.limit) return deleted;
+    }
+  }
+
   /**
    * Delete all documents for a specific version
    */
@@ -458,6 +818,174 @@ export class WeaviateAdapter extends VectorStore {
     }
   }
 
+  /**
+   * Move staged chunks into the live version
+   * Weaviate cannot relabel or swap objects atomically, so the staged chunks
+   * are rewritten under the live version in batches first, keeping their
+   * vectors so nothing is re-embedded, and the replaced live chunks are
+   * deleted last. Until then a replaced document can show up twice, but it is
+   * never missing. When relabelling fails the promoted chunks are deleted
+   * again, leaving the live version as it was.
+   */
+  async promoteVersion(stagingVersion, version, { replacePaths = null } = {}) {
+    try {
+      logger.info({ stagingVersion, version }, 'Promoting staged version');
+
+      // Collected before relabelling, which moves the staged chunks into the same version
+      const replaced = replacePaths ? new Set(replacePaths) : null;
+      const staleIds = (await this.getObjectRefs(version))
+        .filter(obj => !replaced || replaced.has(obj.path))
+        .map(obj => obj.id);
+
+      // Relabelled chunks no longer match, so the next batch is always the first page
+      const promotedIds = new Set();
+
+      try {
+        for (;;) {
+          const result = await this.client.graphql
+            .get()
+            .withClassName(this.className)
+            .withFields(`${PROPERTY_FIELDS} _additional { id vector }`)
+            .withWhere({ path: ['version'], operator: 'Equal', valueText: stagingVersion })
+            .withLimit(WRITE_BATCH_SIZE)
+            .do();
+
+          const objects = result.data?.Get?.[this.className] || [];
+          if (objects.length === 0) break;
+
+          if (objects.some(obj => promotedIds.has(obj._additional.id))) {
+            throw new Error('Relabelled chunks are still staged');
+          }
+
+          // Added before writing: a failed batch may still have relabelled some objects
+          objects.forEach(obj => promotedIds.add(obj._additional.id));
+          await this.writeBatch(objects.map(obj => toStoredObject(this.className, obj, { version })));
+        }
+      } catch (error) {
+        await this.rollbackPromotion([...promotedIds], version);
+        throw error;
+      }
+
+      await this.deleteIds(staleIds);
+
+      // Invalidate cache
+      this.versionsCache = null;
+      this.notifyChange(version);
+
+      logger.info({ version, promoted: promotedIds.size, removed: staleIds.length }, 'Staged version promoted');
+    } catch (error) {
+      logger.error({ error: error.message, version }, 'Failed to promote staged version');
+      throw new Error(`Failed to promote staged version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete the chunks a failed promotion already moved into the live version
+   * If this fails too, the live version keeps both copies of those documents;
+   * their chunks then disagree on the content hash, so the next run re-indexes them.
+   */
+  async rollbackPromotion(promotedIds, version) {
+    try {
+      await this.deleteIds(promotedIds);
+      logger.warn({ version, rolledBack: promotedIds.length }, 'Promotion rolled back');
+    } catch (error) {
+      logger.error({ error: error.message, version }, 'Failed to roll back promotion');
+    }
+  }
+
+  /**
+   * Delete objects by id
+   */
+  async deleteIds(ids) {
+    for (let i = 0; i < ids.length; i += DELETE_ID_BATCH_SIZE) {
+      await this.deleteWhere({
+        path: ['id'],
+        operator: 'ContainsAny',
+        valueTextArray: ids.slice(i, i + DELETE_ID_BATCH_SIZE),
+      });
+    }
+  }
+
+  /**
+   * Get the id and path of every chunk in a version
+   */
+  async getObjectRefs(version) {
+    const objects = await this.getVersionObjects(version, 'path');
+    return objects.map(obj => ({ id: obj._additional.id, path: obj.path }));
+  }
+
+  /**
+   * Get every object of a version
+   * A filtered query pages with an offset, which Weaviate caps at
+   * QUERY_MAXIMUM_RESULTS, so larger versions fall back to scanning the class.
+   * @param {string} fields - GraphQL fields to fetch (`_additional { id }` is always added)
+   * @returns {Promise<Array<object>>}
+   */
+  async getVersionObjects(version, fields) {
+    const objects = [];
+
+    for (let offset = 0; offset < QUERY_MAXIMUM_RESULTS; offset += SCAN_PAGE_SIZE) {
+      const result = await this.client.graphql
+        .get()
+        .withClassName(this.className)
+        .withFields(`${fields} _additional { id }`)
+        .withWhere({ path: ['version'], operator: 'Equal', valueText: version })
+        .withLimit(SCAN_PAGE_SIZE)
+        .withOffset(offset)
+        .do();
+
+      const page = result.data?.Get?.[this.className] || [];
+      objects.push(...page);
+
+      if (page.length < SCAN_PAGE_SIZE) return objects;
+    }
+
+    logger.debug({ version }, 'Version exceeds the query limit, scanning the class');
+
+    const scanned = [];
+    for await (const obj of this.scanObjects(`version ${fields}`)) {
+      if (obj.version === version) {
+        scanned.push(obj);
+      }
+    }
+    return scanned;
+  }
+
+  /**
+   * Iterate over every object of the class, page by page
+   * A single query returns at most QUERY_MAXIMUM_RESULTS objects (10000 by
+   * default), so scans follow the cursor API instead. The cursor cannot be
+   * combined with a where filter: callers filter the objects themselves.
+   * @param {string} fields - GraphQL fields to fetch (`_additional { id }` is always added)
+   * @param {object} options
+   * @param {string} options.className - Class to scan (default: the adapter's class)
+   * @param {boolean} options.vector - Also fetch `_additional { vector }`
+   * @returns {AsyncGenerator<object>}
+   */
+  async *scanObjects(fields, { className = this.className, vector = false } = {}) {
+    let after = null;
+
+    for (;;) {
+      let query = this.client.graphql
+        .get()
+        .withClassName(className)
+        .withFields(`${fields} _additional { id${vector ? ' vector' : ''} }`)
+        .withLimit(SCAN_PAGE_SIZE);
+
+      if (after) {
+        query = query.withAfter(after);
+      }
+
+      const result = await query.do();
+      const objects = result.data?.Get?.[className] || [];
+
+      yield* objects;
+
+      if (objects.length < SCAN_PAGE_SIZE) return;
+      after = objects[objects.length - 1]._additional.id;
+    }
+  }
+
   /**
    * Get all unique versions (with caching)
    */
@@ -472,25 +1000,16 @@ export class WeaviateAdapter extends VectorStore {
 
       logger.debug('Getting all versions from database');
 
-      // Get all documents and extract unique versions
-      // We use a limit high enough to get all documents
-      const result = await this.client.graphql
-        .get()
-        .withClassName(this.className)
-        .withFields('version')
-        .withLimit(10000)
-        .do();
-
+      // Scan all documents and extract unique versions
       const versions = new Set();
-      const objects = result.data?.Get?.[this.className] || [];
 
-      for (const obj of objects) {
-        if (obj.version) {
+      for await (const obj of this.scanObjects('version')) {
+        if (obj.version && !isStagingVersion(obj.version)) {
           versions.add(obj.version);
         }
       }
 
-      const versionList = Array.from(versions).sort();
+      const versionList = sortVersions(versions);
 
       // Update cache
       this.versionsCache = versionList;
@@ -506,7 +1025,7 @@ export class WeaviateAdapter extends VectorStore {
   }
 
   /**
-   * Get the latest version (highest version string)
+   * Get the latest version (newest release by semver)
    */
   async getLatestVersion() {
     try {
@@ -516,7 +1035,8 @@ export class WeaviateAdapter extends VectorStore {
         return null;
       }
 
-      const latest = versions[versions.length - 1];
+      // Newest release; prereleases only count when nothing else is indexed
+      const latest = pickLatestVersion(versions);
       logger.debug({ latestVersion: latest }, 'Found latest version');
 
       return latest;
@@ -533,18 +1053,10 @@ export class WeaviateAdapter extends VectorStore {
     try {
       logger.debug('Getting all tags from database');
 
-      // Query with large limit to get all documents
-      const result = await this.client.graphql
-        .get()
-        .withClassName(this.className)
-        .withFields('tags')
-        .withLimit(10000)
-        .do();
-
+      // Scan all documents and collect their tags
       const tags = new Set();
-      const objects = result.data?.Get?.[this.className] || [];
 
-      for (const obj of objects) {
+      for await (const obj of this.scanObjects('tags')) {
         if (obj.tags && Array.isArray(obj.tags)) {
           obj.tags.forEach(tag => tags.add(tag));
         }
@@ -560,6 +1072,24 @@ export class WeaviateAdapter extends VectorStore {
     }
   }
 
+  /**
+   * Get total number of stored chunks
+   */
+  async getChunkCount() {
+    try {
+      const result = await this.client.graphql
+        .aggregate()
+        .withClassName(this.className)
+        .withFields('meta { count }')
+        .do();
+
+      return result.data?.Aggregate?.[this.className]?.[0]?.meta?.count || 0;
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to count chunks');
+      throw new Error(`Failed to count chunks: ${error.message}`);
+    }
+  }
+
   /**
    * Clear all documents from the database (full purge)
    */
@@ -576,6 +1106,7 @@ export class WeaviateAdapter extends VectorStore {
       // Invalidate caches
       this.versionsCache = null;
       this.versionsCacheTime = null;
+      this.notifyChange();
 
       logger.info('All documents cleared successfully');
     } catch (error) {
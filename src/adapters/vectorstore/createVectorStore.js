@@ -0,0 +1,33 @@
+/**
+ * Vector Store Factory
+ *
+ * Builds the configured VectorStore implementation.
+ * Follows Open/Closed Principle (OCP) and Dependency Inversion Principle (DIP).
+ */
+import { WeaviateAdapter } from './WeaviateAdapter.js';
+import { InMemoryAdapter } from './InMemoryAdapter.js';
+import { config } from '../../utils/config.js';
+
+/**
+ * Create a vector store from configuration
+ * @param {string} adapter - Adapter name ('weaviate' or 'memory')
+ * @returns {import('../../core/VectorStore.js').VectorStore}
+ */
+export function createVectorStore(adapter = config.vectorStore.adapter) {
+  switch (adapter) {
+    case 'weaviate':
+      return new WeaviateAdapter(
+        config.weaviate.host,
+        config.weaviate.port,
+        config.weaviate.className
+      );
+
+    case 'memory':
+      return new InMemoryAdapter({
+        persistPath: config.memory.persistPath || null,
+      });
+
+    default:
+      throw new Error(`Unknown vector store adapter: ${adapter}`);
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Analytics Route
+ *
+ * GET /analytics/searches - Search totals, top, zero-result and slow queries, and searches per client
+ * GET /analytics/searches/recent - Latest searches, newest first
+ * DELETE /analytics/searches - Clear the search log
+ */
+
+import { searchAnalyticsService } from '../../services/SearchAnalyticsService.js';
+
+// Most rows returned per list
+const MAX_ANALYTICS_LIMIT = 200;
+
+/**
+ * Parse the shared query parameters
+ * @returns {{hours: number | undefined, source: string | undefined, limit: number} | {error: string}}
+ */
+function parseQuery({ hours, source, limit }, defaultLimit) {
+  const parsedHours = hours === undefined ? undefined : Number(hours);
+  if (parsedHours !== undefined && (Number.isNaN(parsedHours) || parsedHours <= 0)) {
+    return { error: 'Hours must be a positive number' };
+  }
+
+  const parsedLimit = limit === undefined ? defaultLimit : Number(limit);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_ANALYTICS_LIMIT) {
+    return { error: `Limit must be between 1 and ${MAX_ANALYTICS_LIMIT}` };
+  }
+
+  return { hours: parsedHours, source: source || undefined, limit: parsedLimit };
+}
+
+export default async function analyticsRoutes(fastify) {
+  /**
+   * Summarize searches
+   *
+   * Query:
+   *   - hours: number (optional, only searches of the last hours, default: all)
+   *   - source: string (optional, only searches from 'rest', 'mcp-jsonrpc', 'mcp-sse', 'generate' or 'ask')
+   *   - limit: number (optional, default: 10, rows per list)
+   */
+  fastify.get('/searches', async (request, reply) => {
+    try {
+      const options = parseQuery(request.query, 10);
+
+      if (options.error) {
+        return reply.code(400).send({ error: options.error });
+      }
+
+      return searchAnalyticsService.getSummary(options);
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to get search analytics');
+
+      return reply.code(500).send({
+        error: 'Failed to get search analytics',
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * Get the latest searches
+   *
+   * Query: hours, source (see above) and limit (optional, default: 50)
+   */
+  fastify.get('/searches/recent', async (request, reply) => {
+    try {
+      const { error, limit, ...filters } = parseQuery(request.query, 50);
+
+      if (error) {
+        return reply.code(400).send({ error });
+      }
+
+      const searches = searchAnalyticsService.getRecent(limit, filters);
+
+      return {
+        searches,
+        count: searches.length,
+      };
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to get recent searches');
+
+      return reply.code(500).send({
+        error: 'Failed to get recent searches',
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * Clear the search log
+   */
+  fastify.delete('/searches', async (request, reply) => {
+    try {
+      await searchAnalyticsService.clear();
+
+      return {
+        success: true,
+        message: 'Search analytics cleared',
+      };
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to clear search analytics');
+
+      return reply.code(500).send({
+        error: 'Failed to clear search analytics',
+        message: error.message,
+      });
+    }
+  });
+}
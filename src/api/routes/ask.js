@@ -0,0 +1,161 @@
+/**
+ * Ask Route
+ *
+ * POST /ask - Answer a question from the documentation, citing the chunks it used
+ *             (pass `stream: true` to get the answer as server-sent events)
+ */
+
+import { AnswerService, MAX_ASK_CONTEXT } from '../../services/AnswerService.js';
+import { SEARCH_MODES } from '../../services/QueryService.js';
+import { config } from '../../utils/config.js';
+import { InvalidFilterError } from '../../utils/searchFilter.js';
+import { getRequestClient } from '../../services/SearchAnalyticsService.js';
+import { validateLlmOptions } from '../../utils/llmOptions.js';
+
+/**
+ * Write one server-sent event
+ */
+function writeEvent(raw, { type, ...data }) {
+  raw.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export default async function askRoutes(fastify) {
+  const answerService = new AnswerService(fastify.queryService, fastify.llmProvider);
+
+  /**
+   * Answer a question
+   *
+   * Body:
+   *   - question: string (required)
+   *   - limit: number (optional, default: 6, chunks retrieved as context, 1-20)
+   *   - version: string (optional, version or alias, defaults to latest)
+   *   - filter, tags, mode: search options (see POST /search)
+   *   - model: string (optional, LLM model, defaults to the configured one)
+   *   - temperature: number (optional, 0-1, or 0-2 with OpenAI, defaults to the configured one)
+   *   - maxTokens: number (optional, most tokens of the answer, default: 1024)
+   *   - stream: boolean (optional, default: false, stream the answer as server-sent events:
+   *     `sources`, then `delta` for every piece of the answer, then `done` or `error`)
+   */
+  fastify.post('/', async (request, reply) => {
+    let events = null;
+
+    try {
+      const {
+        question,
+        limit = config.ask.contextResults,
+        version,
+        filter = {},
+        tags,
+        mode = config.search.defaultMode,
+        model,
+        temperature,
+        maxTokens,
+        stream = false,
+      } = request.body || {};
+
+      if (!question || typeof question !== 'string') {
+        return reply.code(400).send({
+          error: 'Question is required and must be a string',
+        });
+      }
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ASK_CONTEXT) {
+        return reply.code(400).send({
+          error: `Limit must be between 1 and ${MAX_ASK_CONTEXT}`,
+        });
+      }
+
+      if (!SEARCH_MODES.includes(mode)) {
+        return reply.code(400).send({
+          error: `Mode must be one of: ${SEARCH_MODES.join(', ')}`,
+        });
+      }
+
+      const llmError = validateLlmOptions({ model, temperature, maxTokens }, fastify.llmProvider);
+      if (llmError) {
+        return reply.code(400).send({
+          error: llmError,
+        });
+      }
+
+      if (typeof stream !== 'boolean') {
+        return reply.code(400).send({
+          error: 'Stream must be a boolean',
+        });
+      }
+
+      const options = {
+        limit,
+        version,
+        filter,
+        tags,
+        mode,
+        model,
+        temperature,
+        maxTokens,
+        client: getRequestClient('ask', request),
+      };
+
+      if (!stream) {
+        return await answerService.answer(question, options);
+      }
+
+      // Stop generating when the client goes away (the request body is already read,
+      // so only the response reports the disconnect)
+      let closed = false;
+      reply.raw.on('close', () => {
+        closed = true;
+      });
+
+      // Retrieve before the headers are sent, so bad filters still get a 400
+      events = answerService.answerStream(question, options);
+      const first = await events.next();
+
+      reply.hijack();
+
+      if (closed) {
+        await events.return();
+        return;
+      }
+
+      reply.raw.writeHead(200, {
+        ...reply.getHeaders(),
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+
+      writeEvent(reply.raw, first.value);
+
+      try {
+        // Leaving the loop returns the generator, which stops the provider stream
+        for await (const event of events) {
+          if (closed) break;
+          writeEvent(reply.raw, event);
+        }
+      } catch (error) {
+        fastify.log.error({ error: error.message }, 'Streaming answer failed');
+        writeEvent(reply.raw, { type: 'error', error: 'Failed to answer question', message: error.message });
+      }
+
+      reply.raw.end();
+
+    } catch (error) {
+      await events?.return();
+
+      // Malformed filters are reported by the query service
+      if (error instanceof InvalidFilterError) {
+        return reply.code(400).send({
+          error: error.message,
+        });
+      }
+
+      fastify.log.error({ error: error.message }, 'Failed to answer question');
+
+      return reply.code(500).send({
+        error: 'Failed to answer question',
+        message: error.message,
+      });
+    }
+  });
+}
@@ -3,8 +3,12 @@
  *
  * GET /doc/:id - Get a specific document by ID
  * GET /doc/full/:path - Get all chunks for a document by path
+ * GET /doc/:id/context - Get a chunk with its neighbouring chunks
  */
 
+import { stitchChunks } from '../../utils/chunker.js';
+import { MAX_CONTEXT_WINDOW } from '../../services/QueryService.js';
+
 export default async function documentRoutes(fastify) {
   /**
    * Get all chunks for a full document by path (download as file)
@@ -28,7 +32,9 @@ export default async function documentRoutes(fastify) {
 
       fastify.log.info({ documentPath, version }, 'Getting full document');
 
-      const chunks = await fastify.vectorStore.getDocumentChunks(documentPath, version);
+      // Accept aliases such as latest/stable/next
+      const resolvedVersion = await fastify.queryService.resolveVersion(version);
+      const chunks = await fastify.vectorStore.getDocumentChunks(documentPath, resolvedVersion);
 
       if (!chunks || chunks.length === 0) {
         return reply.code(404).send({
@@ -38,11 +44,11 @@ export default async function documentRoutes(fastify) {
         });
       }
 
-      // Reconstruct full document text
-      const fullText = chunks.map(chunk => {
-        const heading = chunk.metadata.heading ? `\n\n## ${chunk.metadata.heading}\n\n` : '';
-        return heading + chunk.text;
-      }).join('\n\n');
+      // Reconstruct the original document from chunk offsets
+      const fullText = stitchChunks(chunks.map(chunk => ({
+        text: chunk.text,
+        start: chunk.metadata.startOffset,
+      })));
 
       // Extract filename from path
       const filename = documentPath.split('/').pop() || 'document.md';
@@ -63,6 +69,41 @@ export default async function documentRoutes(fastify) {
     }
   });
 
+  /**
+   * Get a chunk with up to ?window=N chunks before and after it (default: 1)
+   */
+  fastify.get('/:id/context', async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const window = request.query.window === undefined ? 1 : Number(request.query.window);
+
+      if (!Number.isInteger(window) || window < 0 || window > MAX_CONTEXT_WINDOW) {
+        return reply.code(400).send({
+          error: `Window must be an integer between 0 and ${MAX_CONTEXT_WINDOW}`,
+        });
+      }
+
+      const context = await fastify.queryService.getChunkContext(id, window);
+
+      if (!context) {
+        return reply.code(404).send({
+          error: 'Document not found',
+          id,
+        });
+      }
+
+      return context;
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to get chunk context');
+
+      return reply.code(500).send({
+        error: 'Failed to get chunk context',
+        message: error.message,
+      });
+    }
+  });
+
   /**
    * Get document/chunk by ID
    * Add ?download=true to download as file
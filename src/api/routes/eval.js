@@ -0,0 +1,256 @@
+/**
+ * Eval Route
+ *
+ * POST /eval - Run a golden query set and report recall@k, MRR and nDCG
+ * GET /eval/golden - List the golden sets of the golden set directory
+ * GET /eval/reports - List saved reports, newest first
+ * GET /eval/reports/:id - Get a saved report
+ */
+
+import { EvalService, InvalidGoldenSetError, MAX_EVAL_K } from '../../services/EvalService.js';
+import { SEARCH_MODES } from '../../services/QueryService.js';
+import { config } from '../../utils/config.js';
+import { InvalidFilterError } from '../../utils/searchFilter.js';
+
+export default async function evalRoutes(fastify) {
+  const evalService = new EvalService(fastify.queryService);
+
+  /**
+   * Run an eval
+   *
+   * Body:
+   *   - golden: string (name of a golden set in eval/golden) or goldenSet: object (inline golden set)
+   *   - version: string (optional, version or alias, defaults to latest)
+   *   - k: number (optional, default: 10, results scored per query, 1-50)
+   *   - mode, alpha, expand, rerank, feedback, collapse, diversity: search options (see POST /search)
+   *   - label: string (optional, describes the run, e.g. "chunk size 4000")
+   *   - baseline: string (optional, id of a saved report to compare with)
+   *   - save: boolean (optional, default: true, save the report to data/eval)
+   */
+  fastify.post('/', async (request, reply) => {
+    try {
+      const {
+        golden,
+        goldenSet,
+        version,
+        k = 10,
+        mode = config.search.defaultMode,
+        alpha = config.search.hybridAlpha,
+        expand = true,
+        rerank = true,
+        feedback = true,
+        collapse = false,
+        diversity = 0,
+        label = null,
+        baseline,
+        save = true,
+      } = request.body || {};
+
+      if ((golden === undefined) === (goldenSet === undefined)) {
+        return reply.code(400).send({
+          error: 'Provide either golden (a golden set name) or goldenSet (an inline golden set)',
+        });
+      }
+
+      if (!Number.isInteger(k) || k < 1 || k > MAX_EVAL_K) {
+        return reply.code(400).send({
+          error: `K must be an integer between 1 and ${MAX_EVAL_K}`,
+        });
+      }
+
+      if (!SEARCH_MODES.includes(mode)) {
+        return reply.code(400).send({
+          error: `Mode must be one of: ${SEARCH_MODES.join(', ')}`,
+        });
+      }
+
+      if (typeof alpha !== 'number' || alpha < 0 || alpha > 1) {
+        return reply.code(400).send({
+          error: 'Alpha must be a number between 0 and 1',
+        });
+      }
+
+      if (typeof expand !== 'boolean') {
+        return reply.code(400).send({
+          error: 'Expand must be a boolean',
+        });
+      }
+
+      if (typeof rerank !== 'boolean') {
+        return reply.code(400).send({
+          error: 'Rerank must be a boolean',
+        });
+      }
+
+      if (typeof feedback !== 'boolean') {
+        return reply.code(400).send({
+          error: 'Feedback must be a boolean',
+        });
+      }
+
+      if (typeof collapse !== 'boolean') {
+        return reply.code(400).send({
+          error: 'Collapse must be a boolean',
+        });
+      }
+
+      if (typeof save !== 'boolean') {
+        return reply.code(400).send({
+          error: 'Save must be a boolean',
+        });
+      }
+
+      if (typeof diversity !== 'number' || diversity < 0 || diversity > 1) {
+        return reply.code(400).send({
+          error: 'Diversity must be a number between 0 and 1',
+        });
+      }
+
+      if (label !== null && typeof label !== 'string') {
+        return reply.code(400).send({
+          error: 'Label must be a string',
+        });
+      }
+
+      const set = golden !== undefined
+        ? await evalService.getGoldenSet(String(golden))
+        : goldenSet;
+
+      if (!set) {
+        return reply.code(404).send({
+          error: 'Golden set not found',
+          golden,
+        });
+      }
+
+      const baselineReport = baseline ? await evalService.getReport(String(baseline)) : null;
+
+      if (baseline && !baselineReport) {
+        return reply.code(404).send({
+          error: 'Baseline report not found',
+          baseline,
+        });
+      }
+
+      const versions = await fastify.vectorStore.getAllVersions();
+      const resolvedVersion = await fastify.queryService.resolveVersion(version);
+
+      if (!versions.includes(resolvedVersion)) {
+        return reply.code(404).send({
+          error: 'Version not found',
+          version: resolvedVersion || version,
+        });
+      }
+
+      const report = await evalService.runEval(set, {
+        version: resolvedVersion,
+        k,
+        mode,
+        alpha,
+        expand,
+        rerank,
+        feedback,
+        collapse,
+        diversity,
+        label,
+      });
+
+      if (save) {
+        await evalService.saveReport(report);
+      }
+
+      return {
+        ...report,
+        saved: save,
+        ...(baselineReport && { comparison: evalService.compareReports(baselineReport, report) }),
+      };
+
+    } catch (error) {
+      if (error instanceof InvalidGoldenSetError || error instanceof InvalidFilterError) {
+        return reply.code(400).send({
+          error: error.message,
+        });
+      }
+
+      fastify.log.error({ error: error.message }, 'Eval failed');
+
+      return reply.code(500).send({
+        error: 'Eval failed',
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * List golden sets
+   */
+  fastify.get('/golden', async (request, reply) => {
+    try {
+      const goldenSets = await evalService.listGoldenSets();
+
+      return {
+        goldenSets,
+        count: goldenSets.length,
+      };
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to list golden sets');
+
+      return reply.code(500).send({
+        error: 'Failed to list golden sets',
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * List saved reports
+   *
+   * Query:
+   *   - golden: string (optional, only reports of this golden set)
+   */
+  fastify.get('/reports', async (request, reply) => {
+    try {
+      const reports = await evalService.listReports(request.query.golden);
+
+      return {
+        reports,
+        count: reports.length,
+      };
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to list eval reports');
+
+      return reply.code(500).send({
+        error: 'Failed to list eval reports',
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * Get a saved report
+   */
+  fastify.get('/reports/:id', async (request, reply) => {
+    try {
+      const report = await evalService.getReport(request.params.id);
+
+      if (!report) {
+        return reply.code(404).send({
+          error: 'Report not found',
+          id: request.params.id,
+        });
+      }
+
+      return report;
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to get eval report');
+
+      return reply.code(500).send({
+        error: 'Failed to get eval report',
+        message: error.message,
+      });
+    }
+  });
+}
@@ -1,10 +1,11 @@
 /**
  * Code Generation Routes (with MCP-powered documentation)
  *
- * Uses Claude API with MCP search for intelligent code generation
+ * Uses the configured LLM provider with MCP search for intelligent code generation
  */
-import Anthropic from '@anthropic-ai/sdk';
 import { createLogger } from '../../utils/logger.js';
+import { getRequestClient } from '../../services/SearchAnalyticsService.js';
+import { validateLlmOptions } from '../../utils/llmOptions.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -15,11 +16,6 @@ const logger = createLogger({ component: 'GenerateRoutes' });
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY || process.env.ANTHROPIC_API_KEY,
-});
-
 // Load prompt template once at startup
 let promptTemplate = null;
 async function loadPromptTemplate() {
@@ -35,18 +31,21 @@ async function loadPromptTemplate() {
  * Register code generation routes
  */
 export default async function generateRoutes(fastify, options) {
-  const { queryService } = fastify;
+  const { queryService, llmProvider } = fastify;
 
   // Load template at startup
   await loadPromptTemplate();
 
   /**
    * POST /api/generate-grid
-   * Generate Bryntum Grid code using Claude with MCP documentation search
+   * Generate Bryntum Grid code using the LLM provider with MCP documentation search
+   *
+   * Body: prompt, files, availableComponents, and optionally model, temperature (0-1, 0-2 with OpenAI)
+   * and maxTokens (default: configured) for the LLM
    */
   fastify.post('/generate-grid', async (request, reply) => {
     try {
-      const { prompt, files, availableComponents } = request.body;
+      const { prompt, files, availableComponents, model, temperature, maxTokens } = request.body;
 
       if (!prompt) {
         return reply.code(400).send({ error: 'Prompt is required' });
@@ -56,6 +55,11 @@ export default async function generateRoutes(fastify, options) {
         return reply.code(400).send({ error: 'Files object is required' });
       }
 
+      const llmError = validateLlmOptions({ model, temperature, maxTokens }, llmProvider);
+      if (llmError) {
+        return reply.code(400).send({ error: llmError });
+      }
+
       const demoJs = files['demo.js'] || '';
       const dataJson = files['data.json'] || '[]';
       const styleCSS = files['style.css'] || '';
@@ -66,6 +70,7 @@ export default async function generateRoutes(fastify, options) {
       // Step 1: Search for relevant documentation using MCP (no product filter - all components)
       const searchResults = await queryService.search(prompt, {
         limit: 3,
+        client: getRequestClient('generate', request),
       });
 
       // Format documentation for prompt
@@ -107,15 +112,16 @@ ${styleCSS}
         },
       ];
 
-      // Step 4: Call Claude API
-      const message = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 4096,
-        messages: messages,
+      // Step 4: Call the LLM provider
+      const completion = await llmProvider.generate({
+        messages,
+        model,
+        temperature,
+        maxTokens,
       });
 
       // Step 5: Extract code from response
-      let rawResponse = message.content.find((content) => content.type === 'text')?.text || '';
+      let rawResponse = completion.text;
 
       // Parse tagged files from response
       const extractFile = (text, filename) => {
@@ -179,11 +185,12 @@ ${styleCSS}
           })),
           docsContext: docsContext,
           fullPrompt: messages[0].content,
-          claudeModel: 'claude-sonnet-4-20250514',
+          provider: llmProvider.name,
+          model: completion.model,
           rawResponse: rawResponse,
           tokensUsed: {
-            input: message.usage?.input_tokens || 0,
-            output: message.usage?.output_tokens || 0,
+            input: completion.usage.inputTokens,
+            output: completion.usage.outputTokens,
           },
         },
       });
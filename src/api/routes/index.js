@@ -2,22 +2,37 @@
  * Index Route
  *
  * POST /index - Index documents from uploaded zip file (returns jobId immediately)
+ *               Fields: file, version, chunkStrategy (optional: 'size' | 'markdown')
  * GET /index/:jobId - Get indexing job status
+ * DELETE /index/:jobId - Cancel a running job and roll back its partial version
+ * POST /index/:jobId/retry - Re-run a failed or interrupted job from its retained upload
  */
 
 import { pipeline } from 'stream/promises';
-import { createWriteStream } from 'fs';
+import { createWriteStream, existsSync } from 'fs';
 import { mkdir, unlink } from 'fs/promises';
 import { join } from 'path';
 import { nanoid } from 'nanoid';
 import { ZipSource } from '../../adapters/sources/ZipSource.js';
-import { DocumentProcessor } from '../../services/DocumentProcessor.js';
-import { IndexService } from '../../services/IndexService.js';
-import { jobManager } from '../../services/JobManager.js';
+import { DocumentProcessor, CHUNK_STRATEGIES } from '../../services/DocumentProcessor.js';
+import { IndexService, IndexCancelledError } from '../../services/IndexService.js';
+import { jobManager, JobConflictError } from '../../services/JobManager.js';
 import { versionMetadataService } from '../../services/VersionMetadataService.js';
+import { synonymService } from '../../services/SynonymService.js';
 import { config } from '../../utils/config.js';
 
+// Job statuses that can be re-run from their retained upload
+const RETRYABLE_STATUSES = ['failed', 'interrupted'];
+
 export default async function indexRoutes(fastify) {
+  // Delete retained uploads of jobs that drop out of the job history
+  jobManager.on('removed', (job) => {
+    if (job.metadata?.tempFilePath) {
+      unlink(job.metadata.tempFilePath).catch(() => {});
+    }
+  });
+  jobManager.cleanup();
+
   /**
    * Index documents from uploaded zip (background job)
    */
@@ -33,6 +48,7 @@ export default async function indexRoutes(fastify) {
       const parts = request.parts();
       let fileData = null;
       let version = null;
+      let chunkStrategy = config.chunking.strategy;
 
       // Process all parts - must consume all to avoid hanging
       for await (const part of parts) {
@@ -46,6 +62,8 @@ export default async function indexRoutes(fastify) {
           // It's a field
           if (part.fieldname === 'version') {
             version = part.value;
+          } else if (part.fieldname === 'chunkStrategy' && part.value) {
+            chunkStrategy = part.value;
           }
         }
       }
@@ -67,6 +85,13 @@ export default async function indexRoutes(fastify) {
         });
       }
 
+      if (!CHUNK_STRATEGIES.includes(chunkStrategy)) {
+        await unlink(tempFilePath).catch(() => {});
+        return reply.code(400).send({
+          error: `chunkStrategy must be one of: ${CHUNK_STRATEGIES.join(', ')}`,
+        });
+      }
+
       // Validate file type
       if (!fileData.filename.endsWith('.zip')) {
         // Cleanup temp file
@@ -76,7 +101,7 @@ export default async function indexRoutes(fastify) {
         });
       }
 
-      fastify.log.info({ uploadId, filename: fileData.filename, version }, 'File uploaded');
+      fastify.log.info({ uploadId, filename: fileData.filename, version, chunkStrategy }, 'File uploaded');
 
       // Create a job
       const jobId = jobManager.createJob('index', {
@@ -84,6 +109,7 @@ export default async function indexRoutes(fastify) {
         filename: fileData.filename,
         tempFilePath,
         version,
+        chunkStrategy,
       });
 
       jobManager.updateJob(jobId, {
@@ -95,7 +121,7 @@ export default async function indexRoutes(fastify) {
       });
 
       // Start indexing in background (don't await)
-      runIndexingJob(jobId, tempFilePath, version, fastify).catch((error) => {
+      runIndexingJob(jobId, tempFilePath, version, { chunkStrategy }, fastify).catch((error) => {
         fastify.log.error({ jobId, error: error.message }, 'Background indexing failed');
       });
 
@@ -105,17 +131,25 @@ export default async function indexRoutes(fastify) {
         uploadId,
         filename: fileData.filename,
         version,
+        chunkStrategy,
         message: 'Indexing job started. Use jobId to track progress via WebSocket.',
       });
 
     } catch (error) {
-      fastify.log.error({ error: error.message, uploadId }, 'Upload failed');
-
       // Cleanup temp file on error
       if (tempFilePath) {
         await unlink(tempFilePath).catch(() => {});
       }
 
+      if (error instanceof JobConflictError) {
+        return reply.code(409).send({
+          error: error.message,
+          jobId: error.jobId,
+        });
+      }
+
+      fastify.log.error({ error: error.message, uploadId }, 'Upload failed');
+
       return reply.code(500).send({
         error: 'Upload failed',
         message: error.message,
@@ -139,6 +173,88 @@ export default async function indexRoutes(fastify) {
     return job;
   });
 
+  /**
+   * Cancel a running job
+   */
+  fastify.delete('/:jobId', async (request, reply) => {
+    const { jobId } = request.params;
+    const job = jobManager.getJob(jobId);
+
+    if (!job) {
+      return reply.code(404).send({
+        error: 'Job not found',
+      });
+    }
+
+    if (!jobManager.requestCancel(jobId)) {
+      return reply.code(409).send({
+        error: `Job is not running (status: ${job.status})`,
+      });
+    }
+
+    return reply.code(202).send({
+      jobId,
+      status: 'cancelling',
+      message: 'Cancellation requested. The job stops after the current batch and rolls back.',
+    });
+  });
+
+  /**
+   * Retry a failed job
+   */
+  fastify.post('/:jobId/retry', async (request, reply) => {
+    const { jobId } = request.params;
+    const job = jobManager.getJob(jobId);
+
+    if (!job) {
+      return reply.code(404).send({
+        error: 'Job not found',
+      });
+    }
+
+    if (!RETRYABLE_STATUSES.includes(job.status)) {
+      return reply.code(409).send({
+        error: `Only failed or interrupted jobs can be retried (status: ${job.status})`,
+      });
+    }
+
+    const { tempFilePath, version, chunkStrategy } = job.metadata;
+
+    if (!tempFilePath || !existsSync(tempFilePath)) {
+      return reply.code(410).send({
+        error: 'Upload is no longer available',
+        message: 'Upload the archive again to re-index this version',
+      });
+    }
+
+    fastify.log.info({ jobId, version }, 'Retrying indexing job');
+
+    try {
+      jobManager.requeueJob(jobId);
+    } catch (error) {
+      if (error instanceof JobConflictError) {
+        return reply.code(409).send({
+          error: error.message,
+          jobId: error.jobId,
+        });
+      }
+      throw error;
+    }
+
+    // Start indexing in background (don't await)
+    runIndexingJob(jobId, tempFilePath, version, { chunkStrategy }, fastify).catch((error) => {
+      fastify.log.error({ jobId, error: error.message }, 'Background indexing failed');
+    });
+
+    return reply.code(202).send({
+      jobId,
+      version,
+      chunkStrategy,
+      retries: jobManager.getJob(jobId).retries,
+      message: 'Indexing job restarted. Use jobId to track progress via WebSocket.',
+    });
+  });
+
   /**
    * Get all jobs
    */
@@ -177,17 +293,17 @@ export default async function indexRoutes(fastify) {
 /**
  * Run indexing job in background
  */
-async function runIndexingJob(jobId, tempFilePath, version, fastify) {
+async function runIndexingJob(jobId, tempFilePath, version, options, fastify) {
   const startTime = Date.now();
 
   try {
-    jobManager.startJob(jobId);
+    const signal = jobManager.startJob(jobId);
 
     // Create document source from zip
     const documentSource = new ZipSource(tempFilePath);
 
     // Create services
-    const documentProcessor = new DocumentProcessor();
+    const documentProcessor = new DocumentProcessor({ chunkStrategy: options.chunkStrategy });
     const indexService = new IndexService(
       documentSource,
       documentProcessor,
@@ -199,6 +315,7 @@ async function runIndexingJob(jobId, tempFilePath, version, fastify) {
       version,
       batchSize: 50,
       clearExisting: false,
+      signal,
       onProgress: (progress) => {
         jobManager.updateJob(jobId, {
           ...progress,
@@ -212,6 +329,7 @@ async function runIndexingJob(jobId, tempFilePath, version, fastify) {
     jobManager.completeJob(jobId, {
       ...result,
       version,
+      chunkStrategy: options.chunkStrategy,
       durationMs: duration,
     });
 
@@ -224,18 +342,28 @@ async function runIndexingJob(jobId, tempFilePath, version, fastify) {
       fastify.log.error({ error: error.message, version }, 'Failed to generate metadata');
     }
 
+    // Seed the query expansion dictionary from the API class names
+    await synonymService.generateSynonyms(version, fastify.vectorStore);
+
     // Cleanup temp file
     await unlink(tempFilePath).catch(() => {});
 
     fastify.log.info({ jobId, version, ...result, duration }, 'Indexing job completed');
 
   } catch (error) {
+    if (error instanceof IndexCancelledError) {
+      fastify.log.warn({ jobId, version }, 'Indexing job cancelled');
+
+      jobManager.cancelJob(jobId);
+
+      // Cancelled uploads are not retried
+      await unlink(tempFilePath).catch(() => {});
+      return;
+    }
+
     fastify.log.error({ jobId, error: error.message }, 'Indexing job failed');
 
-    // Fail job
+    // Fail job, keeping the upload so the job can be retried
     jobManager.failJob(jobId, error);
-
-    // Cleanup temp file
-    await unlink(tempFilePath).catch(() => {});
   }
 }
@@ -11,9 +11,39 @@
  */
 
 import { createLogger } from '../../utils/logger.js';
+import { SEARCH_MODES, MAX_CONTEXT_WINDOW } from '../../services/QueryService.js';
+import { versionAliasService } from '../../services/VersionAliasService.js';
+import { VersionDiffService } from '../../services/VersionDiffService.js';
+import { getRequestClient } from '../../services/SearchAnalyticsService.js';
 
 const logger = createLogger({ component: 'MCP' });
 
+// search_docs output: full chunks, or only the highlighted snippets of each hit (saves tokens)
+const SEARCH_OUTPUTS = ['full', 'snippets'];
+
+// Same filter grammar as POST /api/search (see searchFilter.js)
+const FILTER_SCHEMA = {
+  type: 'object',
+  description: 'Filter expression, e.g. {"path": {"prefix": "grid/api/"}}, {"type": {"in": ["api", "guide"]}}, '
+    + '{"chunkIndex": {"lt": 3}}, {"not": {"framework": "react"}} or {"or": [{...}, {...}]}. '
+    + 'Fields: path, product, framework, type, heading, chunkIndex, totalChunks, tags',
+};
+
+const TAG_FILTER_SCHEMA = {
+  anyOf: [
+    { type: 'array', items: { type: 'string' } },
+    {
+      type: 'object',
+      properties: {
+        any: { type: 'array', items: { type: 'string' } },
+        all: { type: 'array', items: { type: 'string' } },
+        none: { type: 'array', items: { type: 'string' } },
+      },
+    },
+  ],
+  description: 'Filter by tags: an array matches any tag, or { any, all, none } for any/all semantics and exclusions',
+};
+
 // MCP Tools definitions
 const MCP_TOOLS = {
   search_docs: {
@@ -33,7 +63,12 @@ const MCP_TOOLS = {
         },
         version: {
           type: 'string',
-          description: 'Documentation version to search (defaults to latest)',
+          description: 'Documentation version or alias such as "latest", "stable" or "next" (defaults to latest)',
+        },
+        versions: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Search several versions or aliases at once; results are grouped by version (use instead of version)',
         },
         product: {
           type: 'string',
@@ -43,6 +78,43 @@ const MCP_TOOLS = {
           type: 'string',
           description: 'Filter by framework (react, angular, vue, vanilla)',
         },
+        filter: FILTER_SCHEMA,
+        tags: TAG_FILTER_SCHEMA,
+        mode: {
+          type: 'string',
+          enum: SEARCH_MODES,
+          description: 'Search mode: "vector" (semantic), "hybrid" (BM25 + vector) or "keyword" (BM25, best for exact API names)',
+        },
+        alpha: {
+          type: 'number',
+          description: 'Hybrid weighting: 0 = pure keyword, 1 = pure vector (default 0.5)',
+        },
+        rerank: {
+          type: 'boolean',
+          description: 'Re-rank candidates with the configured reranker; results include a per-stage score breakdown',
+          default: true,
+        },
+        collapse: {
+          type: 'boolean',
+          description: 'Return only the best chunk per document, with otherMatches counting its other matching chunks',
+          default: false,
+        },
+        diversity: {
+          type: 'number',
+          description: 'MMR diversification: 0 = rank by relevance only, higher values favour results that differ from those already picked (0-1)',
+          default: 0,
+        },
+        contextWindow: {
+          type: 'number',
+          description: `Add the text of N chunks before and after each hit as context, overlap removed (0-${MAX_CONTEXT_WINDOW})`,
+          default: 0,
+        },
+        output: {
+          type: 'string',
+          enum: SEARCH_OUTPUTS,
+          description: '"full" returns whole chunks; "snippets" returns only query-focused excerpts with matches marked as <mark>...</mark>, using far fewer tokens',
+          default: 'full',
+        },
       },
       required: ['query'],
     },
@@ -64,7 +136,7 @@ const MCP_TOOLS = {
         },
         version: {
           type: 'string',
-          description: 'Documentation version to search (defaults to latest)',
+          description: 'Documentation version or alias such as "latest", "stable" or "next" (defaults to latest)',
         },
         product: {
           type: 'string',
@@ -74,6 +146,8 @@ const MCP_TOOLS = {
           type: 'string',
           description: 'Filter by framework (react, angular, vue, vanilla)',
         },
+        filter: FILTER_SCHEMA,
+        tags: TAG_FILTER_SCHEMA,
       },
       required: ['query'],
     },
@@ -92,9 +166,55 @@ const MCP_TOOLS = {
       required: ['id'],
     },
   },
+  diff_versions: {
+    name: 'diff_versions',
+    description: 'Compare two documentation versions. Returns added, removed and changed documents, with a unified diff per changed document.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: {
+          type: 'string',
+          description: 'Base version or alias (e.g., "5.6.0" or "stable")',
+        },
+        to: {
+          type: 'string',
+          description: 'Target version or alias (e.g., "6.0.0" or "latest")',
+        },
+        pathPrefix: {
+          type: 'string',
+          description: 'Only compare documents whose path starts with this prefix (e.g., "grid/api/")',
+        },
+        includeDiffs: {
+          type: 'boolean',
+          description: 'Include the text diff of each changed document (set false for a summary only)',
+          default: true,
+        },
+      },
+      required: ['from', 'to'],
+    },
+  },
+  get_chunk_context: {
+    name: 'get_chunk_context',
+    description: 'Get a chunk together with the chunks before and after it, stitched into one text with overlap removed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Document chunk ID from search results',
+        },
+        window: {
+          type: 'number',
+          description: `Chunks to include before and after the hit (0-${MAX_CONTEXT_WINDOW})`,
+          default: 1,
+        },
+      },
+      required: ['id'],
+    },
+  },
   list_versions: {
     name: 'list_versions',
-    description: 'List all available documentation versions in the database.',
+    description: 'List all available documentation versions in the database, plus aliases (latest, stable, next, ...) that can be used as a version.',
     inputSchema: {
       type: 'object',
       properties: {},
@@ -103,26 +223,110 @@ const MCP_TOOLS = {
 };
 
 // Execute MCP tool
-async function executeTool(toolName, args, fastify) {
+async function executeTool(toolName, args, fastify, client) {
   logger.info({ tool: toolName, args }, 'Executing MCP tool');
 
   try {
     switch (toolName) {
       case 'search_docs': {
-        const { query, limit = 5, version, product, framework } = args;
+        const {
+          query,
+          limit = 5,
+          version,
+          versions,
+          product,
+          framework,
+          filter: expression,
+          tags,
+          mode,
+          alpha,
+          rerank = true,
+          collapse = false,
+          diversity = 0,
+          contextWindow = 0,
+          output = 'full',
+        } = args;
 
         if (!query || typeof query !== 'string') {
           throw new Error('Query is required and must be a string');
         }
 
+        if (!SEARCH_OUTPUTS.includes(output)) {
+          throw new Error(`Output must be one of: ${SEARCH_OUTPUTS.join(', ')}`);
+        }
+
+        const compact = output === 'snippets';
+
         const filter = {};
         if (product) filter.product = product;
         if (framework) filter.framework = framework;
+        if (expression) filter.and = [expression];
+
+        const formatResult = r => compact ? {
+          id: r.id,
+          path: r.metadata.documentPath,
+          heading: r.metadata.heading,
+          score: r.score,
+          snippets: r.snippets.map(snippet => snippet.marked),
+        } : {
+          id: r.id,
+          text: r.text,
+          score: r.score,
+          scores: r.scores,
+          otherMatches: r.otherMatches,
+          context: r.context,
+          mode: r.mode,
+          metadata: r.metadata,
+        };
+
+        if (Array.isArray(versions) && versions.length > 0) {
+          const groups = await fastify.queryService.searchVersions(query, {
+            versions: versions.slice(0, 10),
+            limit: Math.min(Math.max(limit, 1), 50),
+            filter,
+            tags,
+            mode,
+            alpha,
+            rerank,
+            collapse,
+            diversity: Math.min(Math.max(diversity, 0), 1),
+            contextWindow,
+            client,
+          });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify({
+                  query,
+                  versions: groups.map(g => g.version),
+                  count: groups.reduce((sum, g) => sum + g.results.length, 0),
+                  groups: groups.map(g => ({
+                    version: g.version,
+                    count: g.results.length,
+                    results: g.results.map(formatResult),
+                  })),
+                }, null, compact ? undefined : 2),
+              },
+            ],
+          };
+        }
+
+        const searchVersion = await fastify.queryService.resolveVersion(version);
 
         const results = await fastify.queryService.search(query, {
           limit: Math.min(Math.max(limit, 1), 50),
           filter,
-          version,
+          version: searchVersion,
+          tags,
+          mode,
+          alpha,
+          rerank,
+          collapse,
+          diversity: Math.min(Math.max(diversity, 0), 1),
+          contextWindow,
+          client,
         });
 
         return {
@@ -131,22 +335,18 @@ async function executeTool(toolName, args, fastify) {
               type: 'text',
               text: JSON.stringify({
                 query,
-                version: results[0]?.metadata?.version || version,
+                version: searchVersion,
+                mode: results[0]?.mode || mode,
                 count: results.length,
-                results: results.map(r => ({
-                  id: r.id,
-                  text: r.text,
-                  score: r.score,
-                  metadata: r.metadata,
-                })),
-              }, null, 2),
+                results: results.map(formatResult),
+              }, null, compact ? undefined : 2),
             },
           ],
         };
       }
 
       case 'search_examples': {
-        const { query, limit = 5, version, product, framework } = args;
+        const { query, limit = 5, version, product, framework, filter: expression, tags } = args;
 
         if (!query || typeof query !== 'string') {
           throw new Error('Query is required and must be a string');
@@ -155,11 +355,16 @@ async function executeTool(toolName, args, fastify) {
         const filter = { type: 'example' };
         if (product) filter.product = product;
         if (framework) filter.framework = framework;
+        if (expression) filter.and = [expression];
+
+        const searchVersion = await fastify.queryService.resolveVersion(version);
 
         const results = await fastify.queryService.search(query, {
           limit: Math.min(Math.max(limit, 1), 50),
           filter,
-          version,
+          version: searchVersion,
+          tags,
+          client,
         });
 
         return {
@@ -168,7 +373,7 @@ async function executeTool(toolName, args, fastify) {
               type: 'text',
               text: JSON.stringify({
                 query,
-                version: results[0]?.metadata?.version || version,
+                version: searchVersion,
                 count: results.length,
                 results: results.map(r => ({
                   id: r.id,
@@ -209,9 +414,60 @@ async function executeTool(toolName, args, fastify) {
         };
       }
 
+      case 'diff_versions': {
+        const { from, to, pathPrefix, includeDiffs = true } = args;
+
+        if (!from || !to) {
+          throw new Error('Both from and to versions are required');
+        }
+
+        const versions = await fastify.vectorStore.getAllVersions();
+        for (const requested of [from, to]) {
+          const resolved = await fastify.queryService.resolveVersion(requested);
+          if (!versions.includes(resolved)) {
+            throw new Error(`Version not found: ${requested}`);
+          }
+        }
+
+        const diffService = new VersionDiffService(fastify.vectorStore);
+        const diff = await diffService.diffVersions(from, to, { pathPrefix, includeDiffs });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(diff, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'get_chunk_context': {
+        const { id, window = 1 } = args;
+
+        if (!id) {
+          throw new Error('Document ID is required');
+        }
+
+        const context = await fastify.queryService.getChunkContext(id, window);
+
+        if (!context) {
+          throw new Error(`Document not found: ${id}`);
+        }
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(context, null, 2),
+            },
+          ],
+        };
+      }
+
       case 'list_versions': {
         const versions = await fastify.vectorStore.getAllVersions();
-        const latest = await fastify.vectorStore.getLatestVersion();
+        const aliases = await versionAliasService.getAliases(fastify.vectorStore);
 
         return {
           content: [
@@ -219,7 +475,8 @@ async function executeTool(toolName, args, fastify) {
               type: 'text',
               text: JSON.stringify({
                 versions,
-                latest,
+                latest: aliases.latest.version,
+                aliases: Object.fromEntries(Object.entries(aliases).map(([alias, { version }]) => [alias, version])),
                 count: versions.length,
               }, null, 2),
             },
@@ -297,7 +554,7 @@ async function handleJsonRpc(request, fastify) {
           };
         }
 
-        const result = await executeTool(toolName, args || {}, fastify);
+        const result = await executeTool(toolName, args || {}, fastify, getRequestClient('mcp-jsonrpc', request));
 
         return {
           jsonrpc: '2.0',
@@ -2,23 +2,67 @@
  * Search Route
  *
  * POST /search - Search for documents using semantic similarity
+ *                 (pass `versions` to search several versions, grouped by version;
+ *                 pass the `nextCursor` of a response as `cursor` to get the next page)
+ * POST /search/feedback - Vote a search result up or down
+ * GET /search/feedback - Votes of a version per query
+ * GET /search/feedback/export - Votes of a version as a golden set for the eval harness
  */
 
+import { SEARCH_MODES, MAX_CONTEXT_WINDOW } from '../../services/QueryService.js';
+import { config } from '../../utils/config.js';
+import { InvalidFilterError } from '../../utils/searchFilter.js';
+import { InvalidCursorError } from '../../utils/searchCursor.js';
+import { getRequestClient } from '../../services/SearchAnalyticsService.js';
+import { searchFeedbackService, FEEDBACK_VOTES } from '../../services/SearchFeedbackService.js';
+
+// Most versions a single cross-version search may cover
+const MAX_SEARCH_VERSIONS = 10;
+
 export default async function searchRoutes(fastify) {
   /**
    * Search for documents
    *
    * Body:
    *   - query: string (required)
-   *   - limit: number (optional, default: 5)
-   *   - filter: object (optional)
-   *   - version: string (optional, defaults to latest version)
-   *   - tags: array (optional, filter by tags)
+   *   - limit: number (optional, default: 5, results per page)
+   *   - cursor: string (optional, nextCursor of the previous page; send the other options unchanged)
+   *   - filter: object (optional, filter expression: fields, in, prefix on path, chunkIndex comparisons, and/or/not)
+   *   - version: string (optional, version or alias such as latest/stable/next, defaults to latest)
+   *   - versions: array (optional, search several versions or aliases; results are grouped by version)
+   *   - tags: array | object (optional, array matches any tag; object { any, all, none } of tag arrays)
+   *   - mode: string (optional, 'vector' | 'hybrid' | 'keyword', defaults to config)
+   *   - alpha: number (optional, hybrid weighting 0-1, 0 = pure keyword, 1 = pure vector)
+   *   - expand: boolean (optional, default: true, expand the query with the version's synonyms)
+   *   - rerank: boolean (optional, default: true, apply the configured reranker)
+   *   - feedback: boolean (optional, default: true, apply the configured feedback boost)
+   *   - collapse: boolean (optional, default: false, best chunk per document plus a count of other matches)
+   *   - diversity: number (optional, MMR diversification 0-1, 0 = off)
+   *   - contextWindow: number (optional, neighbouring chunks added around each hit, 0-5)
    *   - includeContext: boolean (optional, default: false)
+   *   - debug: boolean (optional, default: false, include the expanded query and applied expansions)
    */
   fastify.post('/', async (request, reply) => {
     try {
-      const { query, limit = 5, filter = {}, version, tags, includeContext = false } = request.body;
+      const {
+        query,
+        limit = 5,
+        cursor,
+        filter = {},
+        version,
+        versions,
+        tags,
+        mode = config.search.defaultMode,
+        alpha = config.search.hybridAlpha,
+        expand = true,
+        rerank = true,
+        feedback = true,
+        collapse = false,
+        diversity = 0,
+        contextWindow = 0,
+        includeContext = false,
+        debug = false,
+      } = request.body;
 
       if (!query || typeof query !== 'string') {
         return reply.code(400).send({
@@ -32,23 +76,184 @@ export default async function searchRoutes(fastify) {
         });
       }
 
-      if (tags && !Array.isArray(tags)) {
+      if (cursor !== undefined && (typeof cursor !== 'string' || cursor.length === 0)) {
+        return reply.code(400).send({
+          error: 'Cursor must be a non-empty string',
+        });
+      }
+
+      if (versions !== undefined) {
+        if (!Array.isArray(versions) || versions.length === 0 || !versions.every(v => typeof v === 'string')) {
+          return reply.code(400).send({
+            error: 'Versions must be a non-empty array of strings',
+          });
+        }
+
+        if (versions.length > MAX_SEARCH_VERSIONS) {
+          return reply.code(400).send({
+            error: `At most ${MAX_SEARCH_VERSIONS} versions can be searched at once`,
+          });
+        }
+
+        if (version) {
+          return reply.code(400).send({
+            error: 'Use either version or versions, not both',
+          });
+        }
+
+        if (cursor) {
+          return reply.code(400).send({
+            error: 'Cross-version searches cannot be paginated',
+          });
+        }
+      }
+
+      if (!SEARCH_MODES.includes(mode)) {
+        return reply.code(400).send({
+          error: `Mode must be one of: ${SEARCH_MODES.join(', ')}`,
+        });
+      }
+
+      if (typeof alpha !== 'number' || alpha < 0 || alpha > 1) {
+        return reply.code(400).send({
+          error: 'Alpha must be a number between 0 and 1',
+        });
+      }
+
+      if (typeof expand !== 'boolean') {
+        return reply.code(400).send({
+          error: 'Expand must be a boolean',
+        });
+      }
+
+      if (typeof rerank !== 'boolean') {
+        return reply.code(400).send({
+          error: 'Rerank must be a boolean',
+        });
+      }
+
+      if (typeof feedback !== 'boolean') {
+        return reply.code(400).send({
+          error: 'Feedback must be a boolean',
+        });
+      }
+
+      if (typeof collapse !== 'boolean') {
+        return reply.code(400).send({
+          error: 'Collapse must be a boolean',
+        });
+      }
+
+      if (typeof diversity !== 'number' || diversity < 0 || diversity > 1) {
         return reply.code(400).send({
-          error: 'Tags must be an array',
+          error: 'Diversity must be a number between 0 and 1',
         });
       }
 
-      fastify.log.info({ query, limit, filter, version, tags }, 'Processing search request');
+      if (!Number.isInteger(contextWindow) || contextWindow < 0 || contextWindow > MAX_CONTEXT_WINDOW) {
+        return reply.code(400).send({
+          error: `Context window must be an integer between 0 and ${MAX_CONTEXT_WINDOW}`,
+        });
+      }
+
+      fastify.log.info(
+        { query, limit, cursor, filter, version, versions, tags, mode, alpha, expand, rerank, feedback, collapse, diversity, contextWindow },
+        'Processing search request'
+      );
+
+      const reranker = rerank ? fastify.queryService.reranker?.name || null : null;
 
       const startTime = Date.now();
 
-      // Perform search (version defaults to latest if not specified)
-      const results = await fastify.queryService.search(query, { limit, filter, version, tags });
+      const formatResult = result => ({
+        id: result.id,
+        text: result.text,
+        score: result.score || 0,
+        mode: result.mode || mode, // Search mode that produced the score
+        relevance: (result.score || 0).toFixed(3), // Score is already similarity (0-1)
+        scores: result.scores, // Per-stage breakdown: retrieval, rerank, final (and feedback, mmr)
+        snippets: result.snippets, // Query-focused excerpts with highlight ranges and marked-up text
+        otherMatches: result.otherMatches, // Other matching chunks of the document (collapse only)
+        context: result.context, // Text of the hit and its neighbouring chunks (contextWindow only)
+        metadata: result.metadata,
+      });
 
-      const duration = Date.now() - startTime;
+      // Debug output: the query as searched and the synonym expansions applied to it
+      const getDebug = async searchedVersion => {
+        const { query: expandedQuery, expansions } = expand
+          ? await fastify.queryService.expandQuery(query, searchedVersion)
+          : { query, expansions: [] };
+
+        return { expandedQuery, expansions };
+      };
+
+      // Cross-version search: one group of results per resolved version
+      if (versions) {
+        const groups = await fastify.queryService.searchVersions(query, {
+          versions,
+          limit,
+          filter,
+          tags,
+          mode,
+          alpha,
+          expand,
+          rerank,
+          feedback,
+          collapse,
+          diversity,
+          contextWindow,
+          client: getRequestClient('rest', request),
+        });
+
+        const duration = Date.now() - startTime;
+        const resultCount = groups.reduce((sum, group) => sum + group.results.length, 0);
+
+        fastify.log.info(
+          { query, versions: groups.map(group => group.version), resultCount, duration },
+          'Cross-version search completed'
+        );
+
+        return {
+          query,
+          versions: groups.map(group => group.version),
+          mode,
+          alpha: mode === 'hybrid' ? alpha : undefined,
+          reranker,
+          resultCount,
+          durationMs: duration,
+          groups: groups.map(group => ({
+            version: group.version,
+            requested: group.requested,
+            resultCount: group.results.length,
+            results: group.results.map(formatResult),
+            context: includeContext ? fastify.queryService.formatContext(group.results) : undefined,
+          })),
+          debug: debug
+            ? Object.fromEntries(await Promise.all(groups.map(async group => [group.version, await getDebug(group.version)])))
+            : undefined,
+        };
+      }
+
+      // Aliases resolve in the query service (version defaults to latest if not specified);
+      // later pages stay on the version the cursor was created for
+      const { results, version: searchedVersion, nextCursor } = await fastify.queryService.searchPage(query, {
+        limit,
+        cursor,
+        filter,
+        version,
+        tags,
+        mode,
+        alpha,
+        expand,
+        rerank,
+        feedback,
+        collapse,
+        diversity,
+        contextWindow,
+        client: getRequestClient('rest', request),
+      });
 
-      // Get the actual version that was searched
-      const searchedVersion = results.length > 0 ? results[0].metadata.version : version;
+      const duration = Date.now() - startTime;
 
       fastify.log.info(
         { query, version: searchedVersion, resultCount: results.length, duration },
@@ -58,15 +263,13 @@ export default async function searchRoutes(fastify) {
       const response = {
         query,
         version: searchedVersion,
+        mode,
+        alpha: mode === 'hybrid' ? alpha : undefined,
+        reranker,
         resultCount: results.length,
         durationMs: duration,
-        results: results.map(result => ({
-          id: result.id,
-          text: result.text,
-          score: result.score || 0,
-          relevance: (result.score || 0).toFixed(3), // Score is already similarity (0-1)
-          metadata: result.metadata,
-        })),
+        results: results.map(formatResult),
+        nextCursor,
       };
 
       // Optionally include formatted context for RAG
@@ -74,9 +277,20 @@ export default async function searchRoutes(fastify) {
         response.context = fastify.queryService.formatContext(results);
       }
 
+      if (debug) {
+        response.debug = await getDebug(searchedVersion);
+      }
+
       return response;
 
     } catch (error) {
+      // Malformed filters and cursors are reported by the query service
+      if (error instanceof InvalidFilterError || error instanceof InvalidCursorError) {
+        return reply.code(400).send({
+          error: error.message,
+        });
+      }
+
       fastify.log.error({ error: error.message }, 'Search failed');
 
       return reply.code(500).send({
@@ -86,6 +300,150 @@ export default async function searchRoutes(fastify) {
     }
   });
 
+  /**
+   * Vote a search result up or down
+   *
+   * Body:
+   *   - query: string (required, the query the result was found for)
+   *   - resultId: string (required, id of the result chunk)
+   *   - vote: string (required, 'up' or 'down')
+   */
+  fastify.post('/feedback', async (request, reply) => {
+    try {
+      const { query, resultId, vote } = request.body || {};
+
+      if (!query || typeof query !== 'string') {
+        return reply.code(400).send({
+          error: 'Query is required and must be a string',
+        });
+      }
+
+      if (!resultId || typeof resultId !== 'string') {
+        return reply.code(400).send({
+          error: 'Result id is required and must be a string',
+        });
+      }
+
+      if (!Object.hasOwn(FEEDBACK_VOTES, vote)) {
+        return reply.code(400).send({
+          error: `Vote must be one of: ${Object.keys(FEEDBACK_VOTES).join(', ')}`,
+        });
+      }
+
+      // The version and document are taken from the result itself
+      const result = await fastify.queryService.getDocument(resultId);
+
+      if (!result) {
+        return reply.code(404).send({
+          error: 'Result not found',
+          resultId,
+        });
+      }
+
+      const { documentPath, version } = result.metadata;
+
+      const entry = await searchFeedbackService.recordFeedback({
+        query,
+        resultId,
+        documentPath,
+        version,
+        vote,
+        client: getRequestClient('rest', request),
+      });
+
+      // Cached rankings of the version may change with the new vote
+      if (config.search.feedbackBoost > 0) {
+        fastify.queryService.invalidateCache(version);
+      }
+
+      return {
+        success: true,
+        version,
+        ...entry,
+      };
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to record search feedback');
+
+      return reply.code(500).send({
+        error: 'Failed to record search feedback',
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * Get the votes of a version per query
+   *
+   * Query:
+   *   - version: string (optional, version or alias, defaults to latest)
+   */
+  fastify.get('/feedback', async (request, reply) => {
+    try {
+      const version = await fastify.queryService.resolveVersion(request.query.version);
+
+      const versions = await fastify.vectorStore.getAllVersions();
+
+      if (!versions.includes(version)) {
+        return reply.code(404).send({
+          error: 'Version not found',
+        });
+      }
+
+      return await searchFeedbackService.getSummary(version);
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to get search feedback');
+
+      return reply.code(500).send({
+        error: 'Failed to get search feedback',
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * Export the votes of a version as a golden set (save it to eval/golden to run it)
+   *
+   * Query:
+   *   - version: string (optional, version or alias, defaults to latest)
+   *   - minVotes: number (optional, default: 1, net votes a document needs to be expected)
+   */
+  fastify.get('/feedback/export', async (request, reply) => {
+    try {
+      const minVotes = request.query.minVotes === undefined ? 1 : Number(request.query.minVotes);
+
+      if (!Number.isInteger(minVotes) || minVotes < 1) {
+        return reply.code(400).send({
+          error: 'minVotes must be a positive integer',
+        });
+      }
+
+      const version = await fastify.queryService.resolveVersion(request.query.version);
+
+      const versions = await fastify.vectorStore.getAllVersions();
+
+      if (!versions.includes(version)) {
+        return reply.code(404).send({
+          error: 'Version not found',
+        });
+      }
+
+      const goldenSet = await searchFeedbackService.exportGoldenSet(version, { minVotes });
+
+      reply.header('Content-Disposition', `attachment; filename="${goldenSet.name}.json"`);
+      return goldenSet;
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to export search feedback');
+
+      return reply.code(500).send({
+        error: 'Failed to export search feedback',
+        message: error.message,
+      });
+    }
+  });
+
   /**
    * Alias: POST /query
    */
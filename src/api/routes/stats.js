@@ -1,7 +1,7 @@
 /**
  * Stats Route
  *
- * GET /stats - Get database statistics and metadata
+ * GET /stats - Get database statistics, metadata and search cache counters
  */
 
 export default async function statsRoutes(fastify) {
@@ -14,20 +14,14 @@ export default async function statsRoutes(fastify) {
 
       // Get all versions
       const versions = await fastify.vectorStore.getAllVersions();
-      const latestVersion = await fastify.vectorStore.getLatestVersion();
+      const latestVersion = await fastify.queryService.resolveVersion('latest');
 
       // Get all tags
       const tags = await fastify.vectorStore.getAllTags();
 
       // Get document count estimate from aggregating chunks
       // We count unique document paths across all versions
-      const result = await fastify.vectorStore.client.graphql
-        .aggregate()
-        .withClassName(fastify.vectorStore.className)
-        .withFields('meta { count }')
-        .do();
-
-      const totalChunks = result.data?.Aggregate?.[fastify.vectorStore.className]?.[0]?.meta?.count || 0;
+      const totalChunks = await fastify.vectorStore.getChunkCount();
 
       // Estimate unique documents (chunks / average chunks per doc)
       // Since we store chunkIndex and totalChunks, we can be smarter
@@ -68,6 +62,7 @@ export default async function statsRoutes(fastify) {
           total: tags.length,
           sample: tags.slice(0, 20), // First 20 tags as sample
         },
+        searchCache: fastify.queryService.getCacheStats(),
       };
 
       fastify.log.info({ stats }, 'Stats retrieved successfully');
@@ -1,12 +1,24 @@
 /**
  * Versions Route
  *
- * GET /versions - Get all indexed versions
- * GET /versions/:version - Get specific version info with metadata
+ * GET /versions - Get all indexed versions (semver ordered) and aliases
+ * GET /versions/aliases - Get version aliases and the versions they resolve to
+ * PUT /versions/aliases/:alias - Pin an alias to a version
+ * DELETE /versions/aliases/:alias - Unpin an alias
+ * GET /versions/:version - Get specific version info with metadata (accepts aliases)
+ * GET /versions/:from/diff/:to - Added, removed and changed documents between two versions
  * POST /versions/:version/metadata - Update version metadata
+ * GET /versions/:version/synonyms - Get the query expansion dictionary of a version
+ * PUT /versions/:version/synonyms - Replace the edited synonyms of a version
+ * POST /versions/:version/synonyms/regenerate - Re-seed synonyms from the API class names
  */
 
 import { versionMetadataService } from '../../services/VersionMetadataService.js';
+import { versionAliasService, ALIAS_NAME_PATTERN } from '../../services/VersionAliasService.js';
+import { VersionDiffService } from '../../services/VersionDiffService.js';
+import { synonymService } from '../../services/SynonymService.js';
+import { searchFeedbackService } from '../../services/SearchFeedbackService.js';
+import { parseVersion } from '../../utils/semver.js';
 
 export default async function versionsRoutes(fastify) {
   /**
@@ -15,11 +27,12 @@ export default async function versionsRoutes(fastify) {
   fastify.get('/', async (request, reply) => {
     try {
       const versions = await fastify.vectorStore.getAllVersions();
-      const latest = await fastify.vectorStore.getLatestVersion();
+      const aliases = await versionAliasService.getAliases(fastify.vectorStore);
 
       return {
         versions,
-        latest,
+        latest: aliases.latest.version,
+        aliases,
         count: versions.length,
       };
 
@@ -33,12 +46,116 @@ export default async function versionsRoutes(fastify) {
     }
   });
 
+  /**
+   * Get all aliases
+   */
+  fastify.get('/aliases', async (request, reply) => {
+    try {
+      const aliases = await versionAliasService.getAliases(fastify.vectorStore);
+
+      return { aliases };
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to get version aliases');
+
+      return reply.code(500).send({
+        error: 'Failed to get version aliases',
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * Pin an alias to a version
+   *
+   * Body:
+   *   - version: string (required, an indexed version)
+   */
+  fastify.put('/aliases/:alias', async (request, reply) => {
+    try {
+      const { alias } = request.params;
+      const { version } = request.body || {};
+
+      if (!ALIAS_NAME_PATTERN.test(alias) || parseVersion(alias)) {
+        return reply.code(400).send({
+          error: 'Alias must start with a letter and contain only lowercase letters, digits, "-" and "_"',
+        });
+      }
+
+      if (!version || typeof version !== 'string') {
+        return reply.code(400).send({
+          error: 'Version is required and must be a string',
+        });
+      }
+
+      const versions = await fastify.vectorStore.getAllVersions();
+
+      if (versions.includes(alias)) {
+        return reply.code(400).send({
+          error: `Alias conflicts with indexed version: ${alias}`,
+        });
+      }
+
+      if (!versions.includes(version)) {
+        return reply.code(404).send({
+          error: 'Version not found',
+        });
+      }
+
+      await versionAliasService.setAlias(alias, version);
+
+      return {
+        success: true,
+        alias,
+        version,
+      };
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to set version alias');
+
+      return reply.code(500).send({
+        error: 'Failed to set version alias',
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * Unpin an alias (latest and next return to their automatic versions)
+   */
+  fastify.delete('/aliases/:alias', async (request, reply) => {
+    try {
+      const { alias } = request.params;
+
+      const removed = await versionAliasService.removeAlias(alias);
+
+      if (!removed) {
+        return reply.code(404).send({
+          error: 'Alias not found',
+        });
+      }
+
+      return {
+        success: true,
+        alias,
+      };
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to remove version alias');
+
+      return reply.code(500).send({
+        error: 'Failed to remove version alias',
+        message: error.message,
+      });
+    }
+  });
+
   /**
    * Get specific version with metadata
    */
   fastify.get('/:version', async (request, reply) => {
     try {
-      const { version } = request.params;
+      const version = await fastify.queryService.resolveVersion(request.params.version);
 
       const versions = await fastify.vectorStore.getAllVersions();
 
@@ -66,11 +183,52 @@ export default async function versionsRoutes(fastify) {
   });
 
   /**
-   * Update version metadata
+   * Diff two versions (accepts aliases)
+   *
+   * Query:
+   *   - path: string (optional, only compare documents under this path prefix)
+   *   - diffs: boolean (optional, default: true, include per-document text diffs)
+   */
+  fastify.get('/:from/diff/:to', async (request, reply) => {
+    try {
+      const { path = '', diffs = 'true' } = request.query;
+
+      const versions = await fastify.vectorStore.getAllVersions();
+      const from = await fastify.queryService.resolveVersion(request.params.from);
+      const to = await fastify.queryService.resolveVersion(request.params.to);
+
+      for (const version of [from, to]) {
+        if (!versions.includes(version)) {
+          return reply.code(404).send({
+            error: 'Version not found',
+            version,
+          });
+        }
+      }
+
+      const diffService = new VersionDiffService(fastify.vectorStore);
+
+      return await diffService.diffVersions(from, to, {
+        pathPrefix: path,
+        includeDiffs: diffs !== 'false',
+      });
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to diff versions');
+
+      return reply.code(500).send({
+        error: 'Failed to diff versions',
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * Update version metadata (accepts aliases)
    */
   fastify.post('/:version/metadata', async (request, reply) => {
     try {
-      const { version } = request.params;
+      const version = await fastify.queryService.resolveVersion(request.params.version);
       const metadata = request.body;
 
       const versions = await fastify.vectorStore.getAllVersions();
@@ -100,11 +258,11 @@ export default async function versionsRoutes(fastify) {
   });
 
   /**
-   * Regenerate metadata for a version
+   * Regenerate metadata for a version (accepts aliases)
    */
   fastify.post('/:version/metadata/regenerate', async (request, reply) => {
     try {
-      const { version } = request.params;
+      const version = await fastify.queryService.resolveVersion(request.params.version);
 
       const versions = await fastify.vectorStore.getAllVersions();
 
@@ -132,6 +290,129 @@ export default async function versionsRoutes(fastify) {
     }
   });
 
+  /**
+   * Get the synonym dictionary of a version (accepts aliases)
+   */
+  fastify.get('/:version/synonyms', async (request, reply) => {
+    try {
+      const version = await fastify.queryService.resolveVersion(request.params.version);
+
+      const versions = await fastify.vectorStore.getAllVersions();
+
+      if (!versions.includes(version)) {
+        return reply.code(404).send({
+          error: 'Version not found',
+        });
+      }
+
+      const dictionary = await synonymService.getDictionary(version);
+
+      return {
+        version,
+        synonyms: dictionary?.synonyms || {},
+        generated: dictionary?.generated || {},
+        generatedAt: dictionary?.generatedAt,
+        updatedAt: dictionary?.updatedAt,
+      };
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to get synonyms');
+
+      return reply.code(500).send({
+        error: 'Failed to get synonyms',
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * Replace the edited synonyms of a version (accepts aliases)
+   *
+   * Body:
+   *   - synonyms: object (required, phrase -> array of terms added to queries containing the phrase)
+   */
+  fastify.put('/:version/synonyms', async (request, reply) => {
+    try {
+      const { synonyms } = request.body || {};
+
+      const isValid = typeof synonyms === 'object' && synonyms !== null && !Array.isArray(synonyms) &&
+        Object.entries(synonyms).every(([phrase, terms]) =>
+          phrase.trim().length > 0 &&
+          Array.isArray(terms) &&
+          terms.every(term => typeof term === 'string' && term.trim().length > 0)
+        );
+
+      if (!isValid) {
+        return reply.code(400).send({
+          error: 'Synonyms must be an object mapping phrases to arrays of non-empty strings',
+        });
+      }
+
+      const version = await fastify.queryService.resolveVersion(request.params.version);
+
+      const versions = await fastify.vectorStore.getAllVersions();
+
+      if (!versions.includes(version)) {
+        return reply.code(404).send({
+          error: 'Version not found',
+        });
+      }
+
+      const dictionary = await synonymService.updateSynonyms(version, synonyms);
+
+      return {
+        success: true,
+        ...dictionary,
+      };
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to update synonyms');
+
+      return reply.code(500).send({
+        error: 'Failed to update synonyms',
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * Re-seed the generated synonyms of a version (edited synonyms are kept, accepts aliases)
+   */
+  fastify.post('/:version/synonyms/regenerate', async (request, reply) => {
+    try {
+      const version = await fastify.queryService.resolveVersion(request.params.version);
+
+      const versions = await fastify.vectorStore.getAllVersions();
+
+      if (!versions.includes(version)) {
+        return reply.code(404).send({
+          error: 'Version not found',
+        });
+      }
+
+      const dictionary = await synonymService.generateSynonyms(version, fastify.vectorStore);
+
+      if (!dictionary) {
+        return reply.code(500).send({
+          error: 'Failed to regenerate synonyms',
+        });
+      }
+
+      return {
+        success: true,
+        ...dictionary,
+      };
+
+    } catch (error) {
+      fastify.log.error({ error: error.message }, 'Failed to regenerate synonyms');
+
+      return reply.code(500).send({
+        error: 'Failed to regenerate synonyms',
+        message: error.message,
+      });
+    }
+  });
+
   /**
    * Delete a specific version
    */
@@ -151,8 +432,11 @@ export default async function versionsRoutes(fastify) {
 
       await fastify.vectorStore.deleteByVersion(version);
 
-      // Also delete metadata
+      // Also delete metadata, synonyms, feedback and aliases pointing at the version
       await versionMetadataService.deleteMetadata(version);
+      await synonymService.deleteSynonyms(version);
+      await searchFeedbackService.deleteFeedback(version);
+      await versionAliasService.removeAliasesFor(version);
 
       return {
         success: true,
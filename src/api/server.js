@@ -18,9 +18,10 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { config, validateConfig } from '../utils/config.js';
 import { logger } from '../utils/logger.js';
-import { WeaviateAdapter } from '../adapters/vectorstore/WeaviateAdapter.js';
+import { createVectorStore } from '../adapters/vectorstore/createVectorStore.js';
 import { QueryService } from '../services/QueryService.js';
 import { jobManager } from '../services/JobManager.js';
+import { searchAnalyticsService } from '../services/SearchAnalyticsService.js';
 import indexRoutes from './routes/index.js';
 import searchRoutes from './routes/search.js';
 import documentRoutes from './routes/document.js';
@@ -28,6 +29,10 @@ import versionsRoutes from './routes/versions.js';
 import tagsRoutes from './routes/tags.js';
 import statsRoutes from './routes/stats.js';
 import generateRoutes from './routes/generate.js';
+import evalRoutes from './routes/eval.js';
+import analyticsRoutes from './routes/analytics.js';
+import askRoutes from './routes/ask.js';
+import { createLlmProvider } from '../adapters/llm/createLlmProvider.js';
 import { createMCPServer, connectMCPTransport } from '../mcp/server.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -64,11 +69,13 @@ async function buildServer() {
   });
 
   // Initialize shared services
-  const vectorStore = new WeaviateAdapter(
-    config.weaviate.host,
-    config.weaviate.port,
-    config.weaviate.className
-  );
+  const vectorStore = createVectorStore();
+
+  // Restore job history before any new jobs are created
+  await jobManager.initialize();
+
+  // Restore the search log so analytics cover earlier runs
+  await searchAnalyticsService.initialize();
 
   const queryService = new QueryService(vectorStore);
 
@@ -78,6 +85,7 @@ async function buildServer() {
   // Decorate fastify with shared services
   fastify.decorate('queryService', queryService);
   fastify.decorate('vectorStore', vectorStore);
+  fastify.decorate('llmProvider', createLlmProvider());
 
   // Register API routes under /api prefix
   fastify.register(indexRoutes, { prefix: '/api/index' });
@@ -87,6 +95,9 @@ async function buildServer() {
   fastify.register(tagsRoutes, { prefix: '/api/tags' });
   fastify.register(statsRoutes, { prefix: '/api/stats' });
   fastify.register(generateRoutes, { prefix: '/api' });
+  fastify.register(evalRoutes, { prefix: '/api/eval' });
+  fastify.register(analyticsRoutes, { prefix: '/api/analytics' });
+  fastify.register(askRoutes, { prefix: '/api/ask' });
 
   // Connect MCP server transport
   try {
@@ -117,7 +128,13 @@ async function buildServer() {
         index: 'POST /api/index',
         search: 'POST /api/search',
         query: 'POST /api/search (alias)',
+        searchFeedback: 'POST /api/search/feedback',
+        ask: 'POST /api/ask',
         getDocument: 'GET /api/doc/:id',
+        getChunkContext: 'GET /api/doc/:id/context',
+        eval: 'POST /api/eval',
+        evalReports: 'GET /api/eval/reports',
+        searchAnalytics: 'GET /api/analytics/searches',
         jobs: 'WS /api/jobs (WebSocket for job progress)',
         mcp: 'GET /mcp (MCP server info)',
         mcpJsonRpc: 'POST /mcp (MCP JSON-RPC endpoint)',
@@ -221,11 +238,15 @@ async function start() {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   logger.info('Shutting down gracefully...');
+  await jobManager.flush();
+  await searchAnalyticsService.flush();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   logger.info('Shutting down gracefully...');
+  await jobManager.flush();
+  await searchAnalyticsService.flush();
   process.exit(0);
 });
 
@@ -0,0 +1,24 @@
+/**
+ * JobStore Interface
+ *
+ * Abstract base class for job persistence implementations.
+ * Follows Single Responsibility Principle (SRP) and Dependency Inversion Principle (DIP).
+ */
+export class JobStore {
+  /**
+   * Load all persisted jobs
+   * @returns {Promise<Array<object>>}
+   */
+  async load() {
+    throw new Error('Method load() must be implemented');
+  }
+
+  /**
+   * Persist the full set of jobs
+   * @param {Array<object>} jobs
+   * @returns {Promise<void>}
+   */
+  async save(jobs) {
+    throw new Error('Method save() must be implemented');
+  }
+}
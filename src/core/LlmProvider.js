@@ -0,0 +1,60 @@
+/**
+ * LlmProvider Interface
+ *
+ * Abstract base class for large language model implementations. A provider
+ * turns a system prompt and chat messages into a text completion, at once or
+ * streamed as text deltas. Model, temperature and token limit default to the
+ * values the provider was created with and can be overridden per request.
+ * Follows Open/Closed Principle (OCP) and Dependency Inversion Principle (DIP).
+ */
+export class LlmProvider {
+  /**
+   * Name reported with completions (e.g. 'anthropic')
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('Getter name must be implemented');
+  }
+
+  /**
+   * Default model for completions
+   * @returns {string}
+   */
+  get model() {
+    throw new Error('Getter model must be implemented');
+  }
+
+  /**
+   * Sampling temperatures the API accepts
+   * Default implementation allows 0-1.
+   * @returns {{min: number, max: number}}
+   */
+  get temperatureRange() {
+    return { min: 0, max: 1 };
+  }
+
+  /**
+   * Generate a completion
+   * @param {object} request
+   * @param {string} request.system - System prompt (optional)
+   * @param {Array<{role: 'user' | 'assistant', content: string}>} request.messages - Conversation, ending with a user message
+   * @param {string} request.model - Model (optional, default: the provider's model)
+   * @param {number} request.temperature - Sampling temperature within temperatureRange (optional, default: the provider's)
+   * @param {number} request.maxTokens - Most tokens to generate (optional, default: the provider's)
+   * @returns {Promise<{text: string, model: string, usage: {inputTokens: number, outputTokens: number}}>}
+   */
+  async generate(request) {
+    throw new Error('Method generate() must be implemented');
+  }
+
+  /**
+   * Stream a completion as text deltas
+   * Default implementation yields the whole completion at once.
+   * @param {object} request - See generate()
+   * @returns {AsyncIterator<string>}
+   */
+  async *stream(request) {
+    const { text } = await this.generate(request);
+    yield text;
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * Reranker Interface
+ *
+ * Abstract base class for re-ranking implementations. A reranker re-scores the
+ * candidates returned by the vector store against the query.
+ * Follows Open/Closed Principle (OCP) and Dependency Inversion Principle (DIP).
+ */
+export class Reranker {
+  /**
+   * Name reported in score breakdowns (e.g. 'lexical')
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('Getter name must be implemented');
+  }
+
+  /**
+   * Score candidates against the query
+   * @param {string} query - Search query
+   * @param {Array<{id: string, text: string, score: number, metadata: object}>} candidates
+   * @returns {Promise<number[]>} One relevance score (0-1) per candidate, in candidate order
+   */
+  async rerank(query, candidates) {
+    throw new Error('Method rerank() must be implemented');
+  }
+}
@@ -2,9 +2,13 @@
  * VectorStore Interface
  *
  * Abstract base class for vector database implementations.
+ * Emits 'change' ({ version }) after every write, so caches of search results
+ * can be invalidated; version is null when any version may have changed.
  * Follows Interface Segregation Principle (ISP) and Dependency Inversion Principle (DIP).
  */
-export class VectorStore {
+import { EventEmitter } from 'events';
+
+export class VectorStore extends EventEmitter {
   /**
    * Initialize the vector store connection
    * @returns {Promise<void>}
@@ -23,13 +27,17 @@ export class VectorStore {
   }
 
   /**
-   * Search for similar documents using vector similarity
-   * @param {number[]} queryEmbedding - The query vector
+   * Search for similar documents
+   * @param {string} queryText - The search query
    * @param {number} limit - Maximum number of results
-   * @param {object} filter - Optional metadata filters
-   * @returns {Promise<Array<{id: string, text: string, score: number, metadata: object}>>}
+   * @param {object} filter - Optional metadata filters: a key-value object or a parsed filter expression (see searchFilter.js)
+   * @param {object} options - Search options
+   * @param {'vector' | 'hybrid' | 'keyword'} options.mode - Ranking mode (default: 'vector')
+   * @param {number} options.alpha - Hybrid weighting, 0 = pure keyword, 1 = pure vector
+   * @param {number} options.offset - Results to skip, for paging through the ranking (default: 0)
+   * @returns {Promise<Array<{id: string, text: string, score: number, mode: string, metadata: object}>>}
    */
-  async search(queryEmbedding, limit = 5, filter = {}) {
+  async search(queryText, limit = 5, filter = {}, options = {}) {
     throw new Error('Method search() must be implemented');
   }
 
@@ -51,6 +59,96 @@ export class VectorStore {
     throw new Error('Method deleteDocuments() must be implemented');
   }
 
+  /**
+   * Get all chunks of a document, ordered by chunkIndex
+   * @param {string} documentPath - Document path
+   * @param {string} version - Documentation version
+   * @returns {Promise<Array<{id: string, text: string, metadata: object}>>}
+   */
+  async getDocumentChunks(documentPath, version) {
+    throw new Error('Method getDocumentChunks() must be implemented');
+  }
+
+  /**
+   * Get the content hash stored for each document of a version
+   * @param {string} version - Documentation version
+   * @returns {Promise<Map<string, string>>} documentPath -> contentHash
+   */
+  async getDocumentHashes(version) {
+    throw new Error('Method getDocumentHashes() must be implemented');
+  }
+
+  /**
+   * Delete all documents for a version
+   * @param {string} version - Documentation version
+   * @returns {Promise<void>}
+   */
+  async deleteByVersion(version) {
+    throw new Error('Method deleteByVersion() must be implemented');
+  }
+
+  /**
+   * Move the chunks of a staging version into the live version
+   * Live chunks of the replaced paths are removed in the same step; with
+   * replacePaths set to null the whole live version is replaced.
+   * @param {string} stagingVersion - Version the chunks were written under
+   * @param {string} version - Live documentation version
+   * @param {object} options
+   * @param {string[] | null} options.replacePaths - Document paths to replace (null = all)
+   * @returns {Promise<void>}
+   */
+  async promoteVersion(stagingVersion, version, options = {}) {
+    throw new Error('Method promoteVersion() must be implemented');
+  }
+
+  /**
+   * Get all indexed versions sorted from oldest to newest, excluding staging versions
+   * @returns {Promise<string[]>}
+   */
+  async getAllVersions() {
+    throw new Error('Method getAllVersions() must be implemented');
+  }
+
+  /**
+   * Get the latest indexed version (newest release, prereleases only if nothing else is indexed)
+   * @returns {Promise<string | null>}
+   */
+  async getLatestVersion() {
+    throw new Error('Method getLatestVersion() must be implemented');
+  }
+
+  /**
+   * Get all unique tags
+   * @returns {Promise<string[]>}
+   */
+  async getAllTags() {
+    throw new Error('Method getAllTags() must be implemented');
+  }
+
+  /**
+   * Get total number of stored chunks
+   * @returns {Promise<number>}
+   */
+  async getChunkCount() {
+    throw new Error('Method getChunkCount() must be implemented');
+  }
+
+  /**
+   * Delete every document in the store
+   * @returns {Promise<void>}
+   */
+  async clearAll() {
+    throw new Error('Method clearAll() must be implemented');
+  }
+
+  /**
+   * Notify listeners that the documents of a version changed
+   * @param {string | null} version - Changed version, null for all versions
+   */
+  notifyChange(version = null) {
+    this.emit('change', { version });
+  }
+
   /**
    * Close the vector store connection
    * @returns {Promise<void>}
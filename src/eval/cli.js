@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * Eval CLI
+ *
+ * Runs a golden query set against an indexed version and prints recall@k, MRR
+ * and nDCG, per query and averaged. Reports are saved to data/eval so later
+ * runs (e.g. after changing the chunk size or reranker) can be compared.
+ *
+ * Usage:
+ *   npm run eval -- <golden> [options]
+ *
+ * Options:
+ *   --version, -v      Version or alias to evaluate (default: latest)
+ *   -k                 Results scored per query (default: 10)
+ *   --mode             Search mode: vector, hybrid or keyword
+ *   --alpha            Hybrid weighting 0-1
+ *   --no-expand        Do not expand queries with synonyms
+ *   --no-rerank        Do not apply the configured reranker
+ *   --no-feedback      Do not apply the configured feedback boost
+ *   --collapse         Keep only the best chunk per document
+ *   --diversity        MMR diversification 0-1
+ *   --label            Describes the run in the report
+ *   --baseline         Report id or file to compare with
+ *   --no-save          Do not save the report
+ *   --json             Print the report as JSON
+ *   --help, -h         Show this help
+ *
+ * Exits with code 1 when the eval fails and 2 on invalid arguments.
+ */
+import { parseArgs } from 'util';
+import { existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { resolve } from 'path';
+import { createVectorStore } from '../adapters/vectorstore/createVectorStore.js';
+import { QueryService, SEARCH_MODES } from '../services/QueryService.js';
+import { EvalService, InvalidGoldenSetError, MAX_EVAL_K } from '../services/EvalService.js';
+import { config } from '../utils/config.js';
+
+const USAGE = `Usage: npm run eval -- <golden> [options]
+
+Arguments:
+  <golden>             Golden set file, or the name of a set in eval/golden
+
+Options:
+  -v, --version <ver>  Version or alias to evaluate (default: latest)
+  -k <n>               Results scored per query, 1-${MAX_EVAL_K} (default: 10)
+  --mode <mode>        Search mode: ${SEARCH_MODES.join(', ')} (default: ${config.search.defaultMode})
+  --alpha <n>          Hybrid weighting 0-1 (default: ${config.search.hybridAlpha})
+  --no-expand          Do not expand queries with synonyms
+  --no-rerank          Do not apply the configured reranker (${config.rerank.reranker})
+  --no-feedback        Do not apply the feedback boost (${config.search.feedbackBoost})
+  --collapse           Keep only the best chunk per document
+  --diversity <n>      MMR diversification 0-1 (default: 0)
+  --label <text>       Describes the run in the report, e.g. "chunk size 4000"
+  --baseline <report>  Report id or file to compare with
+  --no-save            Do not save the report to data/eval
+  --json               Print the report as JSON
+  -h, --help           Show this help`;
+
+class UsageError extends Error {}
+
+/**
+ * Parse and validate command-line arguments
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      version: { type: 'string', short: 'v' },
+      k: { type: 'string', short: 'k' },
+      mode: { type: 'string' },
+      alpha: { type: 'string' },
+      'no-expand': { type: 'boolean', default: false },
+      'no-rerank': { type: 'boolean', default: false },
+      'no-feedback': { type: 'boolean', default: false },
+      collapse: { type: 'boolean', default: false },
+      diversity: { type: 'string' },
+      label: { type: 'string' },
+      baseline: { type: 'string' },
+      'no-save': { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+
+  if (positionals.length !== 1) {
+    throw new UsageError('Provide exactly one golden set');
+  }
+
+  const k = values.k === undefined ? 10 : Number(values.k);
+  if (!Number.isInteger(k) || k < 1 || k > MAX_EVAL_K) {
+    throw new UsageError(`-k must be an integer between 1 and ${MAX_EVAL_K}`);
+  }
+
+  const mode = values.mode || config.search.defaultMode;
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new UsageError(`--mode must be one of: ${SEARCH_MODES.join(', ')}`);
+  }
+
+  const parseFraction = (name, value, fallback) => {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (Number.isNaN(number) || number < 0 || number > 1) {
+      throw new UsageError(`--${name} must be a number between 0 and 1`);
+    }
+    return number;
+  };
+
+  return {
+    golden: positionals[0],
+    version: values.version,
+    k,
+    mode,
+    alpha: parseFraction('alpha', values.alpha, config.search.hybridAlpha),
+    expand: !values['no-expand'],
+    rerank: !values['no-rerank'],
+    feedback: !values['no-feedback'],
+    collapse: values.collapse,
+    diversity: parseFraction('diversity', values.diversity, 0),
+    label: values.label || null,
+    baseline: values.baseline,
+    save: !values['no-save'],
+    json: values.json,
+  };
+}
+
+/**
+ * Load a golden set from a file or by name
+ */
+async function loadGoldenSet(evalService, golden) {
+  if (existsSync(golden)) {
+    return evalService.readGoldenSet(resolve(golden));
+  }
+
+  const goldenSet = await evalService.getGoldenSet(golden);
+  if (!goldenSet) {
+    throw new UsageError(`Golden set not found: ${golden}`);
+  }
+
+  return goldenSet;
+}
+
+/**
+ * Load a baseline report from a file or by id
+ */
+async function loadBaseline(evalService, baseline) {
+  if (existsSync(baseline)) {
+    return JSON.parse(await readFile(baseline, 'utf-8'));
+  }
+
+  const report = await evalService.getReport(baseline);
+  if (!report) {
+    throw new UsageError(`Baseline report not found: ${baseline}`);
+  }
+
+  return report;
+}
+
+const formatScore = value => value.toFixed(3);
+const formatDelta = value => `${value >= 0 ? '+' : ''}${value.toFixed(3)}`;
+
+/**
+ * Print a report as a table
+ */
+function printReport(report, comparison) {
+  const { settings } = report;
+
+  console.log(
+    `${report.goldenSet.name}: ${report.goldenSet.queryCount} queries against ${report.version}, k=${report.k}, ` +
+    `${settings.mode}${settings.alpha !== null ? ` (alpha ${settings.alpha})` : ''}, ` +
+    `reranker ${settings.reranker || 'none'}${settings.expand ? '' : ', no expansion'}` +
+    `${settings.feedbackBoost > 0 ? `, feedback boost ${settings.feedbackBoost}` : ''}` +
+    `${settings.collapse ? ', collapsed' : ''}${settings.diversity > 0 ? `, diversity ${settings.diversity}` : ''}`
+  );
+  console.log('');
+
+  const idWidth = Math.max(2, ...report.queries.map(query => query.id.length));
+  console.log(`${'id'.padEnd(idWidth)}  recall  mrr    ndcg   rank  query`);
+
+  for (const query of report.queries) {
+    console.log(
+      `${query.id.padEnd(idWidth)}  ${formatScore(query.recall)}   ${formatScore(query.mrr)}  ${formatScore(query.ndcg)}  ` +
+      `${String(query.firstRelevantRank ?? '-').padStart(4)}  ${query.query}`
+    );
+  }
+
+  console.log('');
+  console.log(
+    `recall@${report.k} ${formatScore(report.metrics.recall)}  MRR ${formatScore(report.metrics.mrr)}  ` +
+    `nDCG@${report.k} ${formatScore(report.metrics.ndcg)}  (${(report.durationMs / 1000).toFixed(1)}s)`
+  );
+
+  if (comparison) {
+    const { metrics } = comparison;
+
+    console.log('');
+    console.log(`Compared with ${comparison.baseline.id}${comparison.baseline.label ? ` (${comparison.baseline.label})` : ''}:`);
+
+    if (!comparison.comparable) {
+      console.log('  Warning: the baseline ran a different golden set or k; deltas are not comparable');
+    }
+
+    console.log(
+      `  recall ${formatDelta(metrics.recall.delta)}  MRR ${formatDelta(metrics.mrr.delta)}  nDCG ${formatDelta(metrics.ndcg.delta)}`
+    );
+
+    for (const change of [...comparison.regressed, ...comparison.improved]) {
+      console.log(`  ${formatDelta(change.delta)}  ${change.id}: ${change.query}`);
+    }
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const vectorStore = createVectorStore();
+
+  try {
+    const queryService = new QueryService(vectorStore);
+    await queryService.initialize();
+
+    const evalService = new EvalService(queryService);
+
+    const goldenSet = await loadGoldenSet(evalService, options.golden);
+    const baseline = options.baseline ? await loadBaseline(evalService, options.baseline) : null;
+
+    const report = await evalService.runEval(goldenSet, options);
+
+    if (options.save) {
+      await evalService.saveReport(report);
+    }
+
+    const comparison = baseline ? evalService.compareReports(baseline, report) : null;
+
+    if (options.json) {
+      console.log(JSON.stringify({ ...report, ...(comparison && { comparison }) }, null, 2));
+    } else {
+      printReport(report, comparison);
+
+      if (options.save) {
+        console.log(`\nSaved report ${report.id}`);
+      }
+    }
+
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+
+    if (error instanceof InvalidGoldenSetError) {
+      console.error(`Error: ${error.message}`);
+      return 2;
+    }
+
+    console.error(`Eval failed: ${error.message}`);
+    return 1;
+  } finally {
+    await vectorStore.close().catch(() => {});
+  }
+}
+
+main().then((code) => {
+  process.exit(code);
+});
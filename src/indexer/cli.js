@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/**
+ * Indexer CLI
+ *
+ * Indexes a documentation directory or zip archive into the configured vector store.
+ *
+ * Usage:
+ *   npm run index -- <path> --version <version> [options]
+ *
+ * Options:
+ *   --version, -v      Documentation version (required)
+ *   --source           Directory to index (alternative to <path>)
+ *   --zip              Zip archive to index (alternative to <path>)
+ *   --chunk-size       Override chunk size in characters
+ *   --overlap          Override chunk overlap in characters
+ *   --strategy         Chunking strategy: size or markdown
+ *   --batch-size       Chunks per vector store batch (default: 50)
+ *   --full             Re-index every document instead of only changed ones
+ *   --clear            Clear ALL existing documents before indexing
+ *   --help, -h         Show this help
+ *
+ * Press Ctrl+C once to cancel and roll back the partially indexed version.
+ * Exits with code 1 when indexing fails, 2 on invalid arguments and 130 when cancelled.
+ */
+import { parseArgs } from 'util';
+import { stat } from 'fs/promises';
+import { resolve, extname } from 'path';
+import { FileSystemSource } from '../adapters/sources/FileSystemSource.js';
+import { ZipSource } from '../adapters/sources/ZipSource.js';
+import { createVectorStore } from '../adapters/vectorstore/createVectorStore.js';
+import { DocumentProcessor, CHUNK_STRATEGIES } from '../services/DocumentProcessor.js';
+import { IndexService, IndexCancelledError } from '../services/IndexService.js';
+import { versionMetadataService } from '../services/VersionMetadataService.js';
+import { synonymService } from '../services/SynonymService.js';
+import { config } from '../utils/config.js';
+
+const USAGE = `Usage: npm run index -- <path> --version <version> [options]
+
+Arguments:
+  <path>               Directory or .zip archive containing markdown docs
+
+Options:
+  -v, --version <ver>  Documentation version (required)
+  --source <dir>       Directory to index (alternative to <path>)
+  --zip <file>         Zip archive to index (alternative to <path>)
+  --chunk-size <n>     Chunk size in characters (default: ${config.chunking.chunkSize})
+  --overlap <n>        Chunk overlap in characters (default: ${config.chunking.chunkOverlap})
+  --strategy <name>    Chunking strategy: ${CHUNK_STRATEGIES.join(' or ')} (default: ${config.chunking.strategy})
+  --batch-size <n>     Chunks per vector store batch (default: 50)
+  --full               Re-index every document instead of only changed ones
+  --clear              Clear ALL existing documents before indexing
+  -h, --help           Show this help`;
+
+class UsageError extends Error {}
+
+/**
+ * Parse and validate command-line arguments
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      version: { type: 'string', short: 'v' },
+      source: { type: 'string' },
+      zip: { type: 'string' },
+      'chunk-size': { type: 'string' },
+      overlap: { type: 'string' },
+      strategy: { type: 'string' },
+      'batch-size': { type: 'string' },
+      full: { type: 'boolean', default: false },
+      clear: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+
+  const inputs = [positionals[0], values.source, values.zip].filter(Boolean);
+  if (inputs.length !== 1 || positionals.length > 1) {
+    throw new UsageError('Provide exactly one directory or zip path');
+  }
+
+  if (!values.version) {
+    throw new UsageError('--version is required');
+  }
+
+  const parsePositiveInt = (name, value) => {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new UsageError(`--${name} must be a non-negative integer`);
+    }
+    return number;
+  };
+
+  const chunkSize = parsePositiveInt('chunk-size', values['chunk-size']);
+  const chunkOverlap = parsePositiveInt('overlap', values.overlap);
+  const batchSize = parsePositiveInt('batch-size', values['batch-size']) || 50;
+
+  if (chunkSize === 0) {
+    throw new UsageError('--chunk-size must be greater than 0');
+  }
+
+  const chunkStrategy = values.strategy || config.chunking.strategy;
+  if (!CHUNK_STRATEGIES.includes(chunkStrategy)) {
+    throw new UsageError(`--strategy must be one of: ${CHUNK_STRATEGIES.join(', ')}`);
+  }
+
+  const effectiveSize = chunkSize ?? config.chunking.chunkSize;
+  const effectiveOverlap = chunkOverlap ?? config.chunking.chunkOverlap;
+  if (effectiveOverlap >= effectiveSize) {
+    throw new UsageError('--overlap must be smaller than the chunk size');
+  }
+
+  return {
+    inputPath: resolve(inputs[0]),
+    forceZip: Boolean(values.zip),
+    forceDirectory: Boolean(values.source),
+    version: values.version,
+    chunkSize,
+    chunkOverlap,
+    chunkStrategy,
+    batchSize,
+    incremental: !values.full,
+    clearExisting: values.clear,
+  };
+}
+
+/**
+ * Create a document source for a directory or zip path
+ */
+async function createDocumentSource({ inputPath, forceZip, forceDirectory }) {
+  let stats;
+  try {
+    stats = await stat(inputPath);
+  } catch {
+    throw new UsageError(`Path not found: ${inputPath}`);
+  }
+
+  if (stats.isDirectory()) {
+    if (forceZip) throw new UsageError(`--zip expects a file, got directory: ${inputPath}`);
+    return new FileSystemSource(inputPath);
+  }
+
+  if (forceDirectory) throw new UsageError(`--source expects a directory, got file: ${inputPath}`);
+  if (extname(inputPath).toLowerCase() !== '.zip') {
+    throw new UsageError(`Only directories and .zip files are supported: ${inputPath}`);
+  }
+
+  return new ZipSource(inputPath);
+}
+
+/**
+ * Print a progress line; rewrites the same line when attached to a terminal
+ */
+function createProgressReporter(stream = process.stdout) {
+  let lastLine = '';
+
+  return ({ stage, progress, message }) => {
+    const line = `[${String(progress).padStart(3)}%] ${stage.padEnd(12)} ${message}`;
+    if (line === lastLine) return;
+    lastLine = line;
+
+    if (stream.isTTY) {
+      stream.write(`\r\x1b[2K${line}`);
+      if (stage === 'completed') stream.write('\n');
+    } else {
+      stream.write(`${line}\n`);
+    }
+  };
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const startTime = Date.now();
+  const vectorStore = createVectorStore();
+  const cancelController = new AbortController();
+
+  if (config.vectorStore.adapter === 'memory' && !config.memory.persistPath) {
+    console.warn('Warning: VECTOR_STORE=memory without MEMORY_STORE_PATH - indexed data is lost when the CLI exits');
+  }
+
+  try {
+    const documentSource = await createDocumentSource(options);
+
+    const documentProcessor = new DocumentProcessor({
+      chunkSize: options.chunkSize,
+      chunkOverlap: options.chunkOverlap,
+      chunkStrategy: options.chunkStrategy,
+    });
+
+    const indexService = new IndexService(documentSource, documentProcessor, vectorStore);
+
+    // First Ctrl+C cancels and rolls back, a second one exits immediately
+    process.on('SIGINT', () => {
+      if (cancelController.signal.aborted) {
+        process.exit(130);
+      }
+      console.error('\nCancelling - rolling back partially indexed documents (press Ctrl+C again to force exit)');
+      cancelController.abort();
+    });
+
+    console.log(
+      `Indexing ${options.inputPath} as version ${options.version} ` +
+      `(${config.vectorStore.adapter}, ${options.chunkStrategy} chunking)`
+    );
+
+    const result = await indexService.indexDocuments({
+      version: options.version,
+      batchSize: options.batchSize,
+      incremental: options.incremental,
+      clearExisting: options.clearExisting,
+      signal: cancelController.signal,
+      onProgress: createProgressReporter(),
+    });
+
+    await versionMetadataService.generateMetadata(options.version, vectorStore);
+    await synonymService.generateSynonyms(options.version, vectorStore);
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    const { diff } = result;
+    console.log(
+      `Indexed ${result.documentsProcessed} documents into ${result.chunksIndexed} chunks in ${duration}s ` +
+      `(${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchanged} unchanged)`
+    );
+
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+
+    if (error instanceof IndexCancelledError) {
+      console.error('Indexing cancelled');
+      return 130;
+    }
+
+    console.error(`\nIndexing failed: ${error.message}`);
+    return 1;
+  } finally {
+    await vectorStore.close().catch(() => {});
+  }
+}
+
+main().then((code) => {
+  process.exit(code);
+});
@@ -8,10 +8,31 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
 import { createLogger } from '../utils/logger.js';
+import { SEARCH_MODES, MAX_CONTEXT_WINDOW } from '../services/QueryService.js';
+import { versionAliasService } from '../services/VersionAliasService.js';
+import { VersionDiffService } from '../services/VersionDiffService.js';
+import { stitchChunks } from '../utils/chunker.js';
 import { z } from 'zod';
 
 const logger = createLogger({ component: 'MCPServer' });
 
+// search_docs output: full chunks, or only the highlighted snippets of each hit (saves tokens)
+const SEARCH_OUTPUTS = ['full', 'snippets'];
+
+// Same filter grammar as POST /api/search (see searchFilter.js)
+const FILTER_DESCRIPTION = 'Filter expression, e.g. {"path": {"prefix": "grid/api/"}}, {"type": {"in": ["api", "guide"]}}, '
+  + '{"chunkIndex": {"lt": 3}}, {"not": {"framework": "react"}} or {"or": [{...}, {...}]}. '
+  + 'Fields: path, product, framework, type, heading, chunkIndex, totalChunks, tags';
+
+const tagFilterSchema = z.union([
+  z.array(z.string()),
+  z.object({
+    any: z.array(z.string()).optional(),
+    all: z.array(z.string()).optional(),
+    none: z.array(z.string()).optional(),
+  }),
+]);
+
 /**
  * Create and configure MCP server using server.tool() method (like aloha-docs)
  */
@@ -28,6 +49,9 @@ export function createMCPServer(queryService, vectorStore) {
     }
   );
 
+  // The client named itself (e.g. "claude-code") when the session was initialized
+  const getClient = () => ({ source: 'mcp-sse', name: server.server.getClientVersion()?.name || null });
+
   // Tool: search_docs
   server.tool(
     'search_docs',
@@ -35,12 +59,38 @@ export function createMCPServer(queryService, vectorStore) {
     {
       query: z.string().describe('The search query'),
       limit: z.number().min(1).max(50).default(5).describe('Maximum number of results to return (1-50)'),
-      version: z.string().optional().describe('Documentation version to search (defaults to latest)'),
+      version: z.string().optional().describe('Documentation version or alias such as "latest", "stable" or "next" (defaults to latest)'),
+      versions: z.array(z.string()).min(1).max(10).optional().describe('Search several versions or aliases at once; results are grouped by version (use instead of version)'),
       product: z.string().optional().describe('Filter by product (grid, scheduler, gantt, etc.)'),
       framework: z.string().optional().describe('Filter by framework (react, angular, vue, vanilla)'),
+      filter: z.record(z.string(), z.any()).optional().describe(FILTER_DESCRIPTION),
+      tags: tagFilterSchema.optional().describe('Filter by tags: an array matches any tag, or { any, all, none } for any/all semantics and exclusions (see list_tags)'),
+      mode: z.enum(SEARCH_MODES).optional().describe('Search mode: "vector" (semantic), "hybrid" (BM25 + vector) or "keyword" (BM25, best for exact API names)'),
+      alpha: z.number().min(0).max(1).optional().describe('Hybrid weighting: 0 = pure keyword, 1 = pure vector (default 0.5)'),
+      rerank: z.boolean().default(true).describe('Re-rank candidates with the configured reranker; results include a per-stage score breakdown'),
+      collapse: z.boolean().default(false).describe('Return only the best chunk per document, with otherMatches counting its other matching chunks'),
+      diversity: z.number().min(0).max(1).default(0).describe('MMR diversification: 0 = rank by relevance only, higher values favour results that differ from those already picked'),
+      contextWindow: z.number().int().min(0).max(MAX_CONTEXT_WINDOW).default(0).describe('Add the text of N chunks before and after each hit as context (overlap removed)'),
+      output: z.enum(SEARCH_OUTPUTS).default('full').describe('"full" returns whole chunks; "snippets" returns only query-focused excerpts with matches marked as <mark>...</mark>, using far fewer tokens'),
     },
-    async ({ query, limit = 5, version, product, framework }) => {
-      logger.info({ tool: 'search_docs', query, limit }, 'Executing MCP tool');
+    async ({
+      query,
+      limit = 5,
+      version,
+      versions,
+      product,
+      framework,
+      filter: expression,
+      tags,
+      mode,
+      alpha,
+      rerank = true,
+      collapse = false,
+      diversity = 0,
+      contextWindow = 0,
+      output = 'full',
+    }) => {
+      logger.info({ tool: 'search_docs', query, limit, mode, versions, tags }, 'Executing MCP tool');
 
       try {
         if (!query || typeof query !== 'string') {
@@ -50,11 +100,79 @@ export function createMCPServer(queryService, vectorStore) {
         const filter = {};
         if (product) filter.product = product;
         if (framework) filter.framework = framework;
+        if (expression) filter.and = [expression];
+
+        const compact = output === 'snippets';
+
+        const formatResult = (r) => compact ? {
+          id: r.id,
+          path: r.metadata.documentPath,
+          heading: r.metadata.heading,
+          score: r.score,
+          snippets: r.snippets.map((snippet) => snippet.marked),
+        } : {
+          id: r.id,
+          text: r.text,
+          score: r.score,
+          scores: r.scores,
+          otherMatches: r.otherMatches,
+          context: r.context,
+          mode: r.mode,
+          metadata: r.metadata,
+        };
+
+        if (versions && versions.length > 0) {
+          const groups = await queryService.searchVersions(query, {
+            versions,
+            limit: Math.min(Math.max(limit, 1), 50),
+            filter,
+            tags,
+            mode,
+            alpha,
+            rerank,
+            collapse,
+            diversity,
+            contextWindow,
+            client: getClient(),
+          });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(
+                  {
+                    query,
+                    versions: groups.map((g) => g.version),
+                    count: groups.reduce((sum, g) => sum + g.results.length, 0),
+                    groups: groups.map((g) => ({
+                      version: g.version,
+                      count: g.results.length,
+                      results: g.results.map(formatResult),
+                    })),
+                  },
+                  null,
+                  compact ? undefined : 2
+                ),
+              },
+            ],
+          };
+        }
+
+        const searchVersion = await queryService.resolveVersion(version);
 
         const results = await queryService.search(query, {
           limit: Math.min(Math.max(limit, 1), 50),
           filter,
-          version,
+          version: searchVersion,
+          tags,
+          mode,
+          alpha,
+          rerank,
+          collapse,
+          diversity,
+          contextWindow,
+          client: getClient(),
         });
 
         return {
@@ -64,17 +182,13 @@ export function createMCPServer(queryService, vectorStore) {
               text: JSON.stringify(
                 {
                   query,
-                  version: results[0]?.metadata?.version || version,
+                  version: searchVersion,
+                  mode: results[0]?.mode || mode,
                   count: results.length,
-                  results: results.map((r) => ({
-                    id: r.id,
-                    text: r.text,
-                    score: r.score,
-                    metadata: r.metadata,
-                  })),
+                  results: results.map(formatResult),
                 },
                 null,
-                2
+                compact ? undefined : 2
               ),
             },
           ],
@@ -164,13 +278,46 @@ export function createMCPServer(queryService, vectorStore) {
     }
   );
 
+  // Tool: get_chunk_context
+  server.tool(
+    'get_chunk_context',
+    'Get a chunk together with the chunks before and after it, stitched into one text with overlap removed. Use this after search to read around a hit without fetching the whole document.',
+    {
+      id: z.string().describe('Document chunk ID from search results'),
+      window: z.number().int().min(0).max(MAX_CONTEXT_WINDOW).default(1).describe(`Chunks to include before and after the hit (0-${MAX_CONTEXT_WINDOW})`),
+    },
+    async ({ id, window = 1 }) => {
+      logger.info({ tool: 'get_chunk_context', id, window }, 'Executing MCP tool');
+
+      try {
+        const context = await queryService.getChunkContext(id, window);
+
+        if (!context) {
+          throw new Error(`Document not found: ${id}`);
+        }
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(context, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error({ error: error.message, tool: 'get_chunk_context' }, 'Tool execution failed');
+        throw error;
+      }
+    }
+  );
+
   // Tool: get_full_document
   server.tool(
     'get_full_document',
     'Get the complete full document by reconstructing all chunks. Use this after search to get the entire document content instead of just a single chunk.',
     {
       documentPath: z.string().describe('Document path from search result metadata (e.g., "grid/api/Grid.md")'),
-      version: z.string().describe('Documentation version (use same version from search results)'),
+      version: z.string().describe('Documentation version (use same version from search results) or an alias such as "latest"'),
     },
     async ({ documentPath, version }) => {
       logger.info({ tool: 'get_full_document', documentPath, version }, 'Executing MCP tool');
@@ -183,17 +330,18 @@ export function createMCPServer(queryService, vectorStore) {
           throw new Error('version is required');
         }
 
-        const chunks = await vectorStore.getDocumentChunks(documentPath, version);
+        const resolvedVersion = await queryService.resolveVersion(version);
+        const chunks = await vectorStore.getDocumentChunks(documentPath, resolvedVersion);
 
         if (!chunks || chunks.length === 0) {
           throw new Error(`Document not found: ${documentPath} (version: ${version})`);
         }
 
-        // Reconstruct full document text
-        const fullText = chunks.map(chunk => {
-          const heading = chunk.metadata.heading ? `\n\n## ${chunk.metadata.heading}\n\n` : '';
-          return heading + chunk.text;
-        }).join('\n\n');
+        // Reconstruct the original document from chunk offsets
+        const fullText = stitchChunks(chunks.map(chunk => ({
+          text: chunk.text,
+          start: chunk.metadata.startOffset,
+        })));
 
         return {
           content: [
@@ -202,7 +350,7 @@ export function createMCPServer(queryService, vectorStore) {
               text: JSON.stringify(
                 {
                   documentPath,
-                  version,
+                  version: resolvedVersion,
                   totalChunks: chunks.length,
                   metadata: chunks[0]?.metadata || {},
                   fullText,
@@ -223,14 +371,14 @@ export function createMCPServer(queryService, vectorStore) {
   // Tool: list_versions
   server.tool(
     'list_versions',
-    'List all available documentation versions in the database.',
+    'List all available documentation versions in the database, plus aliases (latest, stable, next, ...) that can be used as a version.',
     {},
     async () => {
       logger.info({ tool: 'list_versions' }, 'Executing MCP tool');
 
       try {
         const versions = await vectorStore.getAllVersions();
-        const latest = await vectorStore.getLatestVersion();
+        const aliases = await versionAliasService.getAliases(vectorStore);
 
         return {
           content: [
@@ -239,7 +387,8 @@ export function createMCPServer(queryService, vectorStore) {
               text: JSON.stringify(
                 {
                   versions,
-                  latest,
+                  latest: aliases.latest.version,
+                  aliases: Object.fromEntries(Object.entries(aliases).map(([alias, { version }]) => [alias, version])),
                   count: versions.length,
                 },
                 null,
@@ -255,6 +404,47 @@ export function createMCPServer(queryService, vectorStore) {
     }
   );
 
+  // Tool: diff_versions
+  server.tool(
+    'diff_versions',
+    'Compare two documentation versions. Returns added, removed and changed documents, with a unified diff per changed document. Useful for migration questions ("what changed in X between versions").',
+    {
+      from: z.string().describe('Base version or alias (e.g., "5.6.0" or "stable")'),
+      to: z.string().describe('Target version or alias (e.g., "6.0.0" or "latest")'),
+      pathPrefix: z.string().optional().describe('Only compare documents whose path starts with this prefix (e.g., "grid/api/")'),
+      includeDiffs: z.boolean().default(true).describe('Include the text diff of each changed document (set false for a summary only)'),
+    },
+    async ({ from, to, pathPrefix, includeDiffs = true }) => {
+      logger.info({ tool: 'diff_versions', from, to, pathPrefix }, 'Executing MCP tool');
+
+      try {
+        const versions = await vectorStore.getAllVersions();
+        const diffService = new VersionDiffService(vectorStore);
+
+        for (const requested of [from, to]) {
+          const resolved = await queryService.resolveVersion(requested);
+          if (!versions.includes(resolved)) {
+            throw new Error(`Version not found: ${requested}`);
+          }
+        }
+
+        const diff = await diffService.diffVersions(from, to, { pathPrefix, includeDiffs });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(diff, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error({ error: error.message, tool: 'diff_versions' }, 'Tool execution failed');
+        throw error;
+      }
+    }
+  );
+
   // Tool: list_products
   server.tool(
     'list_products',
@@ -484,8 +674,10 @@ export async function connectMCPTransport(fastify, queryService, vectorStore) {
         'install_instructions',
         'search_docs',
         'get_doc',
+        'get_chunk_context',
         'get_full_document',
         'list_versions',
+        'diff_versions',
         'list_products',
         'list_frameworks',
         'list_tags'
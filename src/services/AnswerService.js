@@ -0,0 +1,203 @@
+/**
+ * Answer Service
+ *
+ * Answers questions about the documentation (retrieval-augmented generation):
+ * retrieves the best chunks for the question, hands them to the configured
+ * LLM provider as numbered sources and maps the inline [n] citations of the
+ * answer back to chunk ids and document paths.
+ * Follows Single Responsibility Principle (SRP) and Dependency Inversion Principle (DIP).
+ */
+import { createLogger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { createLlmProvider } from '../adapters/llm/createLlmProvider.js';
+
+const logger = createLogger({ component: 'AnswerService' });
+
+// Most chunks retrieved as context
+export const MAX_ASK_CONTEXT = 20;
+
+// Answer given without calling the provider when nothing was retrieved
+const NO_CONTEXT_ANSWER = 'No relevant documentation found.';
+
+const SYSTEM_PROMPT = `You answer questions about the Bryntum documentation.
+Use only the numbered sources in the user message. Cite the sources that support each statement
+inline with their numbers in square brackets, e.g. [2] or [1][3]. If the sources do not answer the
+question, say so instead of guessing. Answer in Markdown and keep code examples short.`;
+
+/**
+ * Find the sources cited inline ([1], [1][3], [1, 3]) in an answer
+ * @param {string} text - Answer text
+ * @param {Array<object>} sources - Numbered sources the answer was generated from
+ * @returns {Array<object>} Cited sources, in order of first citation
+ */
+export function extractCitations(text, sources) {
+  const byNumber = new Map(sources.map(source => [source.number, source]));
+  const cited = new Map();
+
+  for (const [, numbers] of text.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    for (const number of numbers.split(',').map(Number)) {
+      if (byNumber.has(number) && !cited.has(number)) {
+        cited.set(number, byNumber.get(number));
+      }
+    }
+  }
+
+  return [...cited.values()];
+}
+
+export class AnswerService {
+  constructor(queryService, provider = createLlmProvider()) {
+    this.queryService = queryService;
+    this.provider = provider;
+  }
+
+  /**
+   * Retrieve the context of a question as numbered sources
+   * @param {string} question - Question
+   * @param {object} options
+   * @param {number} options.limit - Chunks to retrieve (default: configured)
+   * @param {string} options.version - Version or alias (default: latest)
+   * @param {object} options.filter - Filter expression (see QueryService.search)
+   * @param {string[] | object} options.tags - Tags to match: an array (any) or { any, all, none }
+   * @param {string} options.mode - Search mode
+   * @param {object} options.client - Who asked (for search analytics)
+   * @param {string} options.model - LLM model (default: the provider's)
+   * @param {number} options.temperature - LLM sampling temperature (default: the provider's)
+   * @param {number} options.maxTokens - Most tokens of the answer (default: configured)
+   * @returns {Promise<{version: string | null, sources: Array<object>}>}
+   * @throws {InvalidFilterError}
+   */
+  async retrieve(question, options = {}) {
+    const { limit = config.ask.contextResults, version, filter, tags, mode, client = null } = options;
+
+    const page = await this.queryService.searchPage(question, {
+      limit: Math.min(limit, MAX_ASK_CONTEXT),
+      version,
+      filter,
+      tags,
+      mode,
+      client,
+    });
+
+    const sources = page.results.map((result, index) => ({
+      number: index + 1,
+      id: result.id,
+      documentPath: result.metadata.documentPath,
+      heading: result.metadata.heading || null,
+      version: result.metadata.version,
+      score: result.score,
+      text: result.text,
+    }));
+
+    return { version: page.version, sources };
+  }
+
+  /**
+   * Build the provider request: the question followed by the numbered sources
+   */
+  buildRequest(question, sources, { model, temperature, maxTokens = config.ask.maxTokens } = {}) {
+    const context = sources
+      .map(source => {
+        const title = source.heading ? `${source.documentPath} - ${source.heading}` : source.documentPath;
+        return `[${source.number}] ${title}\n${source.text.trim()}`;
+      })
+      .join('\n\n');
+
+    return {
+      system: SYSTEM_PROMPT,
+      messages: [{ role: 'user', content: `Question: ${question}\n\nSources:\n\n${context}` }],
+      model,
+      temperature,
+      maxTokens,
+    };
+  }
+
+  /**
+   * Describe sources for responses (without their text)
+   */
+  describeSources(sources) {
+    return sources.map(({ text, ...source }) => source);
+  }
+
+  /**
+   * Answer a question
+   * @param {string} question - Question
+   * @param {object} options - See retrieve()
+   * @returns {Promise<{answer: string, citations: Array<object>, sources: Array<object>, version: string | null, provider: string, model: string, usage: object | null, durationMs: number}>}
+   */
+  async answer(question, options = {}) {
+    const startTime = Date.now();
+    const { version, sources } = await this.retrieve(question, options);
+
+    let answer = NO_CONTEXT_ANSWER;
+    let model = options.model || this.provider.model;
+    let usage = null;
+
+    if (sources.length > 0) {
+      ({ text: answer, model, usage } = await this.provider.generate(this.buildRequest(question, sources, options)));
+    }
+
+    const citations = extractCitations(answer, sources);
+
+    logger.info(
+      { version, sources: sources.length, citations: citations.length, provider: this.provider.name },
+      'Question answered'
+    );
+
+    return {
+      answer,
+      citations: this.describeSources(citations),
+      sources: this.describeSources(sources),
+      version,
+      provider: this.provider.name,
+      model,
+      usage,
+      durationMs: Date.now() - startTime,
+    };
+  }
+
+  /**
+   * Answer a question as a stream of events:
+   *   - { type: 'sources', version, sources } once the context is retrieved
+   *   - { type: 'delta', text } for every piece of the answer
+   *   - { type: 'done', answer, citations, version, provider, model, durationMs } at the end
+   * @param {string} question - Question
+   * @param {object} options - See retrieve()
+   * @returns {AsyncIterator<object>}
+   */
+  async *answerStream(question, options = {}) {
+    const startTime = Date.now();
+    const { version, sources } = await this.retrieve(question, options);
+
+    yield { type: 'sources', version, sources: this.describeSources(sources) };
+
+    let answer = '';
+
+    if (sources.length === 0) {
+      answer = NO_CONTEXT_ANSWER;
+      yield { type: 'delta', text: answer };
+    } else {
+      for await (const text of this.provider.stream(this.buildRequest(question, sources, options))) {
+        answer += text;
+        yield { type: 'delta', text };
+      }
+    }
+
+    const citations = extractCitations(answer, sources);
+
+    logger.info(
+      { version, sources: sources.length, citations: citations.length, provider: this.provider.name },
+      'Question answered (streamed)'
+    );
+
+    yield {
+      type: 'done',
+      answer,
+      citations: this.describeSources(citations),
+      version,
+      provider: this.provider.name,
+      model: options.model || this.provider.model,
+      durationMs: Date.now() - startTime,
+    };
+  }
+}
@@ -4,18 +4,33 @@
  * Processes documents by chunking and preparing metadata.
  * Follows Single Responsibility Principle (SRP).
  */
-import { randomUUID } from 'crypto';
-import { chunkByMarkdownHeaders, chunkText } from '../utils/chunker.js';
+import { randomUUID, createHash } from 'crypto';
+import { chunkByMarkdownStructure, chunkTextRanges } from '../utils/chunker.js';
 import { createLogger } from '../utils/logger.js';
 import { config } from '../utils/config.js';
 
 const logger = createLogger({ component: 'DocumentProcessor' });
 
+/**
+ * Supported chunking strategies
+ *   size     - fixed-size chunks with overlap
+ *   markdown - split on heading hierarchy, size-split only oversized sections
+ */
+export const CHUNK_STRATEGIES = ['size', 'markdown'];
+
+// Bump when the stored chunk format changes, so incremental re-indexing
+// re-chunks documents whose content did not change (2 = character offsets)
+const CHUNK_FORMAT_VERSION = 2;
+
 export class DocumentProcessor {
   constructor(options = {}) {
     this.chunkSize = options.chunkSize || config.chunking.chunkSize;
-    this.chunkOverlap = options.chunkOverlap || config.chunking.chunkOverlap;
-    this.useMarkdownHeaders = options.useMarkdownHeaders ?? true;
+    this.chunkOverlap = options.chunkOverlap ?? config.chunking.chunkOverlap;
+    this.chunkStrategy = options.chunkStrategy || config.chunking.strategy;
+
+    if (!CHUNK_STRATEGIES.includes(this.chunkStrategy)) {
+      throw new Error(`Invalid chunk strategy: ${this.chunkStrategy}. Expected one of: ${CHUNK_STRATEGIES.join(', ')}`);
+    }
   }
 
   /**
@@ -102,6 +117,20 @@ export class DocumentProcessor {
     return 'guide'; // Default type
   }
 
+  /**
+   * Compute a content hash for a document.
+   * Chunking settings are part of the hash so that changing them re-chunks
+   * unchanged documents on the next incremental index.
+   * @param {object} document - Document with path and content
+   * @returns {string} Hex-encoded SHA-256 hash
+   */
+  computeContentHash(document) {
+    return createHash('sha256')
+      .update(`${CHUNK_FORMAT_VERSION}:${this.chunkStrategy}:${this.chunkSize}:${this.chunkOverlap}\n`)
+      .update(document.content)
+      .digest('hex');
+  }
+
   /**
    * Process a single document into chunks
    * @param {object} document - Document with path, content, and metadata
@@ -110,23 +139,23 @@ export class DocumentProcessor {
   processDocument(document) {
     logger.debug({ path: document.path }, 'Processing document');
 
-    // Chunk by size with larger chunks for better context
-    const chunks = this._chunkBySize(document.content);
+    const chunks = this.chunkStrategy === 'markdown'
+      ? this._chunkByHeaders(document.content)
+      : this._chunkBySize(document.content);
 
     // Extract metadata from document path
     const tags = this.extractTags(document.path);
     const product = this.extractProduct(document.path);
     const framework = this.extractFramework(document.path);
     const type = this.extractType(document.path);
+    const contentHash = this.computeContentHash(document);
 
     const processedChunks = chunks.map((chunk, index) => {
       const chunkId = randomUUID();
-      const text = typeof chunk === 'string' ? chunk : chunk.content;
-      const heading = typeof chunk === 'string' ? '' : chunk.heading;
 
       return {
         id: chunkId,
-        text,
+        text: chunk.content,
         metadata: {
           ...document.metadata,
           documentPath: document.path,
@@ -137,8 +166,11 @@ export class DocumentProcessor {
           type,       // Auto-extracted document type
           chunkIndex: index,
           totalChunks: chunks.length,
-          heading,
+          heading: chunk.heading,
           chunkId,
+          contentHash,
+          startOffset: chunk.start, // Character offsets in the source document
+          endOffset: chunk.end,
         },
       };
     });
@@ -177,7 +209,7 @@ export class DocumentProcessor {
    * @private
    */
   _chunkByHeaders(content) {
-    return chunkByMarkdownHeaders(content, this.chunkSize);
+    return chunkByMarkdownStructure(content, this.chunkSize, this.chunkOverlap);
   }
 
   /**
@@ -185,6 +217,11 @@ export class DocumentProcessor {
    * @private
    */
   _chunkBySize(content) {
-    return chunkText(content, this.chunkSize, this.chunkOverlap);
+    return chunkTextRanges(content, this.chunkSize, this.chunkOverlap).map(({ start, end }) => ({
+      heading: '',
+      content: content.slice(start, end),
+      start,
+      end,
+    }));
   }
 }
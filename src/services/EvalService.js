@@ -0,0 +1,415 @@
+/**
+ * Eval Service
+ *
+ * Measures retrieval quality: runs the queries of a golden set through
+ * QueryService.search and scores the retrieved documents against the
+ * expected ones with recall@k, MRR and nDCG@k.
+ *
+ * Golden sets are JSON files (eval/golden/{name}.json):
+ *   {
+ *     "name": "grid",
+ *     "queries": [
+ *       { "id": "row-reorder", "query": "drag and drop rows", "expected": ["grid/api/Grid/feature/RowReorder.md"] },
+ *       { "query": "filter a column", "expected": { "grid/api/Grid/feature/FilterBar.md": 2, "grid/api/Grid/feature/Filter.md": 1 } }
+ *     ]
+ *   }
+ * Expected documents are a list of paths (all equally relevant) or a map of
+ * path -> relevance grade. Queries may also carry a filter and tags.
+ *
+ * Metrics are computed over the distinct documents of the top k results.
+ * Reports are saved to data/eval/{id}.json; every report records the golden
+ * set hash, version and search settings, so runs can be compared with a
+ * baseline report (e.g. before and after a chunk size or reranker change).
+ * Follows Single Responsibility Principle (SRP) and Dependency Inversion Principle (DIP).
+ */
+import { readFile, writeFile, mkdir, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, basename } from 'path';
+import { createHash } from 'crypto';
+import { createLogger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { recallAtK, reciprocalRank, ndcgAtK } from '../utils/retrievalMetrics.js';
+
+const logger = createLogger({ component: 'EvalService' });
+
+// Golden set and report names (file names without .json)
+export const EVAL_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// Largest k accepted (same as the search limit)
+export const MAX_EVAL_K = 50;
+
+// Metrics of a run, averaged over its queries
+export const EVAL_METRICS = ['recall', 'mrr', 'ndcg'];
+
+/**
+ * Thrown when a golden set is malformed (reported as 400 by the REST API)
+ */
+export class InvalidGoldenSetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidGoldenSetError';
+  }
+}
+
+/**
+ * Validate a golden set and normalize the expected documents of every query to path -> grade
+ * @returns {{name: string, queries: Array<{id: string, query: string, expected: Object<string, number>, filter?: object, tags?: string[]}>}}
+ * @throws {InvalidGoldenSetError}
+ */
+export function normalizeGoldenSet(goldenSet) {
+  if (!goldenSet || typeof goldenSet !== 'object' || !Array.isArray(goldenSet.queries) || goldenSet.queries.length === 0) {
+    throw new InvalidGoldenSetError('Golden set must have a non-empty queries array');
+  }
+
+  const name = goldenSet.name ?? 'golden';
+  if (typeof name !== 'string' || !EVAL_NAME_PATTERN.test(name)) {
+    throw new InvalidGoldenSetError('Golden set name may only contain letters, digits, ".", "_" and "-"');
+  }
+
+  const ids = new Set();
+
+  const queries = goldenSet.queries.map((entry, index) => {
+    const label = `Query ${index + 1}`;
+
+    if (!entry || typeof entry.query !== 'string' || !entry.query.trim()) {
+      throw new InvalidGoldenSetError(`${label}: query must be a non-empty string`);
+    }
+
+    const id = entry.id === undefined ? String(index + 1) : entry.id;
+    if (typeof id !== 'string' || !id || ids.has(id)) {
+      throw new InvalidGoldenSetError(`${label}: id must be a unique non-empty string`);
+    }
+    ids.add(id);
+
+    let expected;
+    if (Array.isArray(entry.expected)) {
+      expected = Object.fromEntries(entry.expected.map(path => [path, 1]));
+    } else if (entry.expected && typeof entry.expected === 'object') {
+      expected = entry.expected;
+    } else {
+      throw new InvalidGoldenSetError(`${label}: expected must be an array of paths or an object of path -> grade`);
+    }
+
+    const paths = Object.keys(expected);
+    if (paths.length === 0 || !paths.every(path => path && typeof path === 'string')) {
+      throw new InvalidGoldenSetError(`${label}: expected must list at least one document path`);
+    }
+
+    if (!Object.values(expected).every(grade => typeof grade === 'number' && grade > 0)) {
+      throw new InvalidGoldenSetError(`${label}: relevance grades must be positive numbers`);
+    }
+
+    if (entry.tags !== undefined && (!Array.isArray(entry.tags) || !entry.tags.every(tag => typeof tag === 'string'))) {
+      throw new InvalidGoldenSetError(`${label}: tags must be an array of strings`);
+    }
+
+    return {
+      id,
+      query: entry.query,
+      expected,
+      ...(entry.filter !== undefined && { filter: entry.filter }),
+      ...(entry.tags !== undefined && { tags: entry.tags }),
+    };
+  });
+
+  return { name, queries };
+}
+
+/**
+ * Hash a normalized golden set; reports with the same hash ran the same queries
+ */
+function hashGoldenSet(goldenSet) {
+  return createHash('sha256').update(JSON.stringify(goldenSet.queries)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Average a metric over per-query results
+ */
+function mean(results, metric) {
+  return results.reduce((sum, result) => sum + result[metric], 0) / results.length;
+}
+
+export class EvalService {
+  /**
+   * @param {QueryService} queryService
+   * @param {object} paths
+   * @param {string} paths.goldenPath - Directory of golden sets (default: ./eval/golden)
+   * @param {string} paths.reportsPath - Directory of saved reports (default: ./data/eval)
+   */
+  constructor(queryService, { goldenPath = './eval/golden', reportsPath = './data/eval' } = {}) {
+    this.queryService = queryService;
+    this.goldenPath = goldenPath;
+    this.reportsPath = reportsPath;
+  }
+
+  /**
+   * Read and validate a golden set file
+   * @throws {InvalidGoldenSetError}
+   */
+  async readGoldenSet(filePath) {
+    let goldenSet;
+    try {
+      goldenSet = JSON.parse(await readFile(filePath, 'utf-8'));
+    } catch (error) {
+      throw new InvalidGoldenSetError(`Failed to read golden set ${filePath}: ${error.message}`);
+    }
+
+    // Sets without a name are named after their file
+    return normalizeGoldenSet({ name: basename(filePath, '.json'), ...goldenSet });
+  }
+
+  /**
+   * Get a golden set by name from the golden set directory
+   * @returns {Promise<object | null>} Null when there is no such set
+   */
+  async getGoldenSet(name) {
+    if (!EVAL_NAME_PATTERN.test(name)) {
+      return null;
+    }
+
+    const filePath = join(this.goldenPath, `${name}.json`);
+    return existsSync(filePath) ? this.readGoldenSet(filePath) : null;
+  }
+
+  /**
+   * List the golden sets of the golden set directory
+   * @returns {Promise<Array<{name: string, queryCount: number}>>}
+   */
+  async listGoldenSets() {
+    if (!existsSync(this.goldenPath)) {
+      return [];
+    }
+
+    const files = (await readdir(this.goldenPath)).filter(file => file.endsWith('.json')).sort();
+    const sets = [];
+
+    for (const file of files) {
+      try {
+        const goldenSet = await this.readGoldenSet(join(this.goldenPath, file));
+        sets.push({ name: basename(file, '.json'), queryCount: goldenSet.queries.length });
+      } catch (error) {
+        logger.warn({ error: error.message, file }, 'Skipping invalid golden set');
+      }
+    }
+
+    return sets;
+  }
+
+  /**
+   * Run a golden set against a version
+   * @param {object} goldenSet - Golden set (validated with normalizeGoldenSet)
+   * @param {object} options
+   * @param {string} options.version - Version or alias to search (default: latest)
+   * @param {number} options.k - Results scored per query (default: 10)
+   * @param {string} options.mode - Search mode (default: configured mode)
+   * @param {number} options.alpha - Hybrid weighting (default: configured alpha)
+   * @param {boolean} options.expand - Expand queries with synonyms (default: true)
+   * @param {boolean} options.rerank - Apply the configured reranker (default: true)
+   * @param {boolean} options.feedback - Apply the configured feedback boost (default: true;
+   *   turn it off to evaluate a golden set exported from feedback)
+   * @param {boolean} options.collapse - Keep only the best chunk per document (default: false)
+   * @param {number} options.diversity - MMR diversification (default: 0)
+   * @param {string} options.label - Free text describing the run, e.g. "chunk size 4000"
+   * @returns {Promise<object>} Report with averaged metrics and per-query results
+   * @throws {InvalidGoldenSetError | InvalidFilterError}
+   */
+  async runEval(goldenSet, options = {}) {
+    const {
+      version,
+      k = 10,
+      mode = config.search.defaultMode,
+      alpha = config.search.hybridAlpha,
+      expand = true,
+      rerank = true,
+      feedback = true,
+      collapse = false,
+      diversity = 0,
+      label = null,
+    } = options;
+
+    const normalized = normalizeGoldenSet(goldenSet);
+
+    const resolvedVersion = await this.queryService.resolveVersion(version);
+    const versions = await this.queryService.vectorStore.getAllVersions();
+
+    if (!resolvedVersion || !versions.includes(resolvedVersion)) {
+      throw new Error(`Version not found: ${version || 'latest'}`);
+    }
+
+    const settings = {
+      mode,
+      alpha: mode === 'hybrid' ? alpha : null,
+      expand,
+      reranker: rerank ? this.queryService.reranker?.name || null : null,
+      feedbackBoost: feedback ? config.search.feedbackBoost : 0,
+      collapse,
+      diversity,
+    };
+
+    logger.info({ goldenSet: normalized.name, version: resolvedVersion, k, settings }, 'Running eval');
+
+    const startTime = Date.now();
+    const queries = [];
+
+    // One query at a time so latencies are not skewed by concurrent searches;
+    // eval searches are kept out of the search analytics
+    for (const entry of normalized.queries) {
+      const queryStart = Date.now();
+
+      const results = await this.queryService.search(entry.query, {
+        version: resolvedVersion,
+        limit: k,
+        filter: entry.filter,
+        tags: entry.tags,
+        mode,
+        alpha,
+        expand,
+        rerank,
+        feedback,
+        collapse,
+        diversity,
+        track: false,
+      });
+
+      const ranking = [...new Set(results.map(result => result.metadata.documentPath))].slice(0, k);
+      const relevance = new Map(Object.entries(entry.expected));
+      const rank = ranking.findIndex(path => relevance.has(path));
+
+      queries.push({
+        id: entry.id,
+        query: entry.query,
+        recall: recallAtK(ranking, relevance, k),
+        mrr: reciprocalRank(ranking, relevance),
+        ndcg: ndcgAtK(ranking, relevance, k),
+        firstRelevantRank: rank === -1 ? null : rank + 1,
+        retrieved: ranking,
+        missing: [...relevance.keys()].filter(path => !ranking.includes(path)),
+        latencyMs: Date.now() - queryStart,
+      });
+    }
+
+    const createdAt = new Date();
+
+    const report = {
+      id: `${normalized.name}-${createdAt.toISOString().replace(/[:.]/g, '-')}`,
+      label,
+      goldenSet: {
+        name: normalized.name,
+        hash: hashGoldenSet(normalized),
+        queryCount: normalized.queries.length,
+      },
+      version: resolvedVersion,
+      k,
+      settings,
+      metrics: Object.fromEntries(EVAL_METRICS.map(metric => [metric, mean(queries, metric)])),
+      queries,
+      durationMs: Date.now() - startTime,
+      createdAt: createdAt.toISOString(),
+    };
+
+    logger.info({ id: report.id, metrics: report.metrics, durationMs: report.durationMs }, 'Eval completed');
+
+    return report;
+  }
+
+  /**
+   * Compare a report with a baseline report
+   * Reports are only comparable when they ran the same golden set with the same k.
+   * @returns {{baseline: object, comparable: boolean, metrics: object, improved: Array<object>, regressed: Array<object>}}
+   *   metrics maps each metric to { baseline, current, delta }; improved/regressed list the
+   *   queries whose nDCG changed, by id
+   */
+  compareReports(baseline, report) {
+    const comparable = baseline.goldenSet.hash === report.goldenSet.hash && baseline.k === report.k;
+
+    const metrics = Object.fromEntries(EVAL_METRICS.map(metric => [metric, {
+      baseline: baseline.metrics[metric],
+      current: report.metrics[metric],
+      delta: report.metrics[metric] - baseline.metrics[metric],
+    }]));
+
+    const baselineQueries = new Map(baseline.queries.map(query => [query.id, query]));
+    const changes = report.queries
+      .filter(query => baselineQueries.has(query.id))
+      .map(query => ({
+        id: query.id,
+        query: query.query,
+        baseline: baselineQueries.get(query.id).ndcg,
+        current: query.ndcg,
+        delta: query.ndcg - baselineQueries.get(query.id).ndcg,
+      }));
+
+    return {
+      baseline: {
+        id: baseline.id,
+        label: baseline.label,
+        version: baseline.version,
+        settings: baseline.settings,
+        createdAt: baseline.createdAt,
+      },
+      comparable,
+      metrics,
+      improved: changes.filter(change => change.delta > 0).sort((a, b) => b.delta - a.delta),
+      regressed: changes.filter(change => change.delta < 0).sort((a, b) => a.delta - b.delta),
+    };
+  }
+
+  /**
+   * Save a report to the reports directory
+   */
+  async saveReport(report) {
+    try {
+      await mkdir(this.reportsPath, { recursive: true });
+      await writeFile(join(this.reportsPath, `${report.id}.json`), JSON.stringify(report, null, 2), 'utf-8');
+      logger.info({ id: report.id }, 'Eval report saved');
+    } catch (error) {
+      logger.error({ error: error.message, id: report.id }, 'Failed to save eval report');
+      throw error;
+    }
+  }
+
+  /**
+   * Get a saved report
+   * @returns {Promise<object | null>} Null when there is no such report
+   */
+  async getReport(id) {
+    if (!EVAL_NAME_PATTERN.test(id)) {
+      return null;
+    }
+
+    const filePath = join(this.reportsPath, `${id}.json`);
+    if (!existsSync(filePath)) {
+      return null;
+    }
+
+    return JSON.parse(await readFile(filePath, 'utf-8'));
+  }
+
+  /**
+   * List saved reports, newest first
+   * @param {string} goldenSetName - Only list reports of this golden set
+   * @returns {Promise<Array<{id: string, label: string | null, goldenSet: object, version: string, k: number, settings: object, metrics: object, createdAt: string}>>}
+   */
+  async listReports(goldenSetName) {
+    if (!existsSync(this.reportsPath)) {
+      return [];
+    }
+
+    const files = (await readdir(this.reportsPath)).filter(file => file.endsWith('.json'));
+    const reports = [];
+
+    for (const file of files) {
+      try {
+        const { queries, durationMs, ...summary } = JSON.parse(await readFile(join(this.reportsPath, file), 'utf-8'));
+
+        if (!goldenSetName || summary.goldenSet.name === goldenSetName) {
+          reports.push(summary);
+        }
+      } catch (error) {
+        logger.warn({ error: error.message, file }, 'Skipping unreadable eval report');
+      }
+    }
+
+    return reports.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+}
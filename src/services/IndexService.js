@@ -3,12 +3,29 @@
  *
  * Orchestrates the indexing pipeline: source -> process -> store.
  * Weaviate handles embedding automatically via text2vec-openai module.
+ * Re-indexing an existing version is incremental: only documents whose content
+ * hash changed are re-added, and documents missing from the source are removed.
+ * New chunks are written under a staging version and promoted to the live
+ * version once the run succeeds, so searches keep seeing the previous content
+ * until then. When indexing fails or is cancelled through its AbortSignal the
+ * staged chunks are discarded and the live version is left untouched.
  * Follows Single Responsibility Principle (SRP) and Dependency Inversion Principle (DIP).
  */
 import { createLogger } from '../utils/logger.js';
+import { getStagingVersion } from '../utils/staging.js';
 
 const logger = createLogger({ component: 'IndexService' });
 
+/**
+ * Thrown when indexing is stopped through its AbortSignal
+ */
+export class IndexCancelledError extends Error {
+  constructor(message = 'Indexing was cancelled') {
+    super(message);
+    this.name = 'IndexCancelledError';
+  }
+}
+
 export class IndexService {
   constructor(documentSource, documentProcessor, vectorStore) {
     this.documentSource = documentSource;
@@ -19,43 +36,67 @@ export class IndexService {
   /**
    * Index all documents from the source
    * @param {object} options - Indexing options
-   * @returns {Promise<{documentsProcessed: number, chunksIndexed: number}>}
+   * @param {boolean} options.incremental - Only re-index changed documents (default: true)
+   * @param {AbortSignal} options.signal - Cancels indexing before the staged chunks are promoted
+   * @returns {Promise<{documentsProcessed: number, chunksIndexed: number, diff: object}>}
    */
   async indexDocuments(options = {}) {
-    const { batchSize = 50, clearExisting = false, version, onProgress } = options;
+    const { batchSize = 50, clearExisting = false, incremental = true, version, onProgress, signal } = options;
 
     if (!version) {
       throw new Error('Version is required for indexing');
     }
 
-    logger.info({ version }, 'Starting document indexing');
+    logger.info({ version, incremental }, 'Starting document indexing');
 
-    try {
-      // Report progress helper
-      const reportProgress = (stage, progress, message, data = {}) => {
-        if (onProgress) {
-          onProgress({ stage, progress, message, version, ...data });
-        }
-      };
+    const stagingVersion = getStagingVersion(version);
+    let staged = false;
+
+    const throwIfCancelled = () => {
+      if (signal?.aborted) {
+        throw new IndexCancelledError();
+      }
+    };
+
+    // Report progress helper
+    let lastProgress = 0;
+    const reportProgress = (stage, progress, message, data = {}) => {
+      lastProgress = progress;
+      if (onProgress) {
+        onProgress({ stage, progress, message, version, ...data });
+      }
+    };
 
+    try {
+      throwIfCancelled();
       reportProgress('initializing', 0, 'Initializing vector store');
 
       // Initialize vector store
       await this.vectorStore.initialize();
 
-      // Check if version exists and delete it (overwrite behavior)
-      const existingVersions = await this.vectorStore.getAllVersions();
-      if (existingVersions.includes(version)) {
-        logger.info({ version }, 'Version exists, deleting before re-indexing');
-        reportProgress('clearing', 5, `Overwriting existing version: ${version}`);
-        await this.vectorStore.deleteByVersion(version);
-      }
-
       // Clear ALL existing documents if requested
       if (clearExisting) {
         logger.info('Clearing all existing documents');
         reportProgress('clearing', 5, 'Clearing all documents');
-        // TODO: Implement clear all functionality
+        await this.vectorStore.clearAll();
+      }
+
+      // Remove chunks left behind by an interrupted run
+      staged = true;
+      await this.vectorStore.deleteByVersion(stagingVersion);
+
+      // Load content hashes of the already indexed version (path -> hash)
+      let existingHashes = new Map();
+      const existingVersions = await this.vectorStore.getAllVersions();
+      if (existingVersions.includes(version)) {
+        if (incremental) {
+          logger.info({ version }, 'Version exists, re-indexing changed documents only');
+          reportProgress('clearing', 5, `Comparing with existing version: ${version}`);
+          existingHashes = await this.vectorStore.getDocumentHashes(version);
+        } else {
+          logger.info({ version }, 'Version exists, replacing it once indexing completes');
+          reportProgress('clearing', 5, `Overwriting existing version: ${version}`);
+        }
       }
 
       reportProgress('extracting', 10, 'Reading documents from source');
@@ -64,44 +105,74 @@ export class IndexService {
       const totalDocs = await this.documentSource.getDocumentCount();
       reportProgress('extracting', 15, `Found ${totalDocs} documents to process`, { totalDocuments: totalDocs });
 
+      const diff = { added: [], changed: [], removed: [], unchanged: 0 };
+      const seenPaths = new Set();
+
       let documentsProcessed = 0;
       let chunksIndexed = 0;
       let chunks = [];
 
-      // Read and process documents
-      const documents = this.documentSource.readDocuments();
-      const processedChunks = this.documentProcessor.processDocuments(documents);
-
       reportProgress('processing', 20, 'Processing and chunking documents');
 
-      for await (const chunk of processedChunks) {
-        // Add version to chunk metadata
-        chunk.metadata.version = version;
+      for await (const document of this.documentSource.readDocuments()) {
+        throwIfCancelled();
+        documentsProcessed++;
+        seenPaths.add(document.path);
+
+        // Calculate progress: 20% to 95% based on documents processed
+        // 20-95 gives us 75% range for actual processing
+        const progressPercent = 20 + Math.floor((documentsProcessed / (totalDocs || 1)) * 75);
+        reportProgress(
+          'processing',
+          Math.min(progressPercent, 95),
+          `Processing ${documentsProcessed}/${totalDocs} documents`,
+          { documentsProcessed, totalDocuments: totalDocs, chunksIndexed }
+        );
+
+        const contentHash = this.documentProcessor.computeContentHash(document);
+        const existingHash = existingHashes.get(document.path);
+
+        if (existingHash === contentHash) {
+          diff.unchanged++;
+          continue;
+        }
+
+        let processed;
+        try {
+          processed = this.documentProcessor.processDocument(document);
+        } catch (error) {
+          logger.error({ error: error.message, path: document.path }, 'Failed to process document');
+          continue;
+        }
+
+        // Hashes are stored on chunks, so a document without chunks has none:
+        // count it as unchanged unless it replaces indexed content
+        if (processed.length === 0 && existingHash === undefined) {
+          diff.unchanged++;
+          continue;
+        }
 
-        // Add version to tags array
-        if (!chunk.metadata.tags.includes(version)) {
-          chunk.metadata.tags = [...chunk.metadata.tags, version];
+        if (existingHash !== undefined) {
+          diff.changed.push(document.path);
+        } else {
+          diff.added.push(document.path);
         }
 
-        chunks.push(chunk);
-
-        // Track documents (only count when we see the first chunk of a document)
-        if (chunk.metadata.chunkIndex === 0) {
-          documentsProcessed++;
-
-          // Calculate progress: 20% to 95% based on documents processed
-          // 20-95 gives us 75% range for actual processing
-          const progressPercent = 20 + Math.floor((documentsProcessed / totalDocs) * 75);
-          reportProgress(
-            'processing',
-            progressPercent,
-            `Processing ${documentsProcessed}/${totalDocs} documents`,
-            { documentsProcessed, totalDocuments: totalDocs, chunksIndexed }
-          );
+        for (const chunk of processed) {
+          // Stage the chunk; it takes the live version on promotion
+          chunk.metadata.version = stagingVersion;
+
+          // Add version to tags array
+          if (!chunk.metadata.tags.includes(version)) {
+            chunk.metadata.tags = [...chunk.metadata.tags, version];
+          }
+
+          chunks.push(chunk);
         }
 
         // Process in batches
         if (chunks.length >= batchSize) {
+          throwIfCancelled();
           await this.vectorStore.addDocuments(chunks);
           chunksIndexed += chunks.length;
           chunks = [];
@@ -110,16 +181,37 @@ export class IndexService {
 
       // Process remaining chunks
       if (chunks.length > 0) {
+        throwIfCancelled();
         await this.vectorStore.addDocuments(chunks);
         chunksIndexed += chunks.length;
       }
 
-      // Cleanup
+      // Documents that are no longer part of the source
+      for (const path of existingHashes.keys()) {
+        if (!seenPaths.has(path)) {
+          diff.removed.push(path);
+        }
+      }
+
+      throwIfCancelled();
+
+      // Swap the staged chunks into the live version
+      reportProgress('promoting', 97, 'Promoting indexed documents');
+      const replacePaths = incremental ? [...diff.changed, ...diff.removed] : null;
+      await this.vectorStore.promoteVersion(stagingVersion, version, { replacePaths });
+      staged = false;
+
       reportProgress('finalizing', 98, 'Cleaning up');
-      await this.documentSource.cleanup();
 
       logger.info(
-        { documentsProcessed, chunksIndexed },
+        {
+          documentsProcessed,
+          chunksIndexed,
+          added: diff.added.length,
+          changed: diff.changed.length,
+          removed: diff.removed.length,
+          unchanged: diff.unchanged,
+        },
         'Indexing completed successfully'
       );
 
@@ -128,10 +220,36 @@ export class IndexService {
         chunksIndexed,
       });
 
-      return { documentsProcessed, chunksIndexed };
+      return { documentsProcessed, chunksIndexed, diff };
     } catch (error) {
-      logger.error({ error: error.message }, 'Indexing failed');
+      if (error instanceof IndexCancelledError) {
+        logger.warn({ version }, 'Indexing cancelled');
+        reportProgress('cancelling', lastProgress, 'Discarding staged documents');
+      } else {
+        logger.error({ error: error.message }, 'Indexing failed');
+      }
+
+      if (staged) {
+        await this.discardStaging(stagingVersion, version);
+      }
+
       throw error;
+    } finally {
+      await this.documentSource.cleanup();
+    }
+  }
+
+  /**
+   * Delete staged chunks of a run that did not complete
+   * The live version is never touched, so it keeps its previous content.
+   */
+  async discardStaging(stagingVersion, version) {
+    try {
+      await this.vectorStore.deleteByVersion(stagingVersion);
+      logger.info({ version }, 'Staged documents discarded');
+    } catch (error) {
+      // Leftovers are removed by the next run for this version
+      logger.error({ error: error.message, version }, 'Failed to discard staged documents');
     }
   }
 }
@@ -2,25 +2,126 @@
  * Job Manager
  *
  * Manages background indexing jobs with progress tracking.
- * Follows Single Responsibility Principle (SRP).
+ * Jobs are persisted through a pluggable JobStore so job history survives
+ * restarts; jobs that were still running when the process stopped are marked
+ * as interrupted on startup.
+ * Follows Single Responsibility Principle (SRP) and Dependency Inversion Principle (DIP).
  */
 import { EventEmitter } from 'events';
 import { nanoid } from 'nanoid';
+import { createJobStore } from '../adapters/jobstore/createJobStore.js';
+import { config } from '../utils/config.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger({ component: 'JobManager' });
 
+// Delay before persisting progress-only updates, so per-document progress
+// does not rewrite the store on every event
+const SAVE_DELAY_MS = 1000;
+
+// Statuses of jobs that are no longer running
+export const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+/**
+ * Thrown when a job would index a version that another job is still indexing
+ */
+export class JobConflictError extends Error {
+  constructor(version, jobId) {
+    super(`Version ${version} is already being indexed by job ${jobId}`);
+    this.name = 'JobConflictError';
+    this.jobId = jobId;
+  }
+}
+
 export class JobManager extends EventEmitter {
-  constructor() {
+  constructor(jobStore = createJobStore()) {
     super();
+    this.jobStore = jobStore;
     this.jobs = new Map(); // jobId -> job data
     this.activeJobs = new Set(); // Set of currently running job IDs
+    this.abortControllers = new Map(); // jobId -> AbortController of running jobs
+    this.initialized = false;
+    this.saveTimer = null;
+    this.savePromise = Promise.resolve();
+  }
+
+  /**
+   * Load persisted jobs and mark unfinished ones as interrupted
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    const jobs = await this.jobStore.load();
+    let interrupted = 0;
+
+    for (const job of jobs) {
+      // Jobs created after startup take precedence over persisted copies
+      if (this.jobs.has(job.id)) continue;
+
+      if (job.status === 'pending' || job.status === 'running') {
+        Object.assign(job, {
+          status: 'interrupted',
+          stage: 'interrupted',
+          message: 'Job was interrupted by a server restart',
+          interruptedAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        });
+        interrupted++;
+      }
+
+      this.jobs.set(job.id, job);
+    }
+
+    this.initialized = true;
+    logger.info({ count: jobs.length, interrupted }, 'Job history loaded');
+
+    if (interrupted > 0) {
+      this.persist(true);
+    }
+  }
+
+  /**
+   * Persist all jobs; progress-only updates are batched unless immediate
+   */
+  persist(immediate = false) {
+    if (!this.initialized) return;
+
+    if (!immediate) {
+      if (!this.saveTimer) {
+        this.saveTimer = setTimeout(() => this.persist(true), SAVE_DELAY_MS);
+        this.saveTimer.unref();
+      }
+      return;
+    }
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    // Chain saves so writes never overlap
+    this.savePromise = this.savePromise
+      .then(() => this.jobStore.save(this.getAllJobs()))
+      .catch((error) => {
+        logger.error({ error: error.message }, 'Failed to persist jobs');
+      });
+  }
+
+  /**
+   * Write any pending changes to the job store
+   */
+  async flush() {
+    if (this.saveTimer) {
+      this.persist(true);
+    }
+    await this.savePromise;
   }
 
   /**
    * Create a new job
+   * @throws {JobConflictError} When another job is still indexing metadata.version
    */
   createJob(type, metadata = {}) {
+    this.assertVersionAvailable(metadata.version);
+
     const jobId = nanoid();
     const job = {
       id: jobId,
@@ -37,6 +138,7 @@ export class JobManager extends EventEmitter {
     };
 
     this.jobs.set(jobId, job);
+    this.persist(true);
     logger.info({ jobId, type }, 'Job created');
 
     return jobId;
@@ -55,6 +157,9 @@ export class JobManager extends EventEmitter {
     Object.assign(job, updates, { updatedAt: new Date().toISOString() });
     this.jobs.set(jobId, job);
 
+    // Status changes are written straight away, progress is batched
+    this.persist('status' in updates);
+
     // Emit progress event
     this.emit('progress', job);
     this.emit(`progress:${jobId}`, job);
@@ -64,20 +169,25 @@ export class JobManager extends EventEmitter {
 
   /**
    * Mark job as started
+   * @returns {AbortSignal} Signal that is aborted when cancellation is requested
    */
   startJob(jobId) {
+    const controller = new AbortController();
+    this.abortControllers.set(jobId, controller);
     this.activeJobs.add(jobId);
     this.updateJob(jobId, {
       status: 'running',
       startedAt: new Date().toISOString(),
     });
+
+    return controller.signal;
   }
 
   /**
    * Mark job as completed
    */
   completeJob(jobId, result) {
-    this.activeJobs.delete(jobId);
+    this.finishJob(jobId);
     this.updateJob(jobId, {
       status: 'completed',
       progress: 100,
@@ -94,7 +204,7 @@ export class JobManager extends EventEmitter {
    * Mark job as failed
    */
   failJob(jobId, error) {
-    this.activeJobs.delete(jobId);
+    this.finishJob(jobId);
     this.updateJob(jobId, {
       status: 'failed',
       stage: 'error',
@@ -109,6 +219,89 @@ export class JobManager extends EventEmitter {
     logger.error({ jobId, error: error.message }, 'Job failed');
   }
 
+  /**
+   * Request cooperative cancellation of a running job
+   * @returns {boolean} False if the job is not running
+   */
+  requestCancel(jobId) {
+    const controller = this.abortControllers.get(jobId);
+    if (!controller) return false;
+
+    if (!controller.signal.aborted) {
+      controller.abort();
+      this.updateJob(jobId, {
+        stage: 'cancelling',
+        message: 'Cancellation requested',
+      });
+      logger.info({ jobId }, 'Job cancellation requested');
+    }
+
+    return true;
+  }
+
+  /**
+   * Mark job as cancelled
+   */
+  cancelJob(jobId) {
+    this.finishJob(jobId);
+    this.updateJob(jobId, {
+      status: 'cancelled',
+      stage: 'cancelled',
+      message: 'Job cancelled',
+      cancelledAt: new Date().toISOString(),
+    });
+
+    logger.info({ jobId }, 'Job cancelled');
+  }
+
+  /**
+   * Reset a finished job so it can run again
+   * @throws {JobConflictError} When another job is still indexing the job's version
+   */
+  requeueJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    this.assertVersionAvailable(job.metadata?.version, jobId);
+
+    this.updateJob(jobId, {
+      status: 'pending',
+      progress: 0,
+      stage: 'created',
+      message: 'Job queued for retry',
+      result: null,
+      error: null,
+      retries: (job.retries || 0) + 1,
+    });
+
+    logger.info({ jobId, retries: job.retries }, 'Job requeued');
+  }
+
+  /**
+   * Reject a job for a version that an unfinished job is indexing
+   * Jobs of one version share its staging version, so they must not overlap.
+   * @param {string} version - Version the job indexes (jobs without one never conflict)
+   * @param {string} jobId - Job being (re)started, ignored in the check
+   * @throws {JobConflictError}
+   */
+  assertVersionAvailable(version, jobId = null) {
+    if (!version) return;
+
+    for (const job of this.jobs.values()) {
+      if (job.id !== jobId && job.metadata?.version === version && !FINISHED_STATUSES.includes(job.status)) {
+        throw new JobConflictError(version, job.id);
+      }
+    }
+  }
+
+  /**
+   * Release the runtime state of a job that stopped running
+   */
+  finishJob(jobId) {
+    this.activeJobs.delete(jobId);
+    this.abortControllers.delete(jobId);
+  }
+
   /**
    * Get job status
    */
@@ -133,20 +326,27 @@ export class JobManager extends EventEmitter {
   }
 
   /**
-   * Clean up old completed jobs (older than 24h)
+   * Clean up finished jobs older than the configured retention period
    */
-  cleanup() {
-    const oneDayAgo = Date.now() - 24 * 60 * 60 * 1000;
+  cleanup(retentionHours = config.jobs.retentionHours) {
+    const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+    let removed = 0;
 
     for (const [jobId, job] of this.jobs.entries()) {
-      if (job.status === 'completed' || job.status === 'failed') {
+      if (FINISHED_STATUSES.includes(job.status)) {
         const jobTime = new Date(job.updatedAt).getTime();
-        if (jobTime < oneDayAgo) {
+        if (jobTime < cutoff) {
           this.jobs.delete(jobId);
+          this.emit('removed', job);
+          removed++;
           logger.debug({ jobId }, 'Cleaned up old job');
         }
       }
     }
+
+    if (removed > 0) {
+      this.persist(true);
+    }
   }
 }
 
@@ -1,17 +1,82 @@
 /**
  * Query Service
  *
- * Handles RAG queries: search vector store, format results.
+ * Handles RAG queries: expand the query, search vector store, re-rank candidates, format results.
  * Weaviate handles embedding automatically via text2vec-openai module.
+ * Queries are expanded with the synonym dictionary of the searched version.
+ * When a reranker is configured, more candidates than requested are fetched
+ * and re-scored; every result carries a per-stage score breakdown.
+ * Results can be collapsed per document, diversified with MMR and expanded
+ * with the text of their neighbouring chunks. Every result carries snippets
+ * of its text with the words matching the query highlighted.
+ * Results are cached (LRU with TTL); entries of a version are dropped whenever
+ * the vector store reports a write to it. Every search is recorded to the
+ * search analytics log with the client that made it.
+ * When a feedback boost is configured, documents voted up (down) for the same
+ * query on the searched version rank higher (lower).
  * Follows Single Responsibility Principle (SRP) and Dependency Inversion Principle (DIP).
  */
 import { createLogger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { versionAliasService } from './VersionAliasService.js';
+import { synonymService } from './SynonymService.js';
+import { searchAnalyticsService, getTopPaths } from './SearchAnalyticsService.js';
+import { searchFeedbackService } from './SearchFeedbackService.js';
+import { parseFilter, createTagCondition, andFilters } from '../utils/searchFilter.js';
+import { createReranker } from '../adapters/reranker/createReranker.js';
+import { collapseByDocument, selectMmr } from '../utils/diversify.js';
+import { stitchChunks } from '../utils/chunker.js';
+import { LruCache } from '../utils/lruCache.js';
+import { extractSnippets } from '../utils/snippets.js';
+import { encodeCursor, decodeCursor, fingerprintSearch, documentKey, InvalidCursorError } from '../utils/searchCursor.js';
 
 const logger = createLogger({ component: 'QueryService' });
 
+/**
+ * Supported search modes
+ *   vector  - semantic similarity (nearText)
+ *   hybrid  - BM25 + vector fusion weighted by alpha
+ *   keyword - pure BM25, best for exact API names
+ */
+export const SEARCH_MODES = ['vector', 'hybrid', 'keyword'];
+
+// Most candidates fetched for re-ranking and diversification, whatever the limit
+const MAX_CANDIDATES = 100;
+
+// Most neighbouring chunks included on each side of a hit
+export const MAX_CONTEXT_WINDOW = 5;
+
+/**
+ * Normalize a query for cache keys and cursors: trimmed, single spaces, lowercase
+ */
+function normalizeQuery(query) {
+  return query.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
 export class QueryService {
-  constructor(vectorStore) {
+  constructor(
+    vectorStore,
+    aliasService = versionAliasService,
+    reranker = createReranker(),
+    synonyms = synonymService,
+    analytics = searchAnalyticsService,
+    feedback = searchFeedbackService
+  ) {
     this.vectorStore = vectorStore;
+    this.aliasService = aliasService;
+    this.reranker = reranker;
+    this.synonyms = synonyms;
+    this.analytics = analytics;
+    this.feedback = feedback;
+
+    this.cache = new LruCache({
+      maxEntries: config.searchCache.maxEntries,
+      ttlMs: config.searchCache.ttlSeconds * 1000,
+    });
+    this.cacheInvalidations = 0;
+
+    // Indexing, promotion and version deletes all go through the vector store
+    this.vectorStore.on('change', ({ version }) => this.invalidateCache(version));
   }
 
   /**
@@ -21,63 +86,529 @@ export class QueryService {
     await this.vectorStore.initialize();
   }
 
+  /**
+   * Resolve a version or alias (latest, stable, next, ...) to an indexed version
+   * @param {string} version - Version or alias; empty resolves "latest"
+   * @returns {Promise<string | null>}
+   */
+  async resolveVersion(version) {
+    return this.aliasService.resolveVersion(version, this.vectorStore);
+  }
+
+  /**
+   * Expand a query with the synonym dictionary of a version
+   * @param {string} query - Search query
+   * @param {string} version - Version or alias; empty resolves "latest"
+   * @returns {Promise<{query: string, expansions: Array<{phrase: string, terms: string[]}>}>}
+   */
+  async expandQuery(query, version) {
+    const resolved = await this.resolveVersion(version);
+
+    if (!resolved || !config.search.queryExpansion) {
+      return { query, expansions: [] };
+    }
+
+    return this.synonyms.expandQuery(query, resolved);
+  }
+
   /**
    * Search for documents matching the query
    * @param {string} query - Search query
    * @param {object} options - Search options
-   * @returns {Promise<Array<{id: string, text: string, score: number, metadata: object}>>}
+   * @param {object} options.filter - Filter expression (see searchFilter.js for the grammar)
+   * @param {string[] | object} options.tags - Tags to match: an array (any) or { any, all, none }
+   * @param {string} options.mode - One of SEARCH_MODES (default: config.search.defaultMode)
+   * @param {number} options.alpha - Hybrid weighting, 0 = pure keyword, 1 = pure vector
+   * @param {boolean} options.expand - Expand the query with the version's synonyms (default: true)
+   * @param {boolean} options.rerank - Apply the configured reranker (default: true)
+   * @param {boolean} options.feedback - Apply the configured feedback boost (default: true)
+   * @param {boolean} options.collapse - Keep only the best chunk per document (default: false)
+   * @param {number} options.diversity - MMR diversification, 0 = off, 1 = maximum (default: 0)
+   * @param {number} options.contextWindow - Neighbouring chunks added on each side of every hit (default: 0)
+   * @param {{source: string, name: string | null}} options.client - Who is searching, for the analytics log
+   * @param {boolean} options.track - Record the search to the analytics log (default: true)
+   * @returns {Promise<Array<{id: string, text: string, score: number, scores: object, snippets: Array<object>, mode: string, metadata: object}>>}
    */
   async search(query, options = {}) {
-    const { limit = 5, filter = {}, version, tags } = options;
+    const { results } = await this.searchPage(query, options);
+    return results;
+  }
+
+  /**
+   * Search one page of results
+   * Pass the nextCursor of a page as options.cursor to get the next one.
+   * When re-ranking, feedback boosting, collapsing or diversification is on, the
+   * vector store ranking is ranked again in consecutive pools of candidates (their
+   * size is pinned by the cursor): pages are cut from a pool and continue with
+   * the next one. Either way pages follow the vector store ranking to its end.
+   * Collapsed searches never return a document twice: the cursor carries the
+   * documents of earlier pools, and their chunks in later pools are skipped.
+   * @param {string} query - Search query
+   * @param {object} options - Same options as search(), plus:
+   * @param {string} options.cursor - Cursor of the page to get (default: first page)
+   * @returns {Promise<{results: Array<object>, version: string | null, nextCursor: string | null}>}
+   * @throws {InvalidFilterError | InvalidCursorError}
+   */
+  async searchPage(query, options = {}) {
+    const {
+      limit = 5,
+      filter = {},
+      version,
+      tags,
+      mode = config.search.defaultMode,
+      alpha = config.search.hybridAlpha,
+      expand = true,
+      rerank = true,
+      feedback = true,
+      collapse = false,
+      diversity = 0,
+      contextWindow = 0,
+      cursor,
+      client = null,
+      track = true,
+    } = options;
+
+    const startTime = Date.now();
+
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Invalid search mode: ${mode}. Expected one of: ${SEARCH_MODES.join(', ')}`);
+    }
+
+    // Throws InvalidFilterError for malformed filters
+    const filterExpression = andFilters(parseFilter(filter), createTagCondition(tags));
+
+    const reranker = rerank ? this.reranker : null;
+    const feedbackBoost = feedback ? config.search.feedbackBoost : 0;
+    const ranked = Boolean(reranker || collapse || diversity > 0 || feedbackBoost > 0);
+
+    // Everything that defines the ranking; a cursor only continues the search it came from
+    const fingerprint = fingerprintSearch({
+      query: normalizeQuery(query),
+      version: version || null,
+      filter: filterExpression,
+      mode,
+      alpha: mode === 'hybrid' ? alpha : null,
+      expand,
+      reranker: reranker?.name || null,
+      feedbackBoost,
+      collapse,
+      diversity,
+    });
+
+    // Throws InvalidCursorError for malformed or foreign cursors
+    const position = cursor ? decodeCursor(cursor, fingerprint) : null;
+
+    // Cursors are not signed: never let one ask for more candidates than a search would
+    if (position?.pool > MAX_CANDIDATES) {
+      throw new InvalidCursorError();
+    }
 
     try {
-      // Determine which version to search
-      let searchVersion = version;
+      // Determine which version to search (aliases resolve, no version means latest);
+      // later pages stay on the version of the first page
+      const searchVersion = position ? position.version : await this.resolveVersion(version);
+
+      // Records the search to the analytics log
+      const recordSearch = (results, cached) => {
+        if (!track) return;
+
+        this.analytics.record({
+          query,
+          version: searchVersion,
+          filter: filterExpression,
+          mode,
+          offset: position?.offset || 0,
+          resultCount: results.length,
+          topPaths: getTopPaths(results),
+          latencyMs: Date.now() - startTime,
+          cached,
+          client,
+        });
+      };
 
-      // If no version specified, use latest version
       if (!searchVersion) {
-        searchVersion = await this.vectorStore.getLatestVersion();
+        logger.warn('No versions found in database');
+        recordSearch([], false);
+        return { results: [], version: null, nextCursor: null };
+      }
 
-        if (!searchVersion) {
-          logger.warn('No versions found in database');
-          return [];
-        }
+      if (searchVersion !== version) {
+        logger.debug({ requested: version, version: searchVersion }, 'Resolved search version');
+      }
+
+      // Restrict the filter to the version; the vector store applies it natively
+      const versionFilter = andFilters({ op: 'eq', field: 'version', value: searchVersion }, filterExpression);
+
+      // Expanded terms are used for retrieval and re-ranking alike
+      const searchQuery = expand ? (await this.expandQuery(query, searchVersion)).query : query;
+
+      const offset = position?.offset || 0;
+      const poolOffset = position?.poolOffset || 0;
+
+      // Over-fetch candidates for re-ranking, collapsing and diversification to choose from
+      const pool = position?.pool ?? (ranked ? Math.min(limit * config.rerank.candidateMultiplier, MAX_CANDIDATES) : null);
+
+      logger.info({ query: searchQuery, limit, offset, filter: versionFilter, mode, alpha }, 'Searching for documents');
 
-        logger.debug({ latestVersion: searchVersion }, 'Using latest version for search');
+      const cacheKey = this.getCacheKey(searchVersion, searchQuery, {
+        filter: filterExpression,
+        limit,
+        offset,
+        pool,
+        poolOffset,
+        mode,
+        alpha: mode === 'hybrid' ? alpha : null,
+        reranker: reranker?.name || null,
+        feedbackBoost,
+        collapse,
+        diversity,
+        contextWindow,
+      });
+
+      const cached = this.cache.get(cacheKey);
+      if (cached) {
+        logger.debug({ query: searchQuery, version: searchVersion }, 'Search served from cache');
+        recordSearch(cached.results, true);
+        return { ...cached, results: [...cached.results] };
       }
 
-      // Add version to filter
-      const versionFilter = { ...filter, version: searchVersion };
+      let results;
+      let next = null; // Position of the next page
 
-      logger.info({ query, limit, filter: versionFilter, tags }, 'Searching for documents');
+      if (ranked) {
+        // Documents collapsed in earlier pools (keys), and the ones on this page
+        const seenDocuments = new Set(position?.documents || []);
+        const pageDocuments = new Map();
 
-      // If tags are specified, we need to fetch more results to ensure we have enough after filtering
-      const fetchLimit = tags && tags.length > 0 ? limit * 3 : limit;
+        // Rank the pool of candidates starting at a position of the vector store ranking
+        const rankPool = async (start) => {
+          // One extra candidate tells whether the store has results after the pool
+          const candidates = await this.vectorStore.search(searchQuery, pool + 1, versionFilter, { mode, alpha, offset: start });
 
-      // Search vector store with version filter (Weaviate generates embedding automatically)
-      let results = await this.vectorStore.search(query, fetchLimit, versionFilter);
+          let rankedResults = await this.rerankResults(searchQuery, candidates.slice(0, pool), reranker);
 
-      // Post-filter by tags if specified
-      if (tags && tags.length > 0) {
-        results = results.filter(result => {
-          const docTags = result.metadata.tags || [];
-          // Check if any of the search tags match any of the document tags
-          return tags.some(tag => docTags.includes(tag));
-        });
+          if (feedbackBoost > 0) {
+            rankedResults = await this.applyFeedback(query, searchVersion, rankedResults, feedbackBoost);
+          }
+
+          if (collapse) {
+            rankedResults = collapseByDocument(rankedResults).filter(result => {
+              const key = documentKey(result.metadata.documentPath);
+              if (!seenDocuments.has(key)) return true;
+
+              // Already returned: count the chunks for the result if it is on this page
+              const shown = pageDocuments.get(key);
+              if (shown) shown.otherMatches += result.otherMatches + 1;
+              return false;
+            });
+          }
+
+          return { rankedResults, more: candidates.length > pool };
+        };
+
+        results = [];
+        let poolStart = poolOffset;
+        let start = offset;
+        let { rankedResults, more } = await rankPool(poolStart);
+
+        // Fill the page from the current pool, then from the following ones
+        for (;;) {
+          const end = start + limit - results.length;
+
+          // MMR picks greedily, so the first picks do not change when more are picked
+          const picked = diversity > 0
+            ? selectMmr(rankedResults, end, diversity).slice(start)
+            : rankedResults.slice(start, end);
+          results.push(...picked);
+
+          if (collapse) {
+            picked.forEach(result => pageDocuments.set(documentKey(result.metadata.documentPath), result));
+          }
 
-        // Limit to requested amount after filtering
-        results = results.slice(0, limit);
+          if (end < rankedResults.length) {
+            next = { offset: end, poolOffset: poolStart, documents: [...seenDocuments] };
+            break;
+          }
+
+          if (!more) break;
+
+          // The pool is used up: its documents are skipped in the following pools
+          if (collapse) {
+            rankedResults.forEach(result => seenDocuments.add(documentKey(result.metadata.documentPath)));
+          }
+
+          poolStart += pool;
+          start = 0;
+
+          if (results.length === limit) {
+            next = { offset: 0, poolOffset: poolStart, documents: [...seenDocuments] };
+            break;
+          }
+
+          ({ rankedResults, more } = await rankPool(poolStart));
+        }
+      } else {
+        // One extra result tells whether there is a next page
+        const candidates = await this.vectorStore.search(searchQuery, limit + 1, versionFilter, { mode, alpha, offset });
+
+        results = await this.rerankResults(searchQuery, candidates.slice(0, limit), null);
+
+        if (candidates.length > limit) {
+          next = { offset: offset + limit, poolOffset: 0 };
+        }
       }
 
-      logger.info({ resultCount: results.length, version: searchVersion, tags }, 'Search completed');
+      // Highlight expanded terms too, e.g. RowReorder for "drag and drop rows"
+      results = results.map(result => ({ ...result, snippets: extractSnippets(result.text, searchQuery) }));
 
-      return results;
+      if (contextWindow > 0) {
+        results = await this.addContext(results, Math.min(contextWindow, MAX_CONTEXT_WINDOW));
+      }
+
+      const nextCursor = next
+        ? encodeCursor({ version: searchVersion, ...next, pool, fingerprint })
+        : null;
+
+      logger.info(
+        { resultCount: results.length, offset, poolOffset, hasMore: Boolean(next), version: searchVersion, mode, reranker: reranker?.name },
+        'Search completed'
+      );
+
+      const page = { results, version: searchVersion, nextCursor };
+      this.cache.set(cacheKey, page);
+      recordSearch(results, false);
+
+      return { ...page, results: [...results] };
     } catch (error) {
       logger.error({ error: error.message }, 'Search failed');
       throw error;
     }
   }
 
+  /**
+   * Build the cache key of a search
+   * Keys start with the version so the entries of a version can be invalidated together.
+   */
+  getCacheKey(version, query, options) {
+    return `${version}\n${normalizeQuery(query)}\n${JSON.stringify(options)}`;
+  }
+
+  /**
+   * Drop cached results of a version
+   * @param {string | null} version - Version whose documents changed, null for all versions
+   */
+  invalidateCache(version = null) {
+    const removed = this.cache.deleteWhere(key => version === null || key.startsWith(`${version}\n`));
+
+    if (removed > 0) {
+      this.cacheInvalidations++;
+      logger.debug({ version, removed }, 'Search cache invalidated');
+    }
+  }
+
+  /**
+   * Get search cache counters
+   * @returns {{size: number, maxEntries: number, ttlMs: number, hits: number, misses: number, evictions: number, hitRate: number, invalidations: number}}
+   */
+  getCacheStats() {
+    return {
+      ...this.cache.getStats(),
+      invalidations: this.cacheInvalidations,
+    };
+  }
+
+  /**
+   * Re-score candidates, best first
+   * Every result gets scores: { retrieval, rerank, final } and its score becomes
+   * the final score. The retrieval order is kept when re-ranking fails.
+   * @returns {Promise<Array<object>>}
+   */
+  async rerankResults(query, candidates, reranker) {
+    const withScores = (result, scores) => ({ ...result, score: scores.final, scores });
+    const retrievalOnly = () => candidates
+      .map(result => withScores(result, { retrieval: result.score, final: result.score }));
+
+    if (!reranker || candidates.length === 0) {
+      return retrievalOnly();
+    }
+
+    let rerankScores;
+    try {
+      rerankScores = await reranker.rerank(query, candidates);
+    } catch (error) {
+      logger.warn({ error: error.message, reranker: reranker.name }, 'Re-ranking failed, keeping retrieval order');
+      return retrievalOnly();
+    }
+
+    // Retrieval scores differ in scale per mode (BM25 is unbounded), so scale by the best candidate
+    const maxRetrieval = Math.max(...candidates.map(candidate => candidate.score), 0);
+    const weight = config.rerank.weight;
+
+    return candidates
+      .map((candidate, index) => {
+        const retrieval = maxRetrieval > 0 ? candidate.score / maxRetrieval : 0;
+
+        return withScores(candidate, {
+          retrieval: candidate.score,
+          rerank: rerankScores[index],
+          final: (1 - weight) * retrieval + weight * rerankScores[index],
+        });
+      })
+      // Ties are ordered by id so pages do not overlap
+      .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1));
+  }
+
+  /**
+   * Boost results by the votes their documents got for the same query, best first
+   * Scores are multiplied by 1 + weight * boost (boost -1..1, see SearchFeedbackService);
+   * boosted results get scores.feedback.
+   * @param {string} query - Query as typed (votes are not keyed by expanded queries)
+   * @param {string} version - Searched version
+   * @param {Array<object>} results - Re-ranked results
+   * @param {number} weight - Feedback boost weight, 0-1
+   * @returns {Promise<Array<object>>}
+   */
+  async applyFeedback(query, version, results, weight) {
+    let boosts;
+    try {
+      boosts = await this.feedback.getBoosts(query, version);
+    } catch (error) {
+      logger.warn({ error: error.message, version }, 'Loading feedback failed, keeping ranking');
+      return results;
+    }
+
+    if (boosts.size === 0) {
+      return results;
+    }
+
+    return results
+      .map(result => {
+        const boost = boosts.get(result.metadata.documentPath);
+        if (boost === undefined) return result;
+
+        const final = result.score * (1 + weight * boost);
+        return { ...result, score: final, scores: { ...result.scores, feedback: boost, final } };
+      })
+      .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1));
+  }
+
+  /**
+   * Get the text of a chunk and up to `window` neighbouring chunks on each side
+   * Neighbours are found by chunkIndex; overlap between them is removed.
+   * @param {object} metadata - Metadata of the chunk (documentPath, version, chunkIndex)
+   * @param {number} window - Chunks before and after the chunk
+   * @param {Map<string, Promise<Array<object>>>} documentChunks - Cache of document chunks by version and path
+   * @returns {Promise<{fromChunk: number, toChunk: number, text: string}>}
+   */
+  async getContextText(metadata, window, documentChunks = new Map()) {
+    const { documentPath, version, chunkIndex } = metadata;
+    const key = `${version}/${documentPath}`;
+
+    if (!documentChunks.has(key)) {
+      documentChunks.set(key, this.vectorStore.getDocumentChunks(documentPath, version));
+    }
+
+    const neighbours = (await documentChunks.get(key)).filter(chunk =>
+      Math.abs(chunk.metadata.chunkIndex - chunkIndex) <= window
+    );
+
+    return {
+      fromChunk: neighbours[0]?.metadata.chunkIndex ?? chunkIndex,
+      toChunk: neighbours[neighbours.length - 1]?.metadata.chunkIndex ?? chunkIndex,
+      text: stitchChunks(neighbours.map(chunk => ({
+        text: chunk.text,
+        start: chunk.metadata.startOffset,
+      }))),
+    };
+  }
+
+  /**
+   * Add the text around every hit as result.context
+   * Hits from the same document share one getDocumentChunks call.
+   */
+  async addContext(results, window) {
+    const documentChunks = new Map();
+
+    return Promise.all(results.map(async result => ({
+      ...result,
+      context: await this.getContextText(result.metadata, window, documentChunks),
+    })));
+  }
+
+  /**
+   * Get a chunk together with its neighbouring chunks
+   * @param {string} id - Chunk ID
+   * @param {number} window - Chunks before and after the chunk (max MAX_CONTEXT_WINDOW)
+   * @returns {Promise<{id: string, documentPath: string, version: string, chunkIndex: number, totalChunks: number, fromChunk: number, toChunk: number, text: string} | null>}
+   */
+  async getChunkContext(id, window = 1) {
+    const chunk = await this.getDocument(id);
+
+    if (!chunk) {
+      return null;
+    }
+
+    const { documentPath, version, chunkIndex, totalChunks } = chunk.metadata;
+    const context = await this.getContextText(chunk.metadata, Math.min(Math.max(window, 0), MAX_CONTEXT_WINDOW));
+
+    logger.debug({ id, documentPath, fromChunk: context.fromChunk, toChunk: context.toChunk }, 'Chunk context retrieved');
+
+    return { id, documentPath, version, chunkIndex, totalChunks, ...context };
+  }
+
+  /**
+   * Search several versions at once, grouping the hits by version
+   * Versions and aliases resolving to the same version are searched once.
+   * The analytics log gets one entry for the whole search.
+   * @param {string} query - Search query
+   * @param {object} options - Same options as search(), plus:
+   * @param {string[]} options.versions - Versions or aliases to search
+   * @returns {Promise<Array<{version: string, requested: string[], results: Array<object>}>>}
+   */
+  async searchVersions(query, options = {}) {
+    const { versions = [], client = null, track = true, ...searchOptions } = options;
+    const startTime = Date.now();
+
+    const groups = new Map(); // resolved version -> requested versions/aliases
+    for (const requested of versions) {
+      const resolved = await this.resolveVersion(requested);
+      if (!resolved) continue;
+
+      if (!groups.has(resolved)) groups.set(resolved, []);
+      groups.get(resolved).push(requested);
+    }
+
+    logger.info({ query, versions: [...groups.keys()] }, 'Searching across versions');
+
+    const results = await Promise.all(
+      [...groups].map(async ([version, requested]) => ({
+        version,
+        requested,
+        results: await this.search(query, { ...searchOptions, version, track: false }),
+      }))
+    );
+
+    if (track) {
+      const allResults = results.flatMap(group => group.results);
+
+      this.analytics.record({
+        query,
+        version: null,
+        versions: [...groups.keys()],
+        filter: andFilters(parseFilter(searchOptions.filter || {}), createTagCondition(searchOptions.tags)),
+        mode: searchOptions.mode || config.search.defaultMode,
+        offset: 0,
+        resultCount: allResults.length,
+        topPaths: getTopPaths(allResults),
+        latencyMs: Date.now() - startTime,
+        cached: false,
+        client,
+      });
+    }
+
+    return results;
+  }
+
   /**
    * Get a specific document by ID
    * @param {string} id - Document ID
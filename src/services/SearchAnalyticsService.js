@@ -0,0 +1,279 @@
+/**
+ * Search Analytics Service
+ *
+ * Records every search (REST API, MCP JSON-RPC, MCP SSE sessions, ...) so
+ * admins can see what developers and agents ask: top queries, zero-result
+ * queries (missing docs or synonyms), slow queries and searches per client.
+ *
+ * Entries are appended to a JSON Lines file (data/analytics/searches.jsonl)
+ * and kept in memory for the summaries. Beyond the configured maximum the
+ * oldest entries are dropped and the file is rewritten.
+ * Follows Single Responsibility Principle (SRP).
+ */
+import { readFile, writeFile, appendFile, mkdir, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+import { createLogger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+
+const logger = createLogger({ component: 'SearchAnalyticsService' });
+
+// Distinct document paths kept per search
+const TOP_PATHS = 5;
+
+// Share of entries allowed above the maximum before the log is compacted
+const COMPACT_SLACK = 0.1;
+
+/**
+ * Normalize a query for grouping: trimmed, single spaces, lowercase
+ */
+function normalizeQuery(query) {
+  return query.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Describe the client of an HTTP request: its X-Client-Name header, else the
+ * product token of its user agent ("curl/8.4.0")
+ * @param {string} source - Entry point, e.g. 'rest' or 'mcp-jsonrpc'
+ * @param {object} request - Fastify request
+ * @returns {{source: string, name: string | null}}
+ */
+export function getRequestClient(source, request) {
+  const name = request.headers['x-client-name'] || request.headers['user-agent']?.split(' ')[0];
+  return { source, name: name ? String(name).slice(0, 100) : null };
+}
+
+/**
+ * Get the distinct document paths of the first results
+ */
+export function getTopPaths(results) {
+  return [...new Set(results.map(result => result.metadata?.documentPath).filter(Boolean))].slice(0, TOP_PATHS);
+}
+
+/**
+ * Group entries by a key, keeping the latest entry of each group
+ */
+function groupBy(entries, getKey) {
+  const groups = new Map();
+
+  for (const entry of entries) {
+    const key = getKey(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+
+  return [...groups.values()].map(group => ({ entries: group, latest: group[group.length - 1] }));
+}
+
+function average(entries, field) {
+  return entries.length > 0 ? Math.round(entries.reduce((sum, entry) => sum + entry[field], 0) / entries.length) : 0;
+}
+
+export class SearchAnalyticsService {
+  constructor(logPath = config.analytics.logPath) {
+    this.logPath = logPath; // Empty keeps entries in memory only
+    this.entries = []; // Oldest first
+    this.writes = Promise.resolve(); // Serializes file writes
+  }
+
+  /**
+   * Load the entries logged by earlier runs
+   */
+  async initialize() {
+    if (!this.logPath || !existsSync(this.logPath)) {
+      return;
+    }
+
+    try {
+      const loaded = [];
+
+      for (const line of (await readFile(this.logPath, 'utf-8')).split('\n')) {
+        if (!line.trim()) continue;
+
+        try {
+          loaded.push(JSON.parse(line));
+        } catch {
+          // Skip lines cut off by a crash mid-write
+        }
+      }
+
+      this.entries = [...loaded, ...this.entries];
+      this.compact();
+
+      logger.info({ entries: this.entries.length }, 'Search analytics loaded');
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to load search analytics');
+    }
+  }
+
+  /**
+   * Record a search
+   * @param {object} search
+   * @param {string} search.query - Query as sent by the client
+   * @param {string | null} search.version - Searched version (null when nothing was indexed)
+   * @param {string[]} search.versions - Searched versions of a cross-version search
+   * @param {object | null} search.filter - Filter expression, including tag conditions
+   * @param {string} search.mode - Search mode
+   * @param {number} search.offset - Offset of the page (0 = first page)
+   * @param {number} search.resultCount - Results returned
+   * @param {string[]} search.topPaths - Distinct document paths of the first results
+   * @param {number} search.latencyMs - Milliseconds the search took
+   * @param {boolean} search.cached - Served from the search cache
+   * @param {{source: string, name: string | null} | null} search.client - Who searched
+   */
+  record(search) {
+    if (!config.analytics.enabled) return;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      ...search,
+      client: search.client || { source: 'internal', name: null },
+    };
+
+    this.entries.push(entry);
+
+    if (this.logPath) {
+      this.writes = this.writes
+        .then(async () => {
+          await mkdir(dirname(this.logPath), { recursive: true });
+          await appendFile(this.logPath, `${JSON.stringify(entry)}\n`, 'utf-8');
+        })
+        .catch(error => logger.error({ error: error.message }, 'Failed to write search analytics'));
+    }
+
+    if (this.entries.length > config.analytics.maxEntries * (1 + COMPACT_SLACK)) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Drop the oldest entries beyond the maximum and rewrite the log
+   */
+  compact() {
+    const { maxEntries } = config.analytics;
+    if (this.entries.length <= maxEntries) return;
+
+    this.entries = this.entries.slice(-maxEntries);
+
+    if (this.logPath) {
+      const lines = this.entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+
+      this.writes = this.writes
+        .then(() => writeFile(this.logPath, lines, 'utf-8'))
+        .catch(error => logger.error({ error: error.message }, 'Failed to compact search analytics'));
+    }
+
+    logger.debug({ entries: this.entries.length }, 'Search analytics compacted');
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async flush() {
+    await this.writes;
+  }
+
+  /**
+   * Get entries, oldest first
+   * @param {object} options
+   * @param {number} options.hours - Only entries of the last hours (default: all)
+   * @param {string} options.source - Only entries of this client source
+   */
+  getEntries({ hours, source } = {}) {
+    const since = hours ? new Date(Date.now() - hours * 60 * 60 * 1000).toISOString() : null;
+
+    return this.entries.filter(entry =>
+      (!since || entry.timestamp >= since) && (!source || entry.client.source === source)
+    );
+  }
+
+  /**
+   * Get the latest searches, newest first
+   */
+  getRecent(limit = 50, options = {}) {
+    return this.getEntries(options).slice(-limit).reverse();
+  }
+
+  /**
+   * Summarize searches
+   * Zero results and top queries count first pages only, so paging through
+   * results does not inflate them; search counts and latencies include every page.
+   * @param {object} options
+   * @param {number} options.hours - Only searches of the last hours (default: all)
+   * @param {string} options.source - Only searches of this client source
+   * @param {number} options.limit - Rows per list (default: 10)
+   * @returns {{totals: object, topQueries: Array<object>, zeroResultQueries: Array<object>, slowQueries: Array<object>, clients: Array<object>}}
+   */
+  getSummary({ hours, source, limit = 10 } = {}) {
+    const entries = this.getEntries({ hours, source });
+    const firstPages = entries.filter(entry => !entry.offset);
+    const zeroResults = firstPages.filter(entry => entry.resultCount === 0);
+    const latencies = entries.map(entry => entry.latencyMs).sort((a, b) => a - b);
+
+    const describeQuery = ({ entries: group, latest }) => ({
+      query: latest.query,
+      count: group.length,
+      zeroResults: group.filter(entry => entry.resultCount === 0).length,
+      averageResults: average(group, 'resultCount'),
+      averageLatencyMs: average(group, 'latencyMs'),
+      versions: [...new Set(group.flatMap(entry => entry.versions || [entry.version]).filter(Boolean))],
+      topPaths: latest.topPaths,
+      lastSearched: latest.timestamp,
+    });
+
+    const byCount = (a, b) => b.count - a.count || b.lastSearched.localeCompare(a.lastSearched);
+
+    return {
+      hours: hours || null,
+      source: source || null,
+      totals: {
+        searches: entries.length,
+        zeroResults: zeroResults.length,
+        zeroResultRate: firstPages.length > 0 ? zeroResults.length / firstPages.length : 0,
+        cached: entries.filter(entry => entry.cached).length,
+        averageLatencyMs: average(entries, 'latencyMs'),
+        p95LatencyMs: latencies.length > 0 ? latencies[Math.ceil(latencies.length * 0.95) - 1] : 0,
+      },
+      topQueries: groupBy(firstPages, entry => normalizeQuery(entry.query))
+        .map(describeQuery)
+        .sort(byCount)
+        .slice(0, limit),
+      zeroResultQueries: groupBy(zeroResults, entry => normalizeQuery(entry.query))
+        .map(describeQuery)
+        .sort(byCount)
+        .slice(0, limit),
+      slowQueries: entries
+        .filter(entry => entry.latencyMs >= config.analytics.slowQueryMs)
+        .sort((a, b) => b.latencyMs - a.latencyMs)
+        .slice(0, limit),
+      clients: groupBy(entries, entry => `${entry.client.source}\n${entry.client.name}`)
+        .map(({ entries: group, latest }) => ({
+          source: latest.client.source,
+          name: latest.client.name,
+          count: group.length,
+          zeroResults: group.filter(entry => !entry.offset && entry.resultCount === 0).length,
+          averageLatencyMs: average(group, 'latencyMs'),
+          lastSearched: latest.timestamp,
+        }))
+        .sort(byCount),
+    };
+  }
+
+  /**
+   * Delete every entry
+   */
+  async clear() {
+    this.entries = [];
+
+    if (this.logPath) {
+      const removed = this.writes.then(() => rm(this.logPath, { force: true }));
+      this.writes = removed.catch(() => {});
+      await removed;
+    }
+
+    logger.info('Search analytics cleared');
+  }
+}
+
+// Export singleton instance
+export const searchAnalyticsService = new SearchAnalyticsService();
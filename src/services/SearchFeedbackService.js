@@ -0,0 +1,231 @@
+/**
+ * Search Feedback Service
+ *
+ * Stores relevance votes on search results (thumbs up / down) per version,
+ * in JSON files next to the version metadata: data/feedback/{version}.json
+ *
+ * Votes are kept per query and document, so they can be:
+ *   - exported as a golden set for the eval harness (see EvalService): every
+ *     query with net positive votes expects the documents voted up
+ *   - used as a ranking boost: documents voted up (down) for the same query
+ *     on the same version rank higher (lower), see QueryService
+ * Follows Single Responsibility Principle (SRP).
+ */
+import { readFile, writeFile, mkdir, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger({ component: 'SearchFeedbackService' });
+
+// Accepted votes and their values
+export const FEEDBACK_VOTES = { up: 1, down: -1 };
+
+// Net votes at which the ranking boost is at its full weight
+const MAX_NET_VOTES = 3;
+
+/**
+ * Normalize a query for grouping: trimmed, single spaces, lowercase
+ */
+function normalizeQuery(query) {
+  return query.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+export class SearchFeedbackService {
+  constructor(feedbackPath = './data/feedback') {
+    this.feedbackPath = feedbackPath;
+    this.netVotes = new Map(); // version -> Map(normalized query -> Map(documentPath -> net votes)), loaded lazily
+    this.writes = new Map(); // version -> last queued write, serializes the read-modify-write of its file
+  }
+
+  /**
+   * Run a change to the feedback file of a version after the changes queued before it
+   * @param {Function} change - Async function doing the change
+   */
+  queueWrite(version, change) {
+    const write = (this.writes.get(version) || Promise.resolve()).then(change);
+
+    // A failed change is reported to its caller only, the next one still runs
+    this.writes.set(version, write.catch(() => {}));
+    return write;
+  }
+
+  /**
+   * Get feedback file path for version
+   */
+  getFeedbackFilePath(version) {
+    return join(this.feedbackPath, `${version}.json`);
+  }
+
+  /**
+   * Get the votes of a version, oldest first
+   * @returns {Promise<Array<{query: string, resultId: string, documentPath: string, vote: number, client: object | null, timestamp: string}>>}
+   */
+  async getVotes(version) {
+    try {
+      const filePath = this.getFeedbackFilePath(version);
+
+      if (!existsSync(filePath)) {
+        return [];
+      }
+
+      return JSON.parse(await readFile(filePath, 'utf-8')).votes || [];
+    } catch (error) {
+      logger.error({ error: error.message, version }, 'Failed to load feedback');
+      throw error;
+    }
+  }
+
+  /**
+   * Record a vote on a search result
+   * @param {object} feedback
+   * @param {string} feedback.query - Query the result was found for
+   * @param {string} feedback.resultId - Chunk id of the result
+   * @param {string} feedback.documentPath - Document of the result
+   * @param {string} feedback.version - Version of the result
+   * @param {string} feedback.vote - 'up' or 'down'
+   * @param {{source: string, name: string | null}} feedback.client - Who voted
+   */
+  async recordFeedback({ query, resultId, documentPath, version, vote, client = null }) {
+    try {
+      const entry = {
+        query,
+        resultId,
+        documentPath,
+        vote: FEEDBACK_VOTES[vote],
+        client,
+        timestamp: new Date().toISOString(),
+      };
+
+      await this.queueWrite(version, async () => {
+        const votes = await this.getVotes(version);
+        votes.push(entry);
+
+        await mkdir(this.feedbackPath, { recursive: true });
+        await writeFile(this.getFeedbackFilePath(version), JSON.stringify({ version, votes }, null, 2), 'utf-8');
+        this.netVotes.delete(version);
+      });
+
+      logger.info({ version, query, documentPath, vote }, 'Search feedback recorded');
+      return entry;
+    } catch (error) {
+      logger.error({ error: error.message, version }, 'Failed to record feedback');
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the feedback of a version
+   */
+  async deleteFeedback(version) {
+    try {
+      await this.queueWrite(version, async () => {
+        await rm(this.getFeedbackFilePath(version), { force: true });
+        this.netVotes.delete(version);
+      });
+      logger.info({ version }, 'Feedback deleted');
+    } catch (error) {
+      logger.error({ error: error.message, version }, 'Failed to delete feedback');
+      throw error;
+    }
+  }
+
+  /**
+   * Get net votes per query and document of a version
+   * @returns {Promise<Map<string, Map<string, number>>>} Normalized query -> document path -> net votes
+   */
+  async getNetVotes(version) {
+    if (this.netVotes.has(version)) {
+      return this.netVotes.get(version);
+    }
+
+    const netVotes = new Map();
+
+    for (const { query, documentPath, vote } of await this.getVotes(version)) {
+      const key = normalizeQuery(query);
+      if (!netVotes.has(key)) netVotes.set(key, new Map());
+
+      const documents = netVotes.get(key);
+      documents.set(documentPath, (documents.get(documentPath) || 0) + vote);
+    }
+
+    this.netVotes.set(version, netVotes);
+    return netVotes;
+  }
+
+  /**
+   * Get the ranking boost of documents for a query: net votes scaled to -1..1
+   * (full strength at MAX_NET_VOTES)
+   * @returns {Promise<Map<string, number>>} Document path -> boost, only voted documents
+   */
+  async getBoosts(query, version) {
+    const documents = (await this.getNetVotes(version)).get(normalizeQuery(query));
+
+    return new Map([...(documents || [])]
+      .filter(([, net]) => net !== 0)
+      .map(([path, net]) => [path, Math.max(-MAX_NET_VOTES, Math.min(MAX_NET_VOTES, net)) / MAX_NET_VOTES]));
+  }
+
+  /**
+   * Summarize the feedback of a version
+   * @returns {Promise<{version: string, votes: number, up: number, down: number, queries: Array<object>}>}
+   *   queries lists each query with the net votes of its documents, most voted first
+   */
+  async getSummary(version) {
+    const votes = await this.getVotes(version);
+    const netVotes = await this.getNetVotes(version);
+
+    const queries = [...netVotes].map(([query, documents]) => ({
+      query,
+      votes: votes.filter(vote => normalizeQuery(vote.query) === query).length,
+      documents: Object.fromEntries([...documents].sort((a, b) => b[1] - a[1])),
+    }));
+
+    return {
+      version,
+      votes: votes.length,
+      up: votes.filter(vote => vote.vote > 0).length,
+      down: votes.filter(vote => vote.vote < 0).length,
+      queries: queries.sort((a, b) => b.votes - a.votes),
+    };
+  }
+
+  /**
+   * Export the feedback of a version as a golden set for the eval harness
+   * Each query with documents voted up (net) becomes a golden query expecting
+   * those documents, graded by their net votes.
+   * @param {string} version - Resolved version
+   * @param {object} options
+   * @param {number} options.minVotes - Net votes a document needs to be expected (default: 1)
+   * @returns {Promise<{name: string, description: string, version: string, queries: Array<{id: string, query: string, expected: Object<string, number>}>}>}
+   */
+  async exportGoldenSet(version, { minVotes = 1 } = {}) {
+    const votes = await this.getVotes(version);
+    const netVotes = await this.getNetVotes(version);
+
+    // Keep the query as it was typed most recently
+    const queryText = new Map(votes.map(vote => [normalizeQuery(vote.query), vote.query]));
+
+    const queries = [...netVotes]
+      .map(([query, documents]) => ({
+        query,
+        expected: Object.fromEntries([...documents].filter(([, net]) => net >= minVotes)),
+      }))
+      .filter(({ expected }) => Object.keys(expected).length > 0)
+      .map(({ query, expected }, index) => ({
+        id: `feedback-${index + 1}`,
+        query: queryText.get(query),
+        expected,
+      }));
+
+    return {
+      name: `feedback-${version}`,
+      description: `Queries with results voted up on ${version}`,
+      version,
+      queries,
+    };
+  }
+}
+
+// Export singleton instance
+export const searchFeedbackService = new SearchFeedbackService();
@@ -0,0 +1,296 @@
+/**
+ * Synonym Service
+ *
+ * Expands search queries with Bryntum terminology, e.g. "drag and drop rows"
+ * also searches for RowReorder. Each version has its own dictionary, stored in
+ * JSON files next to the version metadata: data/synonyms/{version}.json
+ *
+ * A dictionary has two parts:
+ *   synonyms  - edited by admins, kept when the version is re-indexed
+ *   generated - seeded from the API class names of the version after indexing
+ *               ("row reorder" -> RowReorder), plus the common aliases below
+ *               whose classes exist in the version
+ * Edited entries win over generated entries for the same phrase.
+ * Follows Single Responsibility Principle (SRP).
+ */
+import { readFile, writeFile, mkdir, rm, stat } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger({ component: 'SynonymService' });
+
+// Common phrasings of Bryntum features (phrase -> class names)
+const COMMON_SYNONYMS = {
+  'drag and drop rows': ['RowReorder'],
+  'drag rows': ['RowReorder'],
+  'reorder rows': ['RowReorder'],
+  'column filter': ['FilterBar'],
+  'filter row': ['FilterBar'],
+  'inline editing': ['CellEdit'],
+  'edit cells': ['CellEdit'],
+  'context menu': ['CellMenu', 'HeaderMenu', 'EventMenu'],
+  'right click menu': ['CellMenu', 'HeaderMenu', 'EventMenu'],
+  'drag columns': ['ColumnReorder'],
+  'show hide columns': ['ColumnPicker'],
+  'freeze columns': ['RegionResize', 'StickyCells'],
+  'expand rows': ['RowExpander'],
+  'totals row': ['Summary'],
+  'group rows': ['Group'],
+  'find text': ['QuickFind', 'Search'],
+  'drag events': ['EventDrag'],
+  'resize events': ['EventResize'],
+  'edit events': ['EventEdit'],
+  'event popup': ['EventEdit', 'EventTooltip'],
+  'event tooltip': ['EventTooltip'],
+  'arrows between tasks': ['Dependencies'],
+  'task links': ['Dependencies'],
+  'edit tasks': ['TaskEdit'],
+  'holidays': ['NonWorkingTime'],
+  'weekends': ['NonWorkingTime'],
+  'critical path': ['CriticalPaths'],
+  'export to excel': ['ExcelExporter'],
+  'export to pdf': ['PdfExport'],
+  'undo redo': ['StateTrackingManager', 'UndoRedo'],
+};
+
+// Most terms added to a single query
+const MAX_EXPANSIONS = 10;
+
+/**
+ * Lowercase a text and reduce it to space separated words
+ */
+function normalize(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Split a class name into lowercase words: "AjaxStore" -> "ajax store", "PdfExport" -> "pdf export"
+ */
+export function splitClassName(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase();
+}
+
+/**
+ * Get the class name of an API document path: "grid/api/Grid/feature/RowReorder.md" -> "RowReorder"
+ * @returns {string | null} Null for documents that are not API classes
+ */
+export function getApiClassName(documentPath) {
+  const parts = documentPath.split('/');
+
+  if (!parts.slice(0, -1).includes('api')) {
+    return null;
+  }
+
+  const name = parts[parts.length - 1].replace(/\.[^.]+$/, '');
+
+  return /^[A-Z][A-Za-z0-9]+$/.test(name) ? name : null;
+}
+
+export class SynonymService {
+  constructor(synonymsPath = './data/synonyms') {
+    this.synonymsPath = synonymsPath;
+    this.entries = new Map(); // version -> { modified, entries: [{ phrase, terms }] }, loaded lazily
+  }
+
+  /**
+   * Get synonyms file path for version
+   */
+  getSynonymsFilePath(version) {
+    return join(this.synonymsPath, `${version}.json`);
+  }
+
+  /**
+   * Get the dictionary of a version
+   * @returns {Promise<{version: string, synonyms: object, generated: object} | null>}
+   */
+  async getDictionary(version) {
+    try {
+      const filePath = this.getSynonymsFilePath(version);
+
+      if (!existsSync(filePath)) {
+        return null;
+      }
+
+      return JSON.parse(await readFile(filePath, 'utf-8'));
+    } catch (error) {
+      logger.error({ error: error.message, version }, 'Failed to load synonyms');
+      throw error;
+    }
+  }
+
+  /**
+   * Save the dictionary of a version
+   */
+  async saveDictionary(version, dictionary) {
+    try {
+      await mkdir(this.synonymsPath, { recursive: true });
+
+      const saved = {
+        version,
+        synonyms: dictionary.synonyms || {},
+        generated: dictionary.generated || {},
+        generatedAt: dictionary.generatedAt,
+        updatedAt: new Date().toISOString(),
+      };
+
+      await writeFile(this.getSynonymsFilePath(version), JSON.stringify(saved, null, 2), 'utf-8');
+      this.entries.delete(version);
+
+      return saved;
+    } catch (error) {
+      logger.error({ error: error.message, version }, 'Failed to save synonyms');
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the edited synonyms of a version (generated entries are kept)
+   * @param {Object<string, string[]>} synonyms - Phrase -> terms to add to queries containing it
+   */
+  async updateSynonyms(version, synonyms) {
+    const existing = await this.getDictionary(version) || {};
+    const saved = await this.saveDictionary(version, { ...existing, synonyms });
+
+    logger.info({ version, count: Object.keys(synonyms).length }, 'Synonyms updated');
+    return saved;
+  }
+
+  /**
+   * Seed the generated part of a dictionary from the API class names of a version
+   * Edited synonyms are kept.
+   */
+  async generateSynonyms(version, vectorStore) {
+    try {
+      const hashes = await vectorStore.getDocumentHashes(version);
+      const classNames = new Set([...hashes.keys()].map(getApiClassName).filter(Boolean));
+
+      const generated = {};
+      const add = (phrase, name) => {
+        generated[phrase] = [...new Set([...(generated[phrase] || []), name])];
+      };
+
+      for (const name of classNames) {
+        const phrase = splitClassName(name);
+
+        // Single word class names already match the query as they are
+        if (phrase.includes(' ')) {
+          add(phrase, name);
+        }
+      }
+
+      for (const [phrase, names] of Object.entries(COMMON_SYNONYMS)) {
+        names.filter(name => classNames.has(name)).forEach(name => add(phrase, name));
+      }
+
+      const existing = await this.getDictionary(version) || {};
+      const saved = await this.saveDictionary(version, {
+        ...existing,
+        generated,
+        generatedAt: new Date().toISOString(),
+      });
+
+      logger.info({ version, classes: classNames.size, phrases: Object.keys(generated).length }, 'Synonyms generated');
+      return saved;
+    } catch (error) {
+      logger.error({ error: error.message, version }, 'Failed to generate synonyms');
+      return null;
+    }
+  }
+
+  /**
+   * Delete the dictionary of a version
+   */
+  async deleteSynonyms(version) {
+    try {
+      await rm(this.getSynonymsFilePath(version), { force: true });
+      this.entries.delete(version);
+      logger.info({ version }, 'Synonyms deleted');
+    } catch (error) {
+      logger.error({ error: error.message, version }, 'Failed to delete synonyms');
+      throw error;
+    }
+  }
+
+  /**
+   * Get the modification time of the dictionary file of a version
+   * @returns {Promise<number | null>} Null when the version has no dictionary
+   */
+  async getModifiedTime(version) {
+    try {
+      return (await stat(this.getSynonymsFilePath(version))).mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Get the normalized entries of a version, longest phrase first
+   * The dictionary is reloaded when its file changed, e.g. when the CLI
+   * regenerated it while the server is running.
+   */
+  async getEntries(version) {
+    const modified = await this.getModifiedTime(version);
+    const cached = this.entries.get(version);
+
+    if (cached && cached.modified === modified) {
+      return cached.entries;
+    }
+
+    const dictionary = await this.getDictionary(version);
+    const merged = { ...dictionary?.generated, ...dictionary?.synonyms };
+
+    const entries = Object.entries(merged)
+      .map(([phrase, terms]) => ({ phrase: normalize(phrase), terms }))
+      .filter(entry => entry.phrase && entry.terms.length > 0)
+      .sort((a, b) => b.phrase.length - a.phrase.length);
+
+    this.entries.set(version, { modified, entries });
+    return entries;
+  }
+
+  /**
+   * Expand a query with the terms of every phrase it contains
+   * Terms already in the query are not added again.
+   * @param {string} query - Search query
+   * @param {string} version - Resolved version
+   * @returns {Promise<{query: string, expansions: Array<{phrase: string, terms: string[]}>}>}
+   */
+  async expandQuery(query, version) {
+    const entries = await this.getEntries(version);
+    const padded = ` ${normalize(query)} `;
+    const added = new Set();
+    const expansions = [];
+
+    for (const { phrase, terms } of entries) {
+      if (!padded.includes(` ${phrase} `)) continue;
+
+      const newTerms = terms.filter(term =>
+        !padded.includes(` ${normalize(term)} `) && !added.has(term) && added.size < MAX_EXPANSIONS
+      );
+
+      if (newTerms.length === 0) continue;
+
+      newTerms.forEach(term => added.add(term));
+      expansions.push({ phrase, terms: newTerms });
+    }
+
+    if (expansions.length === 0) {
+      return { query, expansions };
+    }
+
+    logger.debug({ query, version, expansions }, 'Query expanded');
+
+    return {
+      query: `${query} ${[...added].join(' ')}`,
+      expansions,
+    };
+  }
+}
+
+// Export singleton instance
+export const synonymService = new SynonymService();
@@ -0,0 +1,167 @@
+/**
+ * Version Alias Service
+ *
+ * Resolves version aliases such as "latest", "stable" and "next" to indexed versions.
+ * "latest" (newest release) and "next" (newest version including prereleases) are
+ * automatic; any alias can be pinned to a version by an admin.
+ * Pinned aliases are stored in a JSON file next to the version metadata: data/aliases.json
+ * Follows Single Responsibility Principle (SRP).
+ */
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+import { pickLatestVersion } from '../utils/semver.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger({ component: 'VersionAliasService' });
+
+// Aliases that resolve without being pinned
+export const AUTOMATIC_ALIASES = ['latest', 'next'];
+
+// Lowercase name starting with a letter, e.g. "stable" or "lts-5"
+export const ALIAS_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+
+export class VersionAliasService {
+  constructor(filePath = './data/aliases.json') {
+    this.filePath = filePath;
+    this.pinned = null; // alias -> version, loaded lazily
+  }
+
+  /**
+   * Get pinned aliases
+   */
+  async getPinnedAliases() {
+    if (this.pinned) return this.pinned;
+
+    try {
+      this.pinned = existsSync(this.filePath)
+        ? JSON.parse(await readFile(this.filePath, 'utf-8')).aliases || {}
+        : {};
+
+      return this.pinned;
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to load version aliases');
+      throw error;
+    }
+  }
+
+  /**
+   * Save pinned aliases
+   */
+  async savePinnedAliases(pinned) {
+    try {
+      await mkdir(dirname(this.filePath), { recursive: true });
+      await writeFile(
+        this.filePath,
+        JSON.stringify({ aliases: pinned, updatedAt: new Date().toISOString() }, null, 2),
+        'utf-8'
+      );
+
+      this.pinned = pinned;
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to save version aliases');
+      throw error;
+    }
+  }
+
+  /**
+   * Pin an alias to a version
+   */
+  async setAlias(alias, version) {
+    const pinned = await this.getPinnedAliases();
+    await this.savePinnedAliases({ ...pinned, [alias]: version });
+
+    logger.info({ alias, version }, 'Version alias pinned');
+  }
+
+  /**
+   * Remove a pinned alias; automatic aliases fall back to their default
+   * @returns {Promise<boolean>} False if the alias was not pinned
+   */
+  async removeAlias(alias) {
+    const pinned = await this.getPinnedAliases();
+    if (!Object.hasOwn(pinned, alias)) return false;
+
+    const { [alias]: removed, ...rest } = pinned;
+    await this.savePinnedAliases(rest);
+
+    logger.info({ alias, version: removed }, 'Version alias removed');
+    return true;
+  }
+
+  /**
+   * Remove all aliases pinned to a version (e.g. when the version is deleted)
+   */
+  async removeAliasesFor(version) {
+    const pinned = await this.getPinnedAliases();
+    const rest = Object.fromEntries(Object.entries(pinned).filter(([, target]) => target !== version));
+
+    if (Object.keys(rest).length !== Object.keys(pinned).length) {
+      await this.savePinnedAliases(rest);
+      logger.info({ version }, 'Removed aliases of deleted version');
+    }
+  }
+
+  /**
+   * Get every alias with the version it resolves to
+   * @returns {Promise<Object<string, {version: string | null, pinned: boolean}>>}
+   */
+  async getAliases(vectorStore) {
+    const pinned = await this.getPinnedAliases();
+    const versions = await vectorStore.getAllVersions();
+
+    const aliases = {};
+    for (const alias of [...AUTOMATIC_ALIASES, ...Object.keys(pinned)]) {
+      const isPinned = Object.hasOwn(pinned, alias) && versions.includes(pinned[alias]);
+      aliases[alias] = {
+        version: isPinned ? pinned[alias] : this.resolveAutomatic(alias, versions),
+        pinned: isPinned,
+      };
+    }
+
+    return aliases;
+  }
+
+  /**
+   * Resolve a version or alias to an indexed version
+   * Real versions take precedence over aliases; no version resolves "latest".
+   * Unknown values are returned unchanged so lookups report them as not found.
+   * @returns {Promise<string | null>}
+   */
+  async resolveVersion(version, vectorStore) {
+    const requested = version || 'latest';
+    const versions = await vectorStore.getAllVersions();
+
+    if (versions.includes(requested)) {
+      return requested;
+    }
+
+    const pinned = await this.getPinnedAliases();
+    if (Object.hasOwn(pinned, requested) && versions.includes(pinned[requested])) {
+      logger.debug({ alias: requested, version: pinned[requested] }, 'Resolved pinned alias');
+      return pinned[requested];
+    }
+
+    if (AUTOMATIC_ALIASES.includes(requested)) {
+      return this.resolveAutomatic(requested, versions);
+    }
+
+    return requested;
+  }
+
+  /**
+   * Resolve an automatic alias against the sorted list of versions
+   */
+  resolveAutomatic(alias, versions) {
+    if (alias === 'latest') {
+      return pickLatestVersion(versions);
+    }
+    if (alias === 'next') {
+      return versions.length > 0 ? versions[versions.length - 1] : null;
+    }
+    return null;
+  }
+}
+
+// Export singleton instance
+export const versionAliasService = new VersionAliasService();
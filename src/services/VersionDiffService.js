@@ -0,0 +1,115 @@
+/**
+ * Version Diff Service
+ *
+ * Compares the documents of two indexed versions: which documents were added,
+ * removed or changed, with a line diff of each changed document.
+ * Documents are compared by content hash first; only documents whose hash
+ * differs are rebuilt from their chunks and diffed.
+ * Follows Single Responsibility Principle (SRP) and Dependency Inversion Principle (DIP).
+ */
+import { stitchChunks } from '../utils/chunker.js';
+import { createUnifiedDiff } from '../utils/textDiff.js';
+import { createLogger } from '../utils/logger.js';
+import { versionAliasService } from './VersionAliasService.js';
+
+const logger = createLogger({ component: 'VersionDiffService' });
+
+export class VersionDiffService {
+  constructor(vectorStore, aliasService = versionAliasService) {
+    this.vectorStore = vectorStore;
+    this.aliasService = aliasService;
+  }
+
+  /**
+   * Rebuild the full text of a document from its chunks
+   */
+  async getDocumentText(documentPath, version) {
+    const chunks = await this.vectorStore.getDocumentChunks(documentPath, version);
+
+    return stitchChunks(chunks.map(chunk => ({
+      text: chunk.text,
+      start: chunk.metadata.startOffset,
+    })));
+  }
+
+  /**
+   * Diff two versions
+   * @param {string} from - Base version or alias
+   * @param {string} to - Target version or alias
+   * @param {object} options
+   * @param {string} options.pathPrefix - Only compare documents whose path starts with this prefix
+   * @param {boolean} options.includeDiffs - Include the unified diff of each changed document (default: true)
+   * @param {number} options.context - Unchanged lines shown around each change (default: 3)
+   * @returns {Promise<{from: string, to: string, summary: object, added: string[], removed: string[], changed: Array<object>}>}
+   */
+  async diffVersions(from, to, options = {}) {
+    const { pathPrefix = '', includeDiffs = true, context = 3 } = options;
+
+    const fromVersion = await this.aliasService.resolveVersion(from, this.vectorStore);
+    const toVersion = await this.aliasService.resolveVersion(to, this.vectorStore);
+
+    logger.info({ from: fromVersion, to: toVersion, pathPrefix }, 'Diffing versions');
+
+    const [fromHashes, toHashes] = await Promise.all([
+      this.vectorStore.getDocumentHashes(fromVersion),
+      this.vectorStore.getDocumentHashes(toVersion),
+    ]);
+
+    const inScope = path => path.startsWith(pathPrefix);
+
+    const added = [...toHashes.keys()].filter(path => inScope(path) && !fromHashes.has(path)).sort();
+    const removed = [...fromHashes.keys()].filter(path => inScope(path) && !toHashes.has(path)).sort();
+    const candidates = [...toHashes.keys()]
+      .filter(path => inScope(path) && fromHashes.has(path))
+      .sort();
+
+    const changed = [];
+    let unchanged = 0;
+
+    for (const path of candidates) {
+      if (fromHashes.get(path) === toHashes.get(path)) {
+        unchanged++;
+        continue;
+      }
+
+      const [oldText, newText] = await Promise.all([
+        this.getDocumentText(path, fromVersion),
+        this.getDocumentText(path, toVersion),
+      ]);
+
+      // Hashes also cover chunking settings, so the text itself may be identical
+      if (oldText === newText) {
+        unchanged++;
+        continue;
+      }
+
+      const { diff, additions, deletions } = createUnifiedDiff(oldText, newText, { context });
+
+      changed.push({
+        path,
+        additions,
+        deletions,
+        ...(includeDiffs && { diff }),
+      });
+    }
+
+    logger.info(
+      { from: fromVersion, to: toVersion, added: added.length, removed: removed.length, changed: changed.length, unchanged },
+      'Version diff completed'
+    );
+
+    return {
+      from: fromVersion,
+      to: toVersion,
+      summary: {
+        added: added.length,
+        removed: removed.length,
+        changed: changed.length,
+        unchanged,
+      },
+      added,
+      removed,
+      changed,
+    };
+  }
+}
@@ -4,7 +4,7 @@
  * Manages framework-specific metadata per version (install commands, URLs, etc.)
  * Stores metadata in JSON files: data/metadata/{version}.json
  */
-import { readFile, writeFile, mkdir } from 'fs/promises';
+import { readFile, writeFile, mkdir, rm } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join } from 'path';
 import { createLogger } from '../utils/logger.js';
@@ -104,6 +104,19 @@ export class VersionMetadataService {
     }
   }
 
+  /**
+   * Delete metadata for a version
+   */
+  async deleteMetadata(version) {
+    try {
+      await rm(this.getMetadataFilePath(version), { force: true });
+      logger.info({ version }, 'Metadata deleted');
+    } catch (error) {
+      logger.error({ error: error.message, version }, 'Failed to delete metadata');
+      throw error;
+    }
+  }
+
   /**
    * Extract install commands from indexed documents
    */
@@ -6,102 +6,255 @@
  */
 
 /**
- * Split text into chunks with overlap
+ * Split text into overlapping chunk ranges
+ * Ranges are character offsets into the text; consecutive ranges always
+ * touch or overlap, so no text is lost between chunks.
  * @param {string} text - Text to chunk
  * @param {number} chunkSize - Maximum chunk size in characters
  * @param {number} overlap - Overlap size in characters
- * @returns {string[]} Array of text chunks
+ * @returns {Array<{start: number, end: number}>}
  */
-export function chunkText(text, chunkSize = 1000, overlap = 200) {
+export function chunkTextRanges(text, chunkSize = 1000, overlap = 200) {
   if (!text || text.length === 0) {
     return [];
   }
 
-  if (text.length <= chunkSize) {
-    return [text];
-  }
-
-  const chunks = [];
+  const ranges = [];
   let start = 0;
 
   while (start < text.length) {
-    const end = Math.min(start + chunkSize, text.length);
-    let chunk = text.slice(start, end);
+    let end = Math.min(start + chunkSize, text.length);
 
     // Try to break at a sentence boundary if possible
     if (end < text.length) {
-      const lastPeriod = chunk.lastIndexOf('. ');
-      const lastNewline = chunk.lastIndexOf('\n');
-      const breakPoint = Math.max(lastPeriod, lastNewline);
+      const window = text.slice(start, end);
+      const breakPoint = Math.max(window.lastIndexOf('. '), window.lastIndexOf('\n'));
 
       if (breakPoint > chunkSize / 2) {
-        chunk = chunk.slice(0, breakPoint + 1);
+        end = start + breakPoint + 1;
       }
     }
 
-    chunks.push(chunk.trim());
+    ranges.push({ start, end });
 
-    // Move start position with overlap
-    start = end - overlap;
+    if (end >= text.length) break;
 
-    // Prevent infinite loop
-    if (start + chunkSize >= text.length && start < text.length) {
-      if (chunks[chunks.length - 1] !== text.slice(start).trim()) {
-        chunks.push(text.slice(start).trim());
-      }
-      break;
+    // Move start position with overlap (always advance to prevent infinite loop)
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return ranges.filter(({ start, end }) => text.slice(start, end).trim().length > 0);
+}
+
+/**
+ * Split text into chunks with overlap
+ * @param {string} text - Text to chunk
+ * @param {number} chunkSize - Maximum chunk size in characters
+ * @param {number} overlap - Overlap size in characters
+ * @returns {string[]} Array of text chunks
+ */
+export function chunkText(text, chunkSize = 1000, overlap = 200) {
+  return chunkTextRanges(text, chunkSize, overlap).map(({ start, end }) => text.slice(start, end));
+}
+
+/**
+ * Stitch chunks back into the original text.
+ * Chunks with character offsets are laid out at their position, so overlap is
+ * written once; the first chunk does not need to start the document, so a run
+ * of neighbouring chunks stitches into that part of the text. Chunks without
+ * offsets (indexed before offsets were recorded) are joined by removing the
+ * longest suffix/prefix overlap between neighbours.
+ * @param {Array<{text: string, start?: number}>} chunks - Chunks in document order
+ * @param {number} maxOverlap - Longest overlap searched for chunks without offsets
+ * @returns {string}
+ */
+export function stitchChunks(chunks, maxOverlap = 2000) {
+  if (chunks.length > 0 && chunks.every(chunk => Number.isInteger(chunk.start))) {
+    const sorted = [...chunks].sort((a, b) => a.start - b.start);
+    const base = sorted[0].start;
+
+    let result = '';
+    for (const chunk of sorted) {
+      const skip = result.length - (chunk.start - base);
+      result += skip > 0 ? chunk.text.slice(skip) : chunk.text;
     }
+    return result;
   }
 
-  return chunks.filter(chunk => chunk.length > 0);
+  let result = '';
+  for (const chunk of chunks) {
+    if (!result) {
+      result = chunk.text;
+      continue;
+    }
+
+    let overlap = Math.min(maxOverlap, result.length, chunk.text.length);
+    while (overlap > 0 && !result.endsWith(chunk.text.slice(0, overlap))) {
+      overlap--;
+    }
+
+    result += overlap > 0 ? chunk.text.slice(overlap) : `\n\n${chunk.text}`;
+  }
+  return result;
 }
 
 /**
- * Split text by markdown headers for better semantic chunking
+ * Split markdown into sections by heading hierarchy.
+ * Each section holds its heading breadcrumb (e.g. "Grid > Features > Filter")
+ * and its content as atomic blocks: the heading line, paragraphs, lists,
+ * tables and fenced code blocks. Headings inside code blocks are ignored.
+ * Blocks keep their trailing blank lines, so joining every block of every
+ * section reproduces the input exactly.
  * @param {string} text - Markdown text
- * @param {number} maxChunkSize - Maximum size per chunk
- * @returns {Array<{heading: string, content: string}>}
+ * @returns {Array<{heading: string, blocks: string[]}>}
  */
-export function chunkByMarkdownHeaders(text, maxChunkSize = 8000) {
-  const lines = text.split('\n');
-  const chunks = [];
-  let currentChunk = { heading: '', content: '' };
+export function splitMarkdownSections(text) {
+  const lines = text.split(/(?<=\n)/);
+  const sections = [];
+  const headingStack = []; // [{ level, title }]
+
+  let section = { heading: '', blocks: [] };
+  let block = '';
+  let fence = null;        // Opening fence marker while inside a code block
+  let blockClosed = false; // Next non-blank line starts a new block
+
+  const flushBlock = () => {
+    if (block) section.blocks.push(block);
+    block = '';
+    blockClosed = false;
+  };
 
   for (const line of lines) {
-    const headerMatch = line.match(/^(#{1,6})\s+(.+)$/);
+    const trimmed = line.trim();
+
+    if (fence) {
+      block += line;
+      if (trimmed.startsWith(fence) && trimmed.replace(/[`~]/g, '') === '') {
+        fence = null;
+        blockClosed = true;
+      }
+      continue;
+    }
+
+    if (trimmed === '') {
+      block += line;
+      if (block.trim()) blockClosed = true;
+      continue;
+    }
+
+    const headerMatch = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    const fenceMatch = trimmed.match(/^(`{3,}|~{3,})/);
 
     if (headerMatch) {
-      // Save previous chunk if it has content
-      if (currentChunk.content.trim()) {
-        chunks.push({ ...currentChunk });
+      flushBlock();
+      if (section.blocks.length > 0) sections.push(section);
+
+      const level = headerMatch[1].length;
+      while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) {
+        headingStack.pop();
       }
+      headingStack.push({ level, title: headerMatch[2].trim() });
+
+      section = { heading: headingStack.map(h => h.title).join(' > '), blocks: [] };
+      block = line;
+      blockClosed = true;
+      continue;
+    }
 
-      // Start new chunk
-      currentChunk = {
-        heading: headerMatch[2].trim(),
-        content: line + '\n',
-      };
-    } else {
-      currentChunk.content += line + '\n';
+    if (fenceMatch || blockClosed) {
+      flushBlock();
     }
 
-    // If chunk is too large, split it
-    if (currentChunk.content.length > maxChunkSize) {
-      const textChunks = chunkText(currentChunk.content, maxChunkSize);
-      textChunks.forEach((textChunk, index) => {
-        chunks.push({
-          heading: currentChunk.heading + (index > 0 ? ` (part ${index + 1})` : ''),
-          content: textChunk,
-        });
-      });
-      currentChunk = { heading: '', content: '' };
+    if (fenceMatch) {
+      fence = fenceMatch[1];
     }
+
+    block += line;
+  }
+
+  flushBlock();
+  if (section.blocks.length > 0) sections.push(section);
+
+  return sections;
+}
+
+/**
+ * Split markdown by its heading structure for better semantic chunking.
+ * - Consecutive small sections are merged while they fit in one chunk
+ * - Fenced code blocks and tables are never split across chunks
+ *   (unless a single block is larger than maxChunkSize)
+ * - Size splitting is only used inside sections larger than maxChunkSize
+ * - Each chunk's heading is the full breadcrumb of its first titled section
+ * - start/end are character offsets of the chunk content in the text
+ * @param {string} text - Markdown text
+ * @param {number} maxChunkSize - Maximum size per chunk
+ * @param {number} overlap - Overlap used when a single block must be size-split
+ * @returns {Array<{heading: string, content: string, start: number, end: number}>}
+ */
+export function chunkByMarkdownStructure(text, maxChunkSize = 6000, overlap = 500) {
+  if (!text || text.trim().length === 0) {
+    return [];
   }
 
-  // Add final chunk
-  if (currentChunk.content.trim()) {
-    chunks.push(currentChunk);
+  const chunks = [];
+  let current = null; // { heading, start, end }
+  let position = 0;
+
+  const push = (heading, start, end) => {
+    const content = text.slice(start, end);
+    if (content.trim()) {
+      chunks.push({ heading, content, start, end });
+    }
+  };
+
+  const flush = () => {
+    if (current) push(current.heading, current.start, current.end);
+    current = null;
+  };
+
+  const append = (heading, length) => {
+    if (!current) current = { heading, start: position, end: position };
+    if (!current.heading) current.heading = heading;
+    current.end += length;
+    position += length;
+  };
+
+  const size = () => (current ? current.end - current.start : 0);
+
+  for (const section of splitMarkdownSections(text)) {
+    const sectionLength = section.blocks.reduce((total, block) => total + block.length, 0);
+
+    // Whole section fits: merge with preceding small sections if possible
+    if (sectionLength <= maxChunkSize) {
+      if (size() + sectionLength > maxChunkSize) flush();
+      append(section.heading, sectionLength);
+      continue;
+    }
+
+    // Oversized section: pack its blocks, size-split only blocks that cannot fit.
+    // The heading line is joined to the block after it, so it never ends up as a chunk of its own.
+    const blocks = section.heading && section.blocks.length > 1
+      ? [section.blocks[0] + section.blocks[1], ...section.blocks.slice(2)]
+      : section.blocks;
+
+    flush();
+    for (const block of blocks) {
+      if (block.length > maxChunkSize) {
+        flush();
+        for (const range of chunkTextRanges(block, maxChunkSize, overlap)) {
+          push(section.heading, position + range.start, position + range.end);
+        }
+        position += block.length;
+        continue;
+      }
+
+      if (size() + block.length > maxChunkSize) flush();
+      append(section.heading, block.length);
+    }
+    flush();
   }
 
+  flush();
+
   return chunks;
 }
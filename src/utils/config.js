@@ -21,6 +21,16 @@ export const config = {
     host: process.env.HOST || '0.0.0.0',
   },
 
+  // Vector Store Configuration
+  vectorStore: {
+    adapter: process.env.VECTOR_STORE || 'weaviate', // 'weaviate' or 'memory'
+  },
+
+  // In-Memory Vector Store Configuration (used when VECTOR_STORE=memory)
+  memory: {
+    persistPath: process.env.MEMORY_STORE_PATH || '', // Optional JSON snapshot file
+  },
+
   // Weaviate Configuration
   weaviate: {
     host: process.env.WEAVIATE_HOST || '192.168.10.100',
@@ -28,15 +38,69 @@ export const config = {
     className: process.env.WEAVIATE_CLASS_NAME || 'Document',
   },
 
+  // Search Configuration
+  search: {
+    defaultMode: process.env.SEARCH_MODE || 'vector', // 'vector', 'hybrid' or 'keyword'
+    hybridAlpha: process.env.HYBRID_ALPHA ? parseFloat(process.env.HYBRID_ALPHA) : 0.5,
+    queryExpansion: process.env.QUERY_EXPANSION !== 'false', // Expand queries with the version's synonym dictionary
+    feedbackBoost: process.env.FEEDBACK_BOOST ? parseFloat(process.env.FEEDBACK_BOOST) : 0, // 0 = off, 1 = voted documents score up to 2x (or 0x)
+  },
+
+  // Search result cache (LRU with TTL, invalidated when a version is re-indexed or deleted)
+  searchCache: {
+    maxEntries: process.env.SEARCH_CACHE_SIZE ? parseInt(process.env.SEARCH_CACHE_SIZE) : 500, // 0 disables the cache
+    ttlSeconds: process.env.SEARCH_CACHE_TTL ? parseInt(process.env.SEARCH_CACHE_TTL) : 300,
+  },
+
+  // Search analytics (every search is logged for the admin page)
+  analytics: {
+    enabled: process.env.SEARCH_ANALYTICS !== 'false',
+    logPath: process.env.SEARCH_ANALYTICS_PATH ?? './data/analytics/searches.jsonl', // Empty keeps the log in memory only
+    maxEntries: parseInt(process.env.SEARCH_ANALYTICS_MAX_ENTRIES) || 50000,
+    slowQueryMs: parseInt(process.env.SLOW_QUERY_MS) || 1000,
+  },
+
+  // Re-ranking Configuration (second stage applied to search candidates)
+  rerank: {
+    reranker: process.env.RERANKER || 'none', // 'none', 'lexical' or 'llm'
+    weight: process.env.RERANK_WEIGHT ? parseFloat(process.env.RERANK_WEIGHT) : 0.5, // 0 = retrieval only, 1 = reranker only
+    candidateMultiplier: parseInt(process.env.RERANK_CANDIDATES) || 4, // Candidates fetched per requested result (also used by collapse/diversity)
+    llmModel: process.env.RERANK_LLM_MODEL || '', // Model of the 'llm' reranker; empty uses llm.model
+  },
+
+  // LLM Configuration (answers of /api/ask and code generation); requests can override
+  // model, temperature and max tokens
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'anthropic', // 'anthropic', 'openai' or 'stub' (offline, deterministic)
+    model: process.env.LLM_MODEL || '', // Empty uses the provider's default model
+    temperature: process.env.LLM_TEMPERATURE ? parseFloat(process.env.LLM_TEMPERATURE) : null, // Null uses the API default
+    maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 4096,
+    stubDelayMs: parseInt(process.env.LLM_STUB_DELAY_MS) || 0, // Pause between words streamed by the stub
+  },
+
+  // Question answering (/api/ask)
+  ask: {
+    contextResults: parseInt(process.env.ASK_CONTEXT_RESULTS) || 6, // Chunks retrieved as context
+    maxTokens: parseInt(process.env.ASK_MAX_TOKENS) || 1024,
+  },
+
   // Storage Configuration
   storage: {
     tempUploadPath: process.env.TEMP_UPLOAD_PATH || './temp',
   },
 
+  // Job Persistence Configuration
+  jobs: {
+    store: process.env.JOB_STORE || 'file', // 'file' or 'memory'
+    storePath: process.env.JOB_STORE_PATH || './data/jobs.json',
+    retentionHours: parseInt(process.env.JOB_RETENTION_HOURS) || 24 * 7,
+  },
+
   // Chunking Configuration
   chunking: {
     chunkSize: parseInt(process.env.CHUNK_SIZE) || 6000,
     chunkOverlap: parseInt(process.env.CHUNK_OVERLAP) || 500,
+    strategy: process.env.CHUNK_STRATEGY || 'size', // 'size' or 'markdown'
   },
 
   // Logging Configuration
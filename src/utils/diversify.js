@@ -0,0 +1,91 @@
+/**
+ * Result Diversification Utility
+ *
+ * Post-processing for ranked search results: collapsing hits per document and
+ * maximal marginal relevance (MMR) selection, so overlapping chunks of the same
+ * page do not crowd out other results.
+ * Follows Single Responsibility Principle (SRP).
+ */
+import { tokenize } from './tokenizer.js';
+
+/**
+ * Keep the best chunk per document
+ * Results must be sorted best first. Each kept result gets otherMatches: the
+ * number of other chunks of the same document among the results.
+ * @param {Array<{metadata: object}>} results
+ * @returns {Array<object>}
+ */
+export function collapseByDocument(results) {
+  const best = new Map(); // documentPath -> result
+
+  for (const result of results) {
+    const documentPath = result.metadata.documentPath;
+    const kept = best.get(documentPath);
+
+    if (kept) {
+      kept.otherMatches++;
+    } else {
+      best.set(documentPath, { ...result, otherMatches: 0 });
+    }
+  }
+
+  return [...best.values()];
+}
+
+/**
+ * Jaccard similarity of two term sets (0-1)
+ */
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Select results with maximal marginal relevance
+ * Each pick maximises (1 - diversity) * relevance - diversity * similarity to
+ * the results already picked. Relevance is the score scaled to the best result;
+ * similarity is the term overlap of the chunk texts.
+ * @param {Array<{text: string, score: number, scores?: object}>} results - Sorted best first
+ * @param {number} limit - Number of results to select
+ * @param {number} diversity - 0 = order by relevance only, 1 = maximise diversity
+ * @returns {Array<object>}
+ */
+export function selectMmr(results, limit, diversity) {
+  const maxScore = Math.max(...results.map(result => result.score), 0);
+  const candidates = results.map(result => ({
+    result,
+    relevance: maxScore > 0 ? result.score / maxScore : 0,
+    terms: new Set(tokenize(result.text)),
+  }));
+
+  const selected = [];
+
+  while (selected.length < limit && candidates.length > 0) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+
+    candidates.forEach((candidate, index) => {
+      const similarity = Math.max(0, ...selected.map(picked => jaccard(candidate.terms, picked.terms)));
+      const value = (1 - diversity) * candidate.relevance - diversity * similarity;
+
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = index;
+      }
+    });
+
+    const [picked] = candidates.splice(bestIndex, 1);
+    picked.result = {
+      ...picked.result,
+      scores: { ...picked.result.scores, mmr: bestValue },
+    };
+    selected.push(picked);
+  }
+
+  return selected.map(picked => picked.result);
+}
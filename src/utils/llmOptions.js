@@ -0,0 +1,33 @@
+/**
+ * LLM Request Options
+ *
+ * Validation of the model, temperature and max tokens a request may set
+ * for an LlmProvider completion (see POST /ask and POST /generate-grid).
+ * Follows Single Responsibility Principle (SRP).
+ */
+
+// Most tokens a request may ask for
+export const MAX_LLM_TOKENS = 32000;
+
+/**
+ * Validate per-request LLM options (all optional)
+ * @param {{model?: string, temperature?: number, maxTokens?: number}} options
+ * @param {LlmProvider} provider - Provider the options are for (its temperatureRange applies)
+ * @returns {string | null} Error message, or null when valid
+ */
+export function validateLlmOptions({ model, temperature, maxTokens }, provider) {
+  if (model !== undefined && (typeof model !== 'string' || model.length === 0)) {
+    return 'Model must be a non-empty string';
+  }
+
+  const { min, max } = provider.temperatureRange;
+  if (temperature !== undefined && (typeof temperature !== 'number' || temperature < min || temperature > max)) {
+    return `Temperature must be a number between ${min} and ${max}`;
+  }
+
+  if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_LLM_TOKENS)) {
+    return `maxTokens must be an integer between 1 and ${MAX_LLM_TOKENS}`;
+  }
+
+  return null;
+}
@@ -0,0 +1,97 @@
+/**
+ * LRU Cache Utility
+ *
+ * Bounded in-memory cache with least-recently-used eviction and a time to live.
+ * Counts hits and misses so callers can report them.
+ * Follows Single Responsibility Principle (SRP).
+ */
+
+export class LruCache {
+  /**
+   * @param {object} options
+   * @param {number} options.maxEntries - Most entries kept; 0 disables the cache
+   * @param {number} options.ttlMs - Milliseconds an entry stays valid; 0 = no expiry
+   */
+  constructor({ maxEntries = 500, ttlMs = 0 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map(); // key -> { value, expiresAt }, least recently used first
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Get a value, marking it as most recently used
+   * @returns {*} The value, undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) {
+      if (entry) this.entries.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    // Re-insert to move the key to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entries when full
+   */
+  set(key, value) {
+    if (this.maxEntries <= 0) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: this.ttlMs > 0 ? Date.now() + this.ttlMs : null,
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Delete every entry whose key matches a predicate
+   * @returns {number} Number of deleted entries
+   */
+  deleteWhere(predicate) {
+    let deleted = 0;
+
+    for (const key of this.entries.keys()) {
+      if (predicate(key)) {
+        this.entries.delete(key);
+        deleted++;
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Get hit/miss counters
+   * @returns {{size: number, maxEntries: number, ttlMs: number, hits: number, misses: number, evictions: number, hitRate: number}}
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: lookups > 0 ? this.hits / lookups : 0,
+    };
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Retrieval Metrics Utility
+ *
+ * Ranking metrics for evaluating search against expected results.
+ * Rankings are lists of document paths, best first; relevance maps each
+ * expected path to its grade (1 = relevant, higher = more relevant).
+ * Follows Single Responsibility Principle (SRP).
+ */
+
+/**
+ * Share of the relevant documents found in the top k
+ * @param {string[]} ranking - Retrieved document paths, best first
+ * @param {Map<string, number>} relevance - Expected path -> grade
+ * @param {number} k
+ * @returns {number} 0-1
+ */
+export function recallAtK(ranking, relevance, k) {
+  if (relevance.size === 0) return 0;
+
+  const found = ranking.slice(0, k).filter(path => relevance.has(path)).length;
+  return found / relevance.size;
+}
+
+/**
+ * Reciprocal rank of the first relevant document (0 when none is retrieved)
+ * @param {string[]} ranking - Retrieved document paths, best first
+ * @param {Map<string, number>} relevance - Expected path -> grade
+ * @returns {number} 0-1
+ */
+export function reciprocalRank(ranking, relevance) {
+  const index = ranking.findIndex(path => relevance.has(path));
+  return index === -1 ? 0 : 1 / (index + 1);
+}
+
+/**
+ * Discounted cumulative gain of a list of grades: sum of (2^grade - 1) / log2(rank + 1)
+ */
+function dcg(grades) {
+  return grades.reduce((sum, grade, index) => sum + (2 ** grade - 1) / Math.log2(index + 2), 0);
+}
+
+/**
+ * Normalized discounted cumulative gain of the top k
+ * @param {string[]} ranking - Retrieved document paths, best first
+ * @param {Map<string, number>} relevance - Expected path -> grade
+ * @param {number} k
+ * @returns {number} 0-1
+ */
+export function ndcgAtK(ranking, relevance, k) {
+  const ideal = dcg([...relevance.values()].sort((a, b) => b - a).slice(0, k));
+  if (ideal === 0) return 0;
+
+  return dcg(ranking.slice(0, k).map(path => relevance.get(path) || 0)) / ideal;
+}
@@ -0,0 +1,81 @@
+/**
+ * Search Cursor Utility
+ *
+ * Encodes the position of a paginated search into an opaque cursor string.
+ * A cursor pins the resolved version and the size and start of the re-ranked
+ * candidate pool, so later pages continue the same ranking, lists the documents
+ * collapsed searches already returned (as short keys), and carries a fingerprint
+ * of the search so it cannot be used with a different query.
+ * Follows Single Responsibility Principle (SRP).
+ */
+import { createHash } from 'crypto';
+
+/**
+ * Thrown when a cursor is malformed or belongs to another search (reported as 400 by the REST API)
+ */
+export class InvalidCursorError extends Error {
+  constructor(message = 'Invalid cursor') {
+    super(message);
+    this.name = 'InvalidCursorError';
+  }
+}
+
+/**
+ * Fingerprint the options that define a ranking
+ * @param {object} search - Query and ranking options (never the page position)
+ * @returns {string}
+ */
+export function fingerprintSearch(search) {
+  return createHash('sha256').update(JSON.stringify(search)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Short key of a document path, as listed in cursors
+ * @param {string} documentPath
+ * @returns {string}
+ */
+export function documentKey(documentPath) {
+  return createHash('sha256').update(documentPath).digest('hex').slice(0, 12);
+}
+
+/**
+ * Encode a cursor
+ * @param {{version: string, offset: number, pool: number | null, poolOffset: number, documents: string[], fingerprint: string}} position
+ *   offset is the position in the pool starting at poolOffset of the vector store ranking;
+ *   documents are the keys of documents returned before that pool
+ * @returns {string}
+ */
+export function encodeCursor({ version, offset, pool, poolOffset = 0, documents = [], fingerprint }) {
+  const position = { v: version, o: offset, p: pool, s: poolOffset, ...(documents.length > 0 && { d: documents }), f: fingerprint };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor and check that it belongs to the search
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} fingerprint - Fingerprint of the current search
+ * @returns {{version: string, offset: number, pool: number | null, poolOffset: number, documents: string[]}}
+ * @throws {InvalidCursorError}
+ */
+export function decodeCursor(cursor, fingerprint) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+  } catch {
+    throw new InvalidCursorError();
+  }
+
+  const { v: version, o: offset, p: pool, s: poolOffset = 0, d: documents = [], f: cursorFingerprint } = position || {};
+
+  if (typeof version !== 'string' || !Number.isInteger(offset) || offset < 0 ||
+      (pool !== null && !(Number.isInteger(pool) && pool > 0)) || !Number.isInteger(poolOffset) || poolOffset < 0 ||
+      !Array.isArray(documents) || !documents.every(key => typeof key === 'string')) {
+    throw new InvalidCursorError();
+  }
+
+  if (cursorFingerprint !== fingerprint) {
+    throw new InvalidCursorError('Cursor belongs to a different search');
+  }
+
+  return { version, offset, pool, poolOffset, documents };
+}
@@ -0,0 +1,314 @@
+/**
+ * Search Filter Utility
+ *
+ * Parses and validates the filter grammar accepted by REST and MCP search.
+ * Parsed filters are passed to the vector store, which translates them into
+ * its native where-clause (no post-filtering of results).
+ *
+ * Grammar (JSON):
+ *   { "product": "grid" }                          equality (several fields are AND-ed)
+ *   { "product": ["grid", "gantt"] }               shorthand for in
+ *   { "product": { "ne": "grid" } }                operators: eq, ne, in
+ *   { "path": { "prefix": "grid/api/" } }          prefix (path only)
+ *   { "chunkIndex": { "gte": 1, "lt": 4 } }        numeric: eq, ne, in, gt, gte, lt, lte
+ *   { "tags": { "any": [], "all": [], "none": [] } } see parseTagFilter
+ *   { "and": [filter, ...] }, { "or": [filter, ...] }, { "not": filter }
+ *
+ * Parsed expressions are trees of nodes; "not" is pushed down to the leaves
+ * while parsing, so vector stores only have to translate:
+ *   { op: 'and' | 'or', operands: node[] }
+ *   { op: 'eq' | 'ne' | 'gt' | 'gte' | 'lt' | 'lte' | 'prefix', field, value }
+ *   { op: 'in', field, values }
+ *   { op: 'tags', field, any, all, none }
+ * Follows Single Responsibility Principle (SRP).
+ */
+
+/**
+ * Thrown when a search filter is malformed (reported as 400 by the REST API)
+ */
+export class InvalidFilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidFilterError';
+  }
+}
+
+// Tag filter keys: any = at least one tag, all = every tag, none = no tag
+export const TAG_FILTER_KEYS = ['any', 'all', 'none'];
+
+/**
+ * Parse a tag filter
+ * Accepts an array of tags (match any) or an object
+ * { any: string[], all: string[], none: string[] }.
+ * @param {string[] | object | undefined} tags
+ * @returns {{any: string[], all: string[], none: string[]} | null} Null when no tag filter is given
+ * @throws {InvalidFilterError}
+ */
+export function parseTagFilter(tags) {
+  if (tags === undefined || tags === null) {
+    return null;
+  }
+
+  const spec = Array.isArray(tags) ? { any: tags } : tags;
+
+  if (typeof spec !== 'object') {
+    throw new InvalidFilterError('Tags must be an array or an object with any/all/none arrays');
+  }
+
+  const unknown = Object.keys(spec).filter(key => !TAG_FILTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new InvalidFilterError(`Unknown tag filter key: ${unknown[0]}. Expected one of: ${TAG_FILTER_KEYS.join(', ')}`);
+  }
+
+  const parsed = {};
+  for (const key of TAG_FILTER_KEYS) {
+    const values = spec[key] ?? [];
+
+    if (!Array.isArray(values) || !values.every(value => typeof value === 'string' && value.length > 0)) {
+      throw new InvalidFilterError(`Tags ${key} must be an array of non-empty strings`);
+    }
+
+    parsed[key] = [...new Set(values)];
+  }
+
+  if (TAG_FILTER_KEYS.every(key => parsed[key].length === 0)) {
+    return null;
+  }
+
+  return parsed;
+}
+
+// Filterable fields and their type
+export const FILTER_FIELDS = {
+  path: 'text',
+  product: 'text',
+  framework: 'text',
+  type: 'text',
+  heading: 'text',
+  chunkIndex: 'int',
+  totalChunks: 'int',
+  tags: 'tags',
+};
+
+// Alternative field names
+const FIELD_ALIASES = {
+  documentPath: 'path',
+};
+
+// Operators accepted per field type (prefix is additionally accepted on PREFIX_FIELDS)
+const FIELD_OPERATORS = {
+  text: ['eq', 'ne', 'in'],
+  int: ['eq', 'ne', 'in', 'gt', 'gte', 'lt', 'lte'],
+};
+
+const PREFIX_FIELDS = ['path'];
+
+// Comparison operator -> its negation
+const NEGATED_OPERATORS = { eq: 'ne', ne: 'eq', gt: 'lte', gte: 'lt', lt: 'gte', lte: 'gt' };
+
+// Deepest nesting of and/or/not accepted
+const MAX_FILTER_DEPTH = 10;
+
+/**
+ * Check whether a filter is a parsed expression (as opposed to a flat key-value filter)
+ */
+export function isFilterExpression(filter) {
+  return typeof filter?.op === 'string';
+}
+
+/**
+ * Combine nodes with and/or; empty lists yield null (no condition)
+ */
+function combine(op, nodes) {
+  const operands = nodes.filter(Boolean);
+
+  if (operands.length === 0) return null;
+  if (operands.length === 1) return operands[0];
+
+  return { op, operands };
+}
+
+/**
+ * AND together parsed expressions, ignoring null ones
+ * @returns {object | null}
+ */
+export function andFilters(...expressions) {
+  return combine('and', expressions);
+}
+
+/**
+ * Create a tag condition from a tag filter (see parseTagFilter)
+ * @returns {object | null}
+ * @throws {InvalidFilterError}
+ */
+export function createTagCondition(tags) {
+  const parsed = parseTagFilter(tags);
+  return parsed && { op: 'tags', field: 'tags', ...parsed };
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validate a single value against a field type
+ */
+function parseValue(type, value, at) {
+  if (type === 'int') {
+    if (!Number.isInteger(value)) {
+      throw new InvalidFilterError(`${at} must be an integer`);
+    }
+  } else if (typeof value !== 'string') {
+    throw new InvalidFilterError(`${at} must be a string`);
+  }
+
+  return value;
+}
+
+/**
+ * Parse one operator of a field condition, e.g. { gte: 2 }
+ */
+function parseOperator(field, type, op, operand, at) {
+  const allowed = PREFIX_FIELDS.includes(field) ? [...FIELD_OPERATORS[type], 'prefix'] : FIELD_OPERATORS[type];
+
+  if (!allowed.includes(op)) {
+    throw new InvalidFilterError(`${at}: operator "${op}" is not supported on ${field}. Expected one of: ${allowed.join(', ')}`);
+  }
+
+  if (op === 'in') {
+    if (!Array.isArray(operand) || operand.length === 0) {
+      throw new InvalidFilterError(`${at} must be a non-empty array`);
+    }
+
+    return { op, field, values: operand.map((value, index) => parseValue(type, value, `${at}[${index}]`)) };
+  }
+
+  const value = parseValue(type, operand, at);
+
+  if (op === 'prefix' && value === '') {
+    throw new InvalidFilterError(`${at} must not be empty`);
+  }
+
+  return { op, field, value };
+}
+
+/**
+ * Parse a field condition: a value (eq), an array (in) or an object of operators
+ */
+function parseCondition(key, condition, at) {
+  const field = FIELD_ALIASES[key] || key;
+  const type = FILTER_FIELDS[field];
+
+  if (!type) {
+    throw new InvalidFilterError(
+      `Unknown filter field: ${key}. Expected one of: ${[...Object.keys(FILTER_FIELDS), 'and', 'or', 'not'].join(', ')}`
+    );
+  }
+
+  if (type === 'tags') {
+    return createTagCondition(condition);
+  }
+
+  if (Array.isArray(condition)) {
+    return parseOperator(field, type, 'in', condition, at);
+  }
+
+  if (!isPlainObject(condition)) {
+    return parseOperator(field, type, 'eq', condition, at);
+  }
+
+  const operators = Object.entries(condition);
+  if (operators.length === 0) {
+    throw new InvalidFilterError(`${at} must not be empty`);
+  }
+
+  return combine('and', operators.map(([op, operand]) => parseOperator(field, type, op, operand, `${at}.${op}`)));
+}
+
+/**
+ * Negate a parsed node by pushing "not" down to its leaves
+ */
+function negate(node, at) {
+  switch (node.op) {
+    case 'and':
+    case 'or':
+      return { op: node.op === 'and' ? 'or' : 'and', operands: node.operands.map(operand => negate(operand, at)) };
+
+    case 'in':
+      return combine('and', node.values.map(value => ({ op: 'ne', field: node.field, value })));
+
+    case 'tags': {
+      // Lacks every "any" tag, or lacks one "all" tag, or has one "none" tag
+      const tagCondition = (tags) => ({ op: 'tags', field: node.field, any: [], all: [], none: [], ...tags });
+      return combine('or', [
+        node.any.length > 0 && tagCondition({ none: node.any }),
+        ...node.all.map(tag => tagCondition({ none: [tag] })),
+        ...node.none.map(tag => tagCondition({ any: [tag] })),
+      ]);
+    }
+
+    case 'prefix':
+      throw new InvalidFilterError(`${at}: prefix conditions cannot be negated`);
+
+    default:
+      return { ...node, op: NEGATED_OPERATORS[node.op] };
+  }
+}
+
+/**
+ * Parse an expression object (fields, and/or/not)
+ */
+function parseExpression(expression, at, depth) {
+  if (depth > MAX_FILTER_DEPTH) {
+    throw new InvalidFilterError(`Filter is nested too deeply (max ${MAX_FILTER_DEPTH} levels)`);
+  }
+
+  if (!isPlainObject(expression)) {
+    throw new InvalidFilterError(`${at} must be an object`);
+  }
+
+  const nodes = [];
+
+  for (const [key, value] of Object.entries(expression)) {
+    const keyAt = `${at}.${key}`;
+
+    if (key === 'and' || key === 'or') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new InvalidFilterError(`${keyAt} must be a non-empty array of filters`);
+      }
+
+      const operands = value.map((operand, index) => parseExpression(operand, `${keyAt}[${index}]`, depth + 1));
+
+      // An empty operand matches everything, which makes the whole "or" match everything
+      if (key === 'or' && operands.includes(null)) continue;
+
+      nodes.push(combine(key, operands));
+    } else if (key === 'not') {
+      const operand = parseExpression(value, keyAt, depth + 1);
+
+      if (!operand) {
+        throw new InvalidFilterError(`${keyAt} must not be empty`);
+      }
+
+      nodes.push(negate(operand, keyAt));
+    } else if (value !== null && value !== undefined) {
+      nodes.push(parseCondition(key, value, keyAt));
+    }
+  }
+
+  return combine('and', nodes);
+}
+
+/**
+ * Parse and validate a search filter
+ * @param {object | undefined} filter - Filter in the grammar described above
+ * @returns {object | null} Parsed expression, null when the filter has no conditions
+ * @throws {InvalidFilterError}
+ */
+export function parseFilter(filter) {
+  if (filter === undefined || filter === null) {
+    return null;
+  }
+
+  return parseExpression(filter, 'filter', 0);
+}
@@ -0,0 +1,101 @@
+/**
+ * Version Ordering
+ *
+ * Semver-aware comparison for documentation versions, so "6.10.0" sorts above
+ * "6.9.0" and prereleases ("6.1.0-beta.1") sort below their release.
+ * Missing minor/patch parts count as 0 ("6.1" == "6.1.0"); strings that are not
+ * versions at all sort below every real version.
+ */
+
+const VERSION_PATTERN = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse a version string
+ * @returns {{core: number[], prerelease: string[]} | null} null when not a version
+ */
+export function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(String(version).trim());
+  if (!match) return null;
+
+  return {
+    core: [match[1], match[2], match[3]].map(part => Number(part || 0)),
+    prerelease: match[4] ? match[4].split('.') : [],
+  };
+}
+
+/**
+ * Compare prerelease identifiers following semver precedence rules
+ */
+function comparePrerelease(a, b) {
+  // A release ranks above any of its prereleases
+  if (a.length === 0 || b.length === 0) {
+    return b.length - a.length;
+  }
+
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    const aNumeric = /^\d+$/.test(a[i]);
+    const bNumeric = /^\d+$/.test(b[i]);
+
+    if (aNumeric && bNumeric) {
+      const diff = Number(a[i]) - Number(b[i]);
+      if (diff !== 0) return diff;
+    } else if (aNumeric !== bNumeric) {
+      // Numeric identifiers rank below alphanumeric ones
+      return aNumeric ? -1 : 1;
+    } else if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+
+  return a.length - b.length;
+}
+
+/**
+ * Compare two version strings
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const parsedA = parseVersion(a);
+  const parsedB = parseVersion(b);
+
+  if (!parsedA || !parsedB) {
+    if (parsedA) return 1;
+    if (parsedB) return -1;
+    return String(a).localeCompare(String(b));
+  }
+
+  for (let i = 0; i < 3; i++) {
+    const diff = parsedA.core[i] - parsedB.core[i];
+    if (diff !== 0) return diff;
+  }
+
+  return comparePrerelease(parsedA.prerelease, parsedB.prerelease);
+}
+
+/**
+ * Sort versions from oldest to newest (returns a new array)
+ */
+export function sortVersions(versions) {
+  return [...versions].sort(compareVersions);
+}
+
+/**
+ * Check whether a version is a prerelease (e.g. 6.1.0-beta.1)
+ */
+export function isPrerelease(version) {
+  const parsed = parseVersion(version);
+  return Boolean(parsed && parsed.prerelease.length > 0);
+}
+
+/**
+ * Pick the newest release, falling back to the newest prerelease when no release exists
+ * @param {string[]} versions
+ * @returns {string | null}
+ */
+export function pickLatestVersion(versions) {
+  const sorted = sortVersions(versions);
+  const releases = sorted.filter(version => !isPrerelease(version));
+  const candidates = releases.length > 0 ? releases : sorted;
+
+  return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+}
@@ -0,0 +1,148 @@
+/**
+ * Snippet Utility
+ *
+ * Cuts query-focused snippets out of a chunk and marks the words matching
+ * the query, so clients do not have to scan whole chunks for the relevant bit.
+ * Words match when they or their camelCase parts equal a query term
+ * (see tokenize), e.g. "row" highlights "RowReorder".
+ * Follows Single Responsibility Principle (SRP).
+ */
+import { tokenize, STOP_WORDS } from './tokenizer.js';
+
+// Default snippet length in characters (snippets grow to the nearest word boundary)
+export const SNIPPET_LENGTH = 240;
+
+// Default number of snippets per chunk
+export const MAX_SNIPPETS = 2;
+
+// Markers around highlighted words in the marked-up text
+const MARK_OPEN = '<mark>';
+const MARK_CLOSE = '</mark>';
+
+// Characters a snippet may grow by to end on a word boundary
+const MAX_BOUNDARY_SHIFT = 20;
+
+/**
+ * Find the words of a text that match the query terms
+ * @returns {Array<{start: number, end: number, terms: string[]}>}
+ */
+function findMatches(text, queryTerms) {
+  const matches = [];
+
+  for (const match of text.matchAll(/[A-Za-z0-9_$]+/g)) {
+    const terms = [...new Set(tokenize(match[0]))].filter(term => queryTerms.has(term));
+
+    if (terms.length > 0) {
+      matches.push({ start: match.index, end: match.index + match[0].length, terms });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Grow a range to the surrounding word boundaries
+ */
+function snapToWords(text, start, end) {
+  let snappedStart = start;
+  while (snappedStart > 0 && !/\s/.test(text[snappedStart - 1]) && start - snappedStart < MAX_BOUNDARY_SHIFT) {
+    snappedStart--;
+  }
+
+  let snappedEnd = end;
+  while (snappedEnd < text.length && !/\s/.test(text[snappedEnd]) && snappedEnd - end < MAX_BOUNDARY_SHIFT) {
+    snappedEnd++;
+  }
+
+  return [snappedStart, snappedEnd];
+}
+
+/**
+ * Build a snippet of text[start, end) with its highlights
+ */
+function createSnippet(text, start, end, matches) {
+  const snippetText = text.slice(start, end);
+  const highlights = matches
+    .filter(match => match.start >= start && match.end <= end)
+    .map(match => ({ start: match.start - start, end: match.end - start }));
+
+  let marked = '';
+  let position = 0;
+  for (const highlight of highlights) {
+    marked += snippetText.slice(position, highlight.start) +
+      MARK_OPEN + snippetText.slice(highlight.start, highlight.end) + MARK_CLOSE;
+    position = highlight.end;
+  }
+  marked += snippetText.slice(position);
+
+  return {
+    start,
+    end,
+    text: snippetText,
+    highlights,
+    marked: `${start > 0 ? '…' : ''}${marked}${end < text.length ? '…' : ''}`,
+  };
+}
+
+/**
+ * Extract the snippets of a text that best match a query
+ * Windows covering the most distinct query terms (then the most matches) are
+ * picked first; the start of the text is returned when nothing matches.
+ * @param {string} text - Chunk text
+ * @param {string} query - Search query (including any expansions)
+ * @param {object} options
+ * @param {number} options.maxSnippets - Most snippets returned (default: MAX_SNIPPETS)
+ * @param {number} options.length - Snippet length in characters (default: SNIPPET_LENGTH)
+ * @returns {Array<{start: number, end: number, text: string, highlights: Array<{start: number, end: number}>, marked: string}>}
+ *   start/end are offsets into the text, highlight offsets are relative to the snippet text
+ *   and marked is the snippet with highlights wrapped in <mark> (not HTML-escaped)
+ */
+export function extractSnippets(text, query, options = {}) {
+  const { maxSnippets = MAX_SNIPPETS, length = SNIPPET_LENGTH } = options;
+
+  if (!text) {
+    return [];
+  }
+
+  const queryTerms = new Set(tokenize(query).filter(term => !STOP_WORDS.has(term)));
+  let remaining = findMatches(text, queryTerms);
+
+  if (remaining.length === 0) {
+    const [start, end] = snapToWords(text, 0, Math.min(length, text.length));
+    return [createSnippet(text, start, end, [])];
+  }
+
+  const allMatches = remaining;
+  const snippets = [];
+
+  while (remaining.length > 0 && snippets.length < maxSnippets) {
+    let best = null;
+
+    // Try a window around each match, leaving a quarter of the window as leading context
+    for (const match of remaining) {
+      let end = Math.min(text.length, Math.max(0, match.start - Math.floor(length / 4)) + length);
+      let start = Math.max(0, end - length);
+
+      // Do not repeat the text of snippets already picked
+      for (const snippet of snippets) {
+        if (snippet.end <= match.start) start = Math.max(start, snippet.end);
+        if (snippet.start >= match.end) end = Math.min(end, snippet.start);
+      }
+
+      const covered = remaining.filter(other => other.start >= start && other.end <= end);
+      const score = new Set(covered.flatMap(other => other.terms)).size * 1000 + covered.length;
+
+      if (!best || score > best.score) {
+        best = { start, end, score };
+      }
+    }
+
+    const [start, end] = snapToWords(text, best.start, best.end);
+    snippets.push(createSnippet(text, start, end, allMatches));
+
+    // Overlapping snippets would repeat text
+    remaining = remaining.filter(match => match.end <= start || match.start >= end);
+  }
+
+  return snippets;
+}
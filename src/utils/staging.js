@@ -0,0 +1,27 @@
+/**
+ * Staging Versions
+ *
+ * Indexing writes chunks under a staging version and promotes them to the live
+ * version once the run succeeds, so searches never see a partially indexed version.
+ */
+import { createHash } from 'crypto';
+
+export const STAGING_PREFIX = '__staging__';
+
+/**
+ * Get the staging version used while indexing a version
+ * The live version is hashed so the staging name never shares word tokens with it;
+ * Weaviate's word tokenization would otherwise let an Equal filter on "6.1.0"
+ * also match a staging value such as "6.1.0-staging".
+ */
+export function getStagingVersion(version) {
+  const hash = createHash('sha256').update(version).digest('hex').slice(0, 16);
+  return `${STAGING_PREFIX}${hash}`;
+}
+
+/**
+ * Check whether a version is a staging version
+ */
+export function isStagingVersion(version) {
+  return typeof version === 'string' && version.startsWith(STAGING_PREFIX);
+}
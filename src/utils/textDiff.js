@@ -0,0 +1,163 @@
+/**
+ * Text Diff Utility
+ *
+ * Line-based diffs between two document texts, rendered as unified diff hunks.
+ */
+
+// Largest LCS table (old lines x new lines) computed before falling back to a full replacement
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Split text into lines (a trailing newline does not produce an empty last line)
+ */
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Diff two line arrays with a longest-common-subsequence table
+ */
+function diffMiddle(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n * m > MAX_LCS_CELLS) {
+    return [
+      ...oldLines.map(line => ({ type: 'delete', line })),
+      ...newLines.map(line => ({ type: 'insert', line })),
+    ];
+  }
+
+  // lcs[i * (m + 1) + j] = LCS length of oldLines[i..] and newLines[j..]
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = oldLines[i] === newLines[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ type: 'equal', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      ops.push({ type: 'delete', line: oldLines[i++] });
+    } else {
+      ops.push({ type: 'insert', line: newLines[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'delete', line: oldLines[i++] });
+  while (j < m) ops.push({ type: 'insert', line: newLines[j++] });
+
+  return ops;
+}
+
+/**
+ * Compute line operations turning oldText into newText
+ * @returns {Array<{type: 'equal' | 'delete' | 'insert', line: string}>}
+ */
+export function diffLines(oldText, newText) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  // Common prefix and suffix are trimmed before the quadratic LCS step
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  return [
+    ...oldLines.slice(0, prefix).map(line => ({ type: 'equal', line })),
+    ...diffMiddle(
+      oldLines.slice(prefix, oldLines.length - suffix),
+      newLines.slice(prefix, newLines.length - suffix)
+    ),
+    ...oldLines.slice(oldLines.length - suffix).map(line => ({ type: 'equal', line })),
+  ];
+}
+
+/**
+ * Create a unified diff (hunks only, no file headers)
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {object} options
+ * @param {number} options.context - Unchanged lines shown around each change (default: 3)
+ * @returns {{diff: string, additions: number, deletions: number}}
+ */
+export function createUnifiedDiff(oldText, newText, { context = 3 } = {}) {
+  const ops = diffLines(oldText, newText);
+
+  // Line numbers (1-based) of every op in the old and new text
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = ops.map(op => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== 'insert') oldLine++;
+    if (op.type !== 'delete') newLine++;
+    return entry;
+  });
+
+  const changed = [];
+  numbered.forEach((op, index) => {
+    if (op.type !== 'equal') changed.push(index);
+  });
+
+  const additions = numbered.filter(op => op.type === 'insert').length;
+  const deletions = numbered.filter(op => op.type === 'delete').length;
+
+  if (changed.length === 0) {
+    return { diff: '', additions, deletions };
+  }
+
+  // Group changes whose context windows touch into hunks
+  const ranges = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(numbered.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  }
+
+  const hunks = ranges.map(({ start, end }) => {
+    const slice = numbered.slice(start, end + 1);
+    const oldCount = slice.filter(op => op.type !== 'insert').length;
+    const newCount = slice.filter(op => op.type !== 'delete').length;
+
+    // Empty sides point at the line before the hunk, as in `diff -u`
+    const oldStart = oldCount > 0 ? slice.find(op => op.type !== 'insert').oldLine : slice[0].oldLine - 1;
+    const newStart = newCount > 0 ? slice.find(op => op.type !== 'delete').newLine : slice[0].newLine - 1;
+
+    const lines = slice.map(op => {
+      const marker = op.type === 'insert' ? '+' : op.type === 'delete' ? '-' : ' ';
+      return `${marker}${op.line}`;
+    });
+
+    return [`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...lines].join('\n');
+  });
+
+  return { diff: hunks.join('\n'), additions, deletions };
+}
@@ -0,0 +1,35 @@
+/**
+ * Tokenizer Utility
+ *
+ * Splits text into lowercase terms for keyword scoring.
+ * Follows Single Responsibility Principle (SRP).
+ */
+
+// Terms that carry no meaning in documentation queries
+export const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+  'i', 'in', 'is', 'it', 'my', 'of', 'on', 'or', 'the', 'to', 'use', 'what', 'when', 'with',
+]);
+
+/**
+ * Split text into lowercase terms.
+ * camelCase / PascalCase identifiers are also split into their parts so that
+ * "DomHelper" matches both "domhelper" and "dom helper".
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const terms = [];
+  const words = String(text || '').match(/[A-Za-z0-9_$]+/g) || [];
+
+  for (const word of words) {
+    terms.push(word.toLowerCase());
+
+    const parts = word.split(/(?<=[a-z0-9])(?=[A-Z])|_/).filter(Boolean);
+    if (parts.length > 1) {
+      parts.forEach(part => terms.push(part.toLowerCase()));
+    }
+  }
+
+  return terms;
+}
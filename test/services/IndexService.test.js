@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IndexService, IndexCancelledError } from '../../src/services/IndexService.js';
+import { DocumentProcessor } from '../../src/services/DocumentProcessor.js';
+import { InMemoryAdapter } from '../../src/adapters/vectorstore/InMemoryAdapter.js';
+import { DocumentSource } from '../../src/core/DocumentSource.js';
+import { isStagingVersion } from '../../src/utils/staging.js';
+
+/**
+ * Document source over a path -> content map
+ */
+class MapSource extends DocumentSource {
+  constructor(files) {
+    super();
+    this.files = files;
+  }
+
+  async *readDocuments() {
+    for (const [path, content] of Object.entries(this.files)) {
+      yield { path, content, metadata: {} };
+    }
+  }
+
+  async getDocumentCount() {
+    return Object.keys(this.files).length;
+  }
+}
+
+const FILES = {
+  'grid/guides/intro.md': '# Intro\n\nThe grid shows rows and columns.',
+  'grid/api/RowReorder.md': '# RowReorder\n\nDrag rows to reorder them.',
+  'grid/api/FilterBar.md': '# FilterBar\n\nFilter the grid from the header.',
+};
+
+function index(store, files, options = {}) {
+  const service = new IndexService(new MapSource(files), new DocumentProcessor({ chunkStrategy: 'markdown' }), store);
+  return service.indexDocuments({ version: '1.0.0', ...options });
+}
+
+function storedPaths(store, version = '1.0.0') {
+  return [...store.objects.values()]
+    .filter(obj => obj.properties.version === version)
+    .map(obj => obj.properties.path)
+    .sort();
+}
+
+test('indexing a new version adds every document', async () => {
+  const store = new InMemoryAdapter();
+  const { diff } = await index(store, FILES);
+
+  assert.deepEqual(diff.added.sort(), Object.keys(FILES).sort());
+  assert.deepEqual(diff.changed, []);
+  assert.deepEqual(diff.removed, []);
+  assert.deepEqual(storedPaths(store), Object.keys(FILES).sort());
+  assert.deepEqual(await store.getAllVersions(), ['1.0.0']);
+});
+
+test('re-indexing only replaces changed, added and removed documents', async () => {
+  const store = new InMemoryAdapter();
+  await index(store, FILES);
+
+  const { diff } = await index(store, {
+    'grid/guides/intro.md': FILES['grid/guides/intro.md'],
+    'grid/api/RowReorder.md': '# RowReorder\n\nRows can be reordered by dragging.',
+    'grid/api/Sort.md': '# Sort\n\nSort by clicking a header.',
+  });
+
+  assert.deepEqual(diff.added, ['grid/api/Sort.md']);
+  assert.deepEqual(diff.changed, ['grid/api/RowReorder.md']);
+  assert.deepEqual(diff.removed, ['grid/api/FilterBar.md']);
+  assert.equal(diff.unchanged, 1);
+
+  assert.deepEqual(storedPaths(store), ['grid/api/RowReorder.md', 'grid/api/Sort.md', 'grid/guides/intro.md']);
+
+  const chunks = await store.getDocumentChunks('grid/api/RowReorder.md', '1.0.0');
+  assert.equal(chunks.length, 1);
+  assert.match(chunks[0].text, /reordered by dragging/);
+});
+
+test('documents without chunks are not reported as added on every run', async () => {
+  const store = new InMemoryAdapter();
+  const files = { ...FILES, 'grid/empty.md': '   \n' };
+
+  const first = await index(store, files);
+  const second = await index(store, files);
+
+  assert.ok(!first.diff.added.includes('grid/empty.md'));
+  assert.deepEqual(second.diff.added, []);
+  assert.equal(second.diff.unchanged, Object.keys(files).length);
+});
+
+test('a document emptied since the last run has its chunks removed', async () => {
+  const store = new InMemoryAdapter();
+  await index(store, FILES);
+
+  const { diff } = await index(store, { ...FILES, 'grid/api/FilterBar.md': '' });
+
+  assert.deepEqual(diff.changed, ['grid/api/FilterBar.md']);
+  assert.ok(!storedPaths(store).includes('grid/api/FilterBar.md'));
+});
+
+test('cancelling discards staged chunks and keeps the live version', async () => {
+  const store = new InMemoryAdapter();
+  await index(store, FILES);
+
+  const controller = new AbortController();
+  const changed = Object.fromEntries(Object.keys(FILES).map(path => [path, `# Changed\n\nNew content of ${path}.`]));
+
+  await assert.rejects(
+    index(store, changed, {
+      batchSize: 1,
+      signal: controller.signal,
+      onProgress: ({ documentsProcessed }) => {
+        if (documentsProcessed === 2) controller.abort();
+      },
+    }),
+    IndexCancelledError
+  );
+
+  const versions = [...store.objects.values()].map(obj => obj.properties.version);
+  assert.ok(!versions.some(isStagingVersion));
+
+  const chunks = await store.getDocumentChunks('grid/api/RowReorder.md', '1.0.0');
+  assert.match(chunks[0].text, /Drag rows to reorder them/);
+  assert.deepEqual(storedPaths(store), Object.keys(FILES).sort());
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QueryService } from '../../src/services/QueryService.js';
+import { InMemoryAdapter } from '../../src/adapters/vectorstore/InMemoryAdapter.js';
+import { LexicalReranker } from '../../src/adapters/reranker/LexicalReranker.js';
+import { InvalidCursorError } from '../../src/utils/searchCursor.js';
+
+const DOCUMENTS = 20;
+const CHUNKS_PER_DOCUMENT = 4;
+
+async function createService() {
+  const store = new InMemoryAdapter();
+  await store.initialize();
+
+  const chunks = [];
+  for (let doc = 0; doc < DOCUMENTS; doc++) {
+    for (let chunk = 0; chunk < CHUNKS_PER_DOCUMENT; chunk++) {
+      chunks.push({
+        id: `doc${doc}-chunk${chunk}`,
+        text: `Grid rows ${'reorder '.repeat(1 + ((doc + chunk) % 5))}section ${chunk} of document ${doc}`,
+        metadata: { version: '1.0.0', documentPath: `grid/doc${doc}.md`, chunkIndex: chunk, totalChunks: CHUNKS_PER_DOCUMENT, tags: [] },
+      });
+    }
+  }
+  await store.addDocuments(chunks);
+
+  const aliases = { resolveVersion: async version => version };
+  const analytics = { record: () => {} };
+  return new QueryService(store, aliases, new LexicalReranker(), null, analytics, null);
+}
+
+async function pageThrough(service, options) {
+  const results = [];
+  let cursor;
+  let pages = 0;
+
+  do {
+    const page = await service.searchPage('reorder grid rows', { version: '1.0.0', expand: false, track: false, ...options, cursor });
+    results.push(...page.results);
+    cursor = page.nextCursor;
+    pages++;
+  } while (cursor && pages < 100);
+
+  return { results, pages };
+}
+
+test('re-ranked pages continue past the first candidate pool', async () => {
+  const service = await createService();
+  const { results, pages } = await pageThrough(service, { limit: 3 });
+
+  assert.ok(pages > 1);
+  assert.equal(results.length, DOCUMENTS * CHUNKS_PER_DOCUMENT);
+  assert.equal(new Set(results.map(result => result.id)).size, results.length);
+});
+
+test('collapsed pages never repeat a document', async () => {
+  const service = await createService();
+  const { results } = await pageThrough(service, { limit: 3, collapse: true });
+
+  const paths = results.map(result => result.metadata.documentPath);
+  assert.equal(new Set(paths).size, paths.length);
+  assert.equal(paths.length, DOCUMENTS);
+
+  // Every other chunk of a document is counted on the one result of that document
+  const counted = results.reduce((total, result) => total + 1 + result.otherMatches, 0);
+  assert.ok(counted <= DOCUMENTS * CHUNKS_PER_DOCUMENT);
+  assert.ok(results.some(result => result.otherMatches > 0));
+});
+
+test('cursors asking for more candidates than a search would are rejected', async () => {
+  const service = await createService();
+  const options = { version: '1.0.0', expand: false, track: false, limit: 3 };
+  const { nextCursor } = await service.searchPage('reorder grid rows', options);
+
+  const position = JSON.parse(Buffer.from(nextCursor, 'base64url').toString('utf-8'));
+  const forged = Buffer.from(JSON.stringify({ ...position, p: 1000000 })).toString('base64url');
+
+  await assert.rejects(service.searchPage('reorder grid rows', { ...options, cursor: forged }), InvalidCursorError);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SearchFeedbackService } from '../../src/services/SearchFeedbackService.js';
+
+async function withService(run) {
+  const dir = await mkdtemp(join(tmpdir(), 'feedback-'));
+  try {
+    await run(new SearchFeedbackService(dir));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+function vote(index, version = '1.0.0') {
+  return {
+    query: 'reorder rows',
+    resultId: `chunk-${index}`,
+    documentPath: `grid/api/Doc${index % 3}.md`,
+    version,
+    vote: index % 2 ? 'down' : 'up',
+  };
+}
+
+test('concurrent votes on a version are all kept', () => withService(async service => {
+  await Promise.all(Array.from({ length: 20 }, (_, i) => service.recordFeedback(vote(i))));
+
+  const votes = await service.getVotes('1.0.0');
+  assert.equal(votes.length, 20);
+  assert.equal(new Set(votes.map(v => v.resultId)).size, 20);
+}));
+
+test('votes on different versions are kept apart', () => withService(async service => {
+  await Promise.all([
+    service.recordFeedback(vote(0, '1.0.0')),
+    service.recordFeedback(vote(1, '2.0.0')),
+    service.recordFeedback(vote(2, '1.0.0')),
+  ]);
+
+  assert.equal((await service.getVotes('1.0.0')).length, 2);
+  assert.equal((await service.getVotes('2.0.0')).length, 1);
+}));
+
+test('deleting feedback waits for the votes queued before it', () => withService(async service => {
+  await Promise.all([
+    service.recordFeedback(vote(0)),
+    service.recordFeedback(vote(1)),
+    service.deleteFeedback('1.0.0'),
+  ]);
+
+  assert.deepEqual(await service.getVotes('1.0.0'), []);
+  assert.equal((await service.getSummary('1.0.0')).votes, 0);
+}));
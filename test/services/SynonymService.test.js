@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, utimes } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SynonymService } from '../../src/services/SynonymService.js';
+
+async function withDirectory(run) {
+  const dir = await mkdtemp(join(tmpdir(), 'synonyms-'));
+  try {
+    await run(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('queries are expanded with the terms of the phrases they contain', () => withDirectory(async dir => {
+  const service = new SynonymService(dir);
+  await service.updateSynonyms('1.0.0', { 'drag rows': ['RowReorder'] });
+
+  const { query, expansions } = await service.expandQuery('How to drag rows?', '1.0.0');
+  assert.equal(query, 'How to drag rows? RowReorder');
+  assert.deepEqual(expansions, [{ phrase: 'drag rows', terms: ['RowReorder'] }]);
+}));
+
+test('a dictionary changed by another process is picked up', () => withDirectory(async dir => {
+  const server = new SynonymService(dir);
+  const cli = new SynonymService(dir);
+
+  // Cached while the version has no dictionary yet
+  assert.deepEqual((await server.expandQuery('drag rows', '1.0.0')).expansions, []);
+
+  await cli.updateSynonyms('1.0.0', { 'drag rows': ['RowReorder'] });
+  assert.equal((await server.expandQuery('drag rows', '1.0.0')).query, 'drag rows RowReorder');
+
+  await cli.updateSynonyms('1.0.0', { 'drag rows': ['RowDrag'] });
+
+  // Make sure the modification time differs on file systems with a coarse clock
+  const later = new Date(Date.now() + 5000);
+  await utimes(cli.getSynonymsFilePath('1.0.0'), later, later);
+
+  assert.equal((await server.expandQuery('drag rows', '1.0.0')).query, 'drag rows RowDrag');
+
+  await cli.deleteSynonyms('1.0.0');
+  assert.deepEqual((await server.expandQuery('drag rows', '1.0.0')).expansions, []);
+}));
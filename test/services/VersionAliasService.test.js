@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { VersionAliasService } from '../../src/services/VersionAliasService.js';
+import { sortVersions } from '../../src/utils/semver.js';
+
+/**
+ * Vector store reporting a fixed set of indexed versions
+ */
+function storeWith(versions) {
+  return { getAllVersions: async () => sortVersions(versions) };
+}
+
+async function withService(run) {
+  const dir = await mkdtemp(join(tmpdir(), 'aliases-'));
+  try {
+    await run(new VersionAliasService(join(dir, 'aliases.json')), dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('latest is the newest release and next the newest version', () => withService(async service => {
+  const store = storeWith(['5.6.0', '6.1.0-beta.2', '6.0.0', '6.1.0-beta.10']);
+
+  assert.equal(await service.resolveVersion('latest', store), '6.0.0');
+  assert.equal(await service.resolveVersion('next', store), '6.1.0-beta.10');
+  assert.equal(await service.resolveVersion(undefined, store), '6.0.0');
+
+  assert.deepEqual(await service.getAliases(store), {
+    latest: { version: '6.0.0', pinned: false },
+    next: { version: '6.1.0-beta.10', pinned: false },
+  });
+}));
+
+test('latest falls back to the newest prerelease when there is no release', () => withService(async service => {
+  const store = storeWith(['6.1.0-alpha.1', '6.1.0-beta.1']);
+
+  assert.equal(await service.resolveVersion('latest', store), '6.1.0-beta.1');
+  assert.equal(await service.resolveVersion('latest', storeWith([])), null);
+}));
+
+test('pinned aliases override automatic ones until removed', () => withService(async (service, dir) => {
+  const store = storeWith(['5.6.0', '6.0.0']);
+
+  await service.setAlias('latest', '5.6.0');
+  await service.setAlias('stable', '5.6.0');
+
+  assert.equal(await service.resolveVersion('latest', store), '5.6.0');
+  assert.equal(await service.resolveVersion('stable', store), '5.6.0');
+  assert.deepEqual((await service.getAliases(store)).latest, { version: '5.6.0', pinned: true });
+
+  // Pins are persisted
+  const reloaded = new VersionAliasService(join(dir, 'aliases.json'));
+  assert.equal(await reloaded.resolveVersion('stable', store), '5.6.0');
+
+  assert.equal(await service.removeAlias('latest'), true);
+  assert.equal(await service.removeAlias('latest'), false);
+  assert.equal(await service.resolveVersion('latest', store), '6.0.0');
+}));
+
+test('aliases pinned to a missing version fall back or stay unresolved', () => withService(async service => {
+  const store = storeWith(['6.0.0']);
+
+  await service.setAlias('next', '7.0.0-beta.1');
+  await service.setAlias('stable', '5.6.0');
+
+  assert.equal(await service.resolveVersion('next', store), '6.0.0');
+  assert.equal(await service.resolveVersion('stable', store), 'stable');
+  assert.deepEqual((await service.getAliases(store)).stable, { version: null, pinned: false });
+}));
+
+test('real versions take precedence and unknown values are returned unchanged', () => withService(async service => {
+  const store = storeWith(['latest', '6.0.0']);
+
+  await service.setAlias('stable', '6.0.0');
+
+  assert.equal(await service.resolveVersion('latest', store), 'latest');
+  assert.equal(await service.resolveVersion('6.0.0', store), '6.0.0');
+  assert.equal(await service.resolveVersion('9.9.9', store), '9.9.9');
+}));
+
+test('deleting a version removes the aliases pinned to it', () => withService(async service => {
+  const store = storeWith(['5.6.0', '6.0.0']);
+
+  await service.setAlias('stable', '5.6.0');
+  await service.setAlias('lts', '5.6.0');
+  await service.setAlias('current', '6.0.0');
+  await service.removeAliasesFor('5.6.0');
+
+  assert.deepEqual(await service.getPinnedAliases(), { current: '6.0.0' });
+  assert.equal(await service.resolveVersion('stable', store), 'stable');
+}));
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkTextRanges, chunkByMarkdownStructure, stitchChunks } from '../../src/utils/chunker.js';
+import { DocumentProcessor } from '../../src/services/DocumentProcessor.js';
+
+const paragraph = index =>
+  `Paragraph ${index} explains how the grid renders rows. It reuses row elements while scrolling, ` +
+  `so only the visible rows are in the DOM. Cells are updated in place when the record changes.`;
+
+const FIXTURES = {
+  'guide with sections': [
+    '# Grid',
+    '',
+    'The grid shows records in rows and columns.',
+    '',
+    '## Features',
+    '',
+    ...Array.from({ length: 12 }, (_, i) => `${paragraph(i)}\n`),
+    '### Filtering',
+    '',
+    '| Feature | Class |',
+    '| --- | --- |',
+    '| Filter bar | FilterBar |',
+    '| Quick find | QuickFind |',
+    '',
+    '```javascript',
+    '# not a heading inside code',
+    'const grid = new Grid({ features : { filterBar : true } });',
+    '```',
+    '',
+  ].join('\n'),
+
+  'oversized code block': [
+    '# Example',
+    '',
+    '```javascript',
+    ...Array.from({ length: 120 }, (_, i) => `grid.store.add({ id : ${i}, name : 'Row ${i}' });`),
+    '```',
+    '',
+    'Trailing text without a newline',
+  ].join('\n'),
+
+  'one long paragraph': Array.from({ length: 30 }, (_, i) => paragraph(i)).join(' '),
+
+  'windows line endings and unicode': [
+    '# Überschrift 📅',
+    '',
+    ...Array.from({ length: 10 }, (_, i) => `Zeile ${i}: Termine für Ressourcen — ${paragraph(i)}`),
+    '',
+    '## Zweiter Abschnitt',
+    '',
+    'Ende 🎉',
+  ].join('\r\n'),
+
+  'no headings': Array.from({ length: 15 }, (_, i) => paragraph(i)).join('\n\n'),
+};
+
+/**
+ * Chunk a fixture like the indexer does and keep what is stored per chunk
+ */
+function chunk(content, chunkStrategy) {
+  const processor = new DocumentProcessor({ chunkStrategy, chunkSize: 400, chunkOverlap: 80 });
+
+  return processor.processDocument({ path: 'grid/guides/fixture.md', content, metadata: {} })
+    .map(({ text, metadata }) => ({ text, start: metadata.startOffset }));
+}
+
+for (const chunkStrategy of ['size', 'markdown']) {
+  for (const [name, content] of Object.entries(FIXTURES)) {
+    test(`${chunkStrategy} chunks of "${name}" stitch back into the source`, () => {
+      const chunks = chunk(content, chunkStrategy);
+
+      assert.ok(chunks.length > 1, 'fixture should span several chunks');
+      assert.ok(Buffer.from(stitchChunks(chunks)).equals(Buffer.from(content)));
+
+      // Chunks are laid out by offset, not by the order they are passed in
+      assert.equal(stitchChunks([...chunks].reverse()), content);
+    });
+  }
+}
+
+test('a run of neighbouring chunks stitches into that part of the source', () => {
+  const content = FIXTURES['no headings'];
+  const chunks = chunk(content, 'size');
+  const run = chunks.slice(2, 5);
+  const last = run[run.length - 1];
+
+  assert.equal(stitchChunks(run), content.slice(run[0].start, last.start + last.text.length));
+});
+
+test('size and markdown ranges cover the source without gaps', () => {
+  for (const content of Object.values(FIXTURES)) {
+    const ranges = [
+      chunkTextRanges(content, 400, 80),
+      chunkByMarkdownStructure(content, 400, 80),
+    ];
+
+    for (const chunks of ranges) {
+      assert.equal(chunks[0].start, 0);
+      assert.equal(chunks[chunks.length - 1].end, content.length);
+
+      for (let i = 1; i < chunks.length; i++) {
+        assert.ok(chunks[i].start <= chunks[i - 1].end, `gap before chunk ${i}`);
+        assert.ok(chunks[i].start > chunks[i - 1].start, `chunk ${i} does not advance`);
+      }
+    }
+  }
+});
+
+test('chunks without offsets are joined on their overlap', () => {
+  assert.equal(stitchChunks([]), '');
+  assert.equal(stitchChunks([{ text: 'The grid shows rows' }, { text: 'shows rows and columns.' }]), 'The grid shows rows and columns.');
+  assert.equal(stitchChunks([{ text: 'First part.' }, { text: 'Second part.' }]), 'First part.\n\nSecond part.');
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateLlmOptions, MAX_LLM_TOKENS } from '../../src/utils/llmOptions.js';
+import { AnthropicProvider } from '../../src/adapters/llm/AnthropicProvider.js';
+import { OpenAIProvider } from '../../src/adapters/llm/OpenAIProvider.js';
+import { StubLlmProvider } from '../../src/adapters/llm/StubLlmProvider.js';
+
+test('temperature is checked against the range of the provider', () => {
+  const anthropic = new AnthropicProvider();
+  const openai = new OpenAIProvider();
+
+  assert.equal(validateLlmOptions({ temperature: 1 }, anthropic), null);
+  assert.equal(validateLlmOptions({ temperature: 1.5 }, anthropic), 'Temperature must be a number between 0 and 1');
+  assert.equal(validateLlmOptions({ temperature: 1.5 }, openai), null);
+  assert.equal(validateLlmOptions({ temperature: 2 }, openai), null);
+  assert.equal(validateLlmOptions({ temperature: 2.1 }, openai), 'Temperature must be a number between 0 and 2');
+  assert.equal(validateLlmOptions({ temperature: -0.1 }, openai), 'Temperature must be a number between 0 and 2');
+  assert.equal(validateLlmOptions({ temperature: '1' }, new StubLlmProvider()), 'Temperature must be a number between 0 and 1');
+});
+
+test('model and maxTokens are checked', () => {
+  const provider = new StubLlmProvider();
+
+  assert.equal(validateLlmOptions({}, provider), null);
+  assert.equal(validateLlmOptions({ model: '' }, provider), 'Model must be a non-empty string');
+  assert.equal(validateLlmOptions({ maxTokens: MAX_LLM_TOKENS }, provider), null);
+  assert.match(validateLlmOptions({ maxTokens: MAX_LLM_TOKENS + 1 }, provider), /^maxTokens must be an integer/);
+  assert.match(validateLlmOptions({ maxTokens: 1.5 }, provider), /^maxTokens must be an integer/);
+});
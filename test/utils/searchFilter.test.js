@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseFilter,
+  parseTagFilter,
+  createTagCondition,
+  andFilters,
+  InvalidFilterError,
+} from '../../src/utils/searchFilter.js';
+
+const tagNode = tags => ({ op: 'tags', field: 'tags', any: [], all: [], none: [], ...tags });
+
+test('empty filters have no conditions', () => {
+  assert.equal(parseFilter(undefined), null);
+  assert.equal(parseFilter(null), null);
+  assert.equal(parseFilter({}), null);
+  assert.equal(parseFilter({ product: null }), null);
+});
+
+test('fields are compared for equality and AND-ed', () => {
+  assert.deepEqual(parseFilter({ product: 'grid' }), { op: 'eq', field: 'product', value: 'grid' });
+  assert.deepEqual(parseFilter({ product: 'grid', documentPath: 'grid/api/Grid.md' }), {
+    op: 'and',
+    operands: [
+      { op: 'eq', field: 'product', value: 'grid' },
+      { op: 'eq', field: 'path', value: 'grid/api/Grid.md' },
+    ],
+  });
+});
+
+test('arrays and the in operator match any of the values', () => {
+  const expected = { op: 'in', field: 'product', values: ['grid', 'gantt'] };
+
+  assert.deepEqual(parseFilter({ product: ['grid', 'gantt'] }), expected);
+  assert.deepEqual(parseFilter({ product: { in: ['grid', 'gantt'] } }), expected);
+  assert.deepEqual(parseFilter({ chunkIndex: { in: [0, 1] } }), { op: 'in', field: 'chunkIndex', values: [0, 1] });
+});
+
+test('prefix is accepted on path only', () => {
+  assert.deepEqual(parseFilter({ path: { prefix: 'grid/api/' } }), { op: 'prefix', field: 'path', value: 'grid/api/' });
+  assert.deepEqual(parseFilter({ documentPath: { prefix: 'grid/' } }), { op: 'prefix', field: 'path', value: 'grid/' });
+
+  assert.throws(() => parseFilter({ product: { prefix: 'gr' } }), InvalidFilterError);
+  assert.throws(() => parseFilter({ path: { prefix: '' } }), InvalidFilterError);
+});
+
+test('numeric fields accept comparisons, combined with and', () => {
+  assert.deepEqual(parseFilter({ chunkIndex: { gte: 1, lt: 4 } }), {
+    op: 'and',
+    operands: [
+      { op: 'gte', field: 'chunkIndex', value: 1 },
+      { op: 'lt', field: 'chunkIndex', value: 4 },
+    ],
+  });
+
+  for (const op of ['eq', 'ne', 'gt', 'gte', 'lt', 'lte']) {
+    assert.deepEqual(parseFilter({ totalChunks: { [op]: 2 } }), { op, field: 'totalChunks', value: 2 });
+  }
+
+  // Comparisons other than eq/ne/in are numeric only
+  assert.throws(() => parseFilter({ heading: { gt: 'A' } }), InvalidFilterError);
+});
+
+test('tag filters take an array (any) or any/all/none', () => {
+  assert.deepEqual(parseFilter({ tags: ['grid', 'api'] }), tagNode({ any: ['grid', 'api'] }));
+  assert.deepEqual(
+    parseFilter({ tags: { any: ['grid'], all: ['api', 'api'], none: ['legacy'] } }),
+    tagNode({ any: ['grid'], all: ['api'], none: ['legacy'] })
+  );
+
+  assert.equal(parseTagFilter(undefined), null);
+  assert.equal(parseTagFilter({ any: [], all: [] }), null);
+  assert.deepEqual(createTagCondition({ none: ['legacy'] }), tagNode({ none: ['legacy'] }));
+  assert.equal(createTagCondition([]), null);
+});
+
+test('and/or combine expressions, and an empty or operand matches everything', () => {
+  assert.deepEqual(parseFilter({ or: [{ product: 'grid' }, { product: 'gantt' }] }), {
+    op: 'or',
+    operands: [
+      { op: 'eq', field: 'product', value: 'grid' },
+      { op: 'eq', field: 'product', value: 'gantt' },
+    ],
+  });
+
+  assert.deepEqual(parseFilter({ and: [{ product: 'grid' }, { type: 'api' }] }), {
+    op: 'and',
+    operands: [
+      { op: 'eq', field: 'product', value: 'grid' },
+      { op: 'eq', field: 'type', value: 'api' },
+    ],
+  });
+
+  assert.equal(parseFilter({ or: [{ product: 'grid' }, {}] }), null);
+});
+
+test('not is pushed down to the leaves', () => {
+  assert.deepEqual(parseFilter({ not: { product: 'grid' } }), { op: 'ne', field: 'product', value: 'grid' });
+  assert.deepEqual(parseFilter({ not: { chunkIndex: { gte: 2 } } }), { op: 'lt', field: 'chunkIndex', value: 2 });
+
+  // De Morgan: not (a and b) = not a or not b
+  assert.deepEqual(parseFilter({ not: { product: 'grid', chunkIndex: { gt: 0 } } }), {
+    op: 'or',
+    operands: [
+      { op: 'ne', field: 'product', value: 'grid' },
+      { op: 'lte', field: 'chunkIndex', value: 0 },
+    ],
+  });
+
+  // not in = ne every value
+  assert.deepEqual(parseFilter({ not: { framework: ['react', 'vue'] } }), {
+    op: 'and',
+    operands: [
+      { op: 'ne', field: 'framework', value: 'react' },
+      { op: 'ne', field: 'framework', value: 'vue' },
+    ],
+  });
+
+  // Double negation restores the condition
+  assert.deepEqual(parseFilter({ not: { not: { type: 'api' } } }), { op: 'eq', field: 'type', value: 'api' });
+});
+
+test('negated tag filters become tag conditions', () => {
+  assert.deepEqual(parseFilter({ not: { tags: { any: ['grid', 'gantt'], all: ['api'], none: ['legacy'] } } }), {
+    op: 'or',
+    operands: [
+      tagNode({ none: ['grid', 'gantt'] }),
+      tagNode({ none: ['api'] }),
+      tagNode({ any: ['legacy'] }),
+    ],
+  });
+});
+
+test('andFilters ignores empty expressions', () => {
+  const product = parseFilter({ product: 'grid' });
+  const tags = createTagCondition(['api']);
+
+  assert.equal(andFilters(null, null), null);
+  assert.equal(andFilters(product, null), product);
+  assert.deepEqual(andFilters(product, tags), { op: 'and', operands: [product, tags] });
+});
+
+test('malformed filters throw InvalidFilterError', () => {
+  const malformed = [
+    'grid',
+    [{ product: 'grid' }],
+    { version: '1.0.0' },
+    { product: 1 },
+    { product: [] },
+    { product: { in: 'grid' } },
+    { product: {} },
+    { product: { like: 'grid' } },
+    { chunkIndex: 1.5 },
+    { chunkIndex: { gt: '1' } },
+    { and: [] },
+    { or: {} },
+    { not: {} },
+    { not: { path: { prefix: 'grid/' } } },
+    { tags: 'grid' },
+    { tags: { some: ['grid'] } },
+    { tags: { all: [''] } },
+  ];
+
+  for (const filter of malformed) {
+    assert.throws(() => parseFilter(filter), InvalidFilterError, JSON.stringify(filter));
+  }
+});
+
+test('errors name the offending part of the filter', () => {
+  assert.throws(() => parseFilter({ and: [{ chunkIndex: { gt: 'x' } }] }), {
+    name: 'InvalidFilterError',
+    message: 'filter.and[0].chunkIndex.gt must be an integer',
+  });
+
+  assert.throws(() => parseFilter({ colour: 'red' }), /^InvalidFilterError: Unknown filter field: colour/);
+});
+
+test('deeply nested filters are rejected', () => {
+  let filter = { product: 'grid' };
+  for (let i = 0; i < 12; i++) {
+    filter = { not: filter };
+  }
+
+  assert.throws(() => parseFilter(filter), /nested too deeply/);
+});
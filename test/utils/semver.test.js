@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVersion, compareVersions, sortVersions, isPrerelease, pickLatestVersion } from '../../src/utils/semver.js';
+
+test('versions are parsed into core parts and prerelease identifiers', () => {
+  assert.deepEqual(parseVersion('6.1.2'), { core: [6, 1, 2], prerelease: [] });
+  assert.deepEqual(parseVersion('v6.1'), { core: [6, 1, 0], prerelease: [] });
+  assert.deepEqual(parseVersion('6'), { core: [6, 0, 0], prerelease: [] });
+  assert.deepEqual(parseVersion('6.1.0-beta.1+build.5'), { core: [6, 1, 0], prerelease: ['beta', '1'] });
+  assert.equal(parseVersion('latest'), null);
+  assert.equal(parseVersion('6.1.0.1'), null);
+});
+
+test('core parts compare numerically', () => {
+  assert.deepEqual(sortVersions(['6.10.0', '6.9.0', '5.6.13', '6.9.10', '6.9.2']), ['5.6.13', '6.9.0', '6.9.2', '6.9.10', '6.10.0']);
+  assert.equal(compareVersions('6.1', '6.1.0'), 0);
+  assert.equal(compareVersions('v6.1.0', '6.1.0'), 0);
+});
+
+test('prereleases sort below their release, following semver precedence', () => {
+  const ordered = [
+    '6.1.0-alpha',
+    '6.1.0-alpha.1',
+    '6.1.0-alpha.beta',
+    '6.1.0-beta',
+    '6.1.0-beta.2',
+    '6.1.0-beta.11',
+    '6.1.0-rc.1',
+    '6.1.0',
+    '6.1.1-beta.1',
+  ];
+
+  assert.deepEqual(sortVersions([...ordered].reverse()), ordered);
+  assert.ok(compareVersions('6.1.0-rc.1', '6.0.9') > 0);
+});
+
+test('strings that are not versions sort below every version', () => {
+  assert.deepEqual(sortVersions(['2.0.0', 'nightly', '1.0.0', 'dev']), ['dev', 'nightly', '1.0.0', '2.0.0']);
+});
+
+test('sortVersions returns a new array', () => {
+  const versions = ['2.0.0', '1.0.0'];
+  sortVersions(versions);
+  assert.deepEqual(versions, ['2.0.0', '1.0.0']);
+});
+
+test('isPrerelease detects prerelease identifiers', () => {
+  assert.equal(isPrerelease('6.1.0-beta.1'), true);
+  assert.equal(isPrerelease('6.1.0'), false);
+  assert.equal(isPrerelease('6.1.0+build.5'), false);
+  assert.equal(isPrerelease('nightly'), false);
+});
+
+test('the latest version is the newest release, or the newest prerelease without releases', () => {
+  assert.equal(pickLatestVersion(['6.0.0', '6.1.0-beta.1', '5.9.0']), '6.0.0');
+  assert.equal(pickLatestVersion(['6.1.0-beta.1', '6.1.0-alpha.3']), '6.1.0-beta.1');
+  assert.equal(pickLatestVersion(['6.10.0', '6.9.0']), '6.10.0');
+  assert.equal(pickLatestVersion([]), null);
+});
@@ -11,30 +11,81 @@ export class ApiClient {
 
     /**
      * Search for documents
+     * Pass the nextCursor of a response as cursor (with the same options) to get the next page.
      */
     async search(query, options = {}) {
         const {
             limit = 5,
             version = null,
             filter = {},
-            includeContext = false
+            includeContext = false,
+            cursor = undefined
         } = options;
 
         const response = await fetch(`${this.baseUrl}/search`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                'X-Client-Name': 'web',
             },
-            body: JSON.stringify({ query, limit, version, filter, includeContext }),
+            body: JSON.stringify({ query, limit, version, filter, includeContext, cursor }),
         });
 
         if (!response.ok) {
-            throw new Error(`Search failed: ${response.statusText}`);
+            const errorData = await response.json();
+            throw new Error(errorData.message || errorData.error || `Search failed: ${response.statusText}`);
         }
 
         return response.json();
     }
 
+    /**
+     * Ask a question, streaming the answer
+     * @param {Function} onEvent - Called with (type, data) for the `sources`, `delta` and `done` events
+     * @param {AbortSignal} signal - Stops the stream
+     */
+    async ask(question, options = {}, onEvent = () => {}, signal = undefined) {
+        const { limit = 6, version = null, filter = {} } = options;
+
+        const response = await fetch(`${this.baseUrl}/ask`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Client-Name': 'web',
+            },
+            body: JSON.stringify({ question, limit, version: version || undefined, filter, stream: true }),
+            signal,
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || errorData.error || `Ask failed: ${response.statusText}`);
+        }
+
+        // Server-sent events, separated by blank lines
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += value;
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+
+            for (const event of events) {
+                const type = event.match(/^event: (.*)$/m)?.[1];
+                const data = JSON.parse(event.match(/^data: (.*)$/m)?.[1] || '{}');
+
+                if (type === 'error') {
+                    throw new Error(data.message || data.error);
+                }
+                onEvent(type, data);
+            }
+        }
+    }
+
     /**
      * Get all versions
      */
@@ -63,12 +114,16 @@ export class ApiClient {
 
     /**
      * Upload and index a zip file
+     * Options: chunkStrategy ('size' | 'markdown', defaults to server config)
      */
-    async uploadAndIndex(file, version, onProgress) {
+    async uploadAndIndex(file, version, onProgress, options = {}) {
         return new Promise((resolve, reject) => {
             const formData = new FormData();
             formData.append('file', file);
             formData.append('version', version);
+            if (options.chunkStrategy) {
+                formData.append('chunkStrategy', options.chunkStrategy);
+            }
 
             const xhr = new XMLHttpRequest();
 
@@ -97,6 +152,51 @@ export class ApiClient {
         });
     }
 
+    /**
+     * Get all indexing jobs, including history from previous server runs
+     */
+    async getJobs() {
+        const response = await fetch(`${this.baseUrl}/index`);
+
+        if (!response.ok) {
+            throw new Error(`Get jobs failed: ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Cancel a running indexing job
+     */
+    async cancelJob(jobId) {
+        const response = await fetch(`${this.baseUrl}/index/${encodeURIComponent(jobId)}`, {
+            method: 'DELETE',
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || `Cancel job failed: ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Retry a failed or interrupted indexing job
+     */
+    async retryJob(jobId) {
+        const response = await fetch(`${this.baseUrl}/index/${encodeURIComponent(jobId)}/retry`, {
+            method: 'POST',
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || errorData.error || `Retry job failed: ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
     /**
      * Clear all documents from the database
      */
@@ -129,6 +229,55 @@ export class ApiClient {
         return response.json();
     }
 
+    /**
+     * Get version aliases (latest, stable, next, ...) and the versions they resolve to
+     */
+    async getVersionAliases() {
+        const response = await fetch(`${this.baseUrl}/versions/aliases`);
+
+        if (!response.ok) {
+            throw new Error(`Get version aliases failed: ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Pin a version alias to a version
+     */
+    async setVersionAlias(alias, version) {
+        const response = await fetch(`${this.baseUrl}/versions/aliases/${encodeURIComponent(alias)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ version }),
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || errorData.error || `Set version alias failed: ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Unpin a version alias
+     */
+    async deleteVersionAlias(alias) {
+        const response = await fetch(`${this.baseUrl}/versions/aliases/${encodeURIComponent(alias)}`, {
+            method: 'DELETE',
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || errorData.error || `Delete version alias failed: ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
     /**
      * Get version metadata
      */
@@ -156,6 +305,63 @@ export class ApiClient {
         return response.json();
     }
 
+    /**
+     * Get search analytics: totals, top, zero-result and slow queries, and searches per client
+     * @param {object} options - { hours, source, limit }
+     */
+    async getSearchAnalytics(options = {}) {
+        const params = new URLSearchParams(
+            Object.entries(options).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+
+        const response = await fetch(`${this.baseUrl}/analytics/searches?${params}`);
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || errorData.error || `Get search analytics failed: ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Clear the search analytics log
+     */
+    async clearSearchAnalytics() {
+        const response = await fetch(`${this.baseUrl}/analytics/searches`, {
+            method: 'DELETE',
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || errorData.error || `Clear search analytics failed: ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Vote a search result up or down for a query
+     * @param {string} vote - 'up' or 'down'
+     */
+    async sendFeedback(query, resultId, vote) {
+        const response = await fetch(`${this.baseUrl}/search/feedback`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Client-Name': 'web',
+            },
+            body: JSON.stringify({ query, resultId, vote }),
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || errorData.error || `Send feedback failed: ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
     /**
      * Health check
      */
@@ -45,6 +45,14 @@ export class AdminPage extends Component {
                                 If version exists, it will be overwritten
                             </p>
                         </div>
+                        <div style="margin-bottom: 1rem;">
+                            <label class="input-label" for="chunkStrategySelect">Chunking Strategy</label>
+                            <select id="chunkStrategySelect" class="input">
+                                <option value="">Server default</option>
+                                <option value="size">Fixed size with overlap</option>
+                                <option value="markdown">Markdown structure (headings, code blocks, tables)</option>
+                            </select>
+                        </div>
                         <div style="margin-bottom: 1rem;">
                             <label class="input-label" for="fileInput">Documentation Archive</label>
                             <input type="file" id="fileInput" accept=".zip" class="input">
@@ -56,6 +64,19 @@ export class AdminPage extends Component {
                 <div id="progressContainer"></div>
                 <div id="resultContainer"></div>
 
+                <div class="card mb-4">
+                    <div class="card-header">
+                        <h2 class="card-title">Job History</h2>
+                        <p class="card-description">Recent indexing jobs, kept across server restarts</p>
+                    </div>
+                    <div id="jobHistoryContent" class="card-content">
+                        <div style="text-align: center; padding: 2rem; color: var(--text-secondary);">
+                            <div class="loader" style="margin: 0 auto;"></div>
+                            <p style="margin-top: 1rem;">Loading jobs...</p>
+                        </div>
+                    </div>
+                </div>
+
                 <div class="card">
                     <div class="card-header">
                         <h2 class="card-title">Database Statistics</h2>
@@ -69,6 +90,64 @@ export class AdminPage extends Component {
                     </div>
                 </div>
 
+                <div class="card" style="margin-top: 1rem;">
+                    <div class="card-header">
+                        <h2 class="card-title">Version Aliases</h2>
+                        <p class="card-description">
+                            Aliases can be used wherever a version is accepted. "latest" and "next" follow the newest
+                            release and newest prerelease unless pinned.
+                        </p>
+                    </div>
+                    <div class="card-content">
+                        <div id="aliasesContent" style="margin-bottom: 1rem;"></div>
+                        <div style="display: grid; grid-template-columns: 1fr 1fr auto; gap: 0.5rem; align-items: end;">
+                            <div>
+                                <label class="input-label" for="aliasInput">Alias</label>
+                                <input type="text" id="aliasInput" class="input" placeholder="e.g., stable">
+                            </div>
+                            <div>
+                                <label class="input-label" for="aliasVersionSelect">Version</label>
+                                <select id="aliasVersionSelect" class="input"></select>
+                            </div>
+                            <button id="pinAliasBtn" class="btn btn-primary">Pin</button>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="card" style="margin-top: 1rem;">
+                    <div class="card-header">
+                        <div class="flex items-center justify-between">
+                            <h2 class="card-title">Search Analytics</h2>
+                            <div style="display: flex; gap: 0.5rem;">
+                                <select id="analyticsHoursSelect" class="input" style="width: auto;">
+                                    <option value="24">Last 24 hours</option>
+                                    <option value="168" selected>Last 7 days</option>
+                                    <option value="720">Last 30 days</option>
+                                    <option value="">All time</option>
+                                </select>
+                                <select id="analyticsSourceSelect" class="input" style="width: auto;">
+                                    <option value="">All clients</option>
+                                    <option value="rest">REST API</option>
+                                    <option value="mcp-sse">MCP (SSE sessions)</option>
+                                    <option value="mcp-jsonrpc">MCP (JSON-RPC)</option>
+                                    <option value="generate">Code generation</option>
+                                    <option value="ask">Ask</option>
+                                </select>
+                                <button id="clearAnalyticsBtn" class="btn btn-secondary">Clear</button>
+                            </div>
+                        </div>
+                        <p class="card-description">
+                            What developers and agents search for. Zero-result queries point at missing docs or synonyms.
+                        </p>
+                    </div>
+                    <div id="analyticsContent" class="card-content">
+                        <div style="text-align: center; padding: 2rem; color: var(--text-secondary);">
+                            <div class="loader" style="margin: 0 auto;"></div>
+                            <p style="margin-top: 1rem;">Loading search analytics...</p>
+                        </div>
+                    </div>
+                </div>
+
                 <div class="card" style="border-color: var(--error); margin-top: 2rem;">
                     <div class="card-header">
                         <h2 class="card-title" style="color: var(--error);">Danger Zone</h2>
@@ -99,7 +178,7 @@ export class AdminPage extends Component {
         this.setContent(html);
         this.attachEventListeners();
         this.connectWebSocket();
-        await this.loadStats();
+        await Promise.all([this.loadStats(), this.loadJobHistory(), this.loadAnalytics()]);
     }
 
     connectWebSocket() {
@@ -161,6 +240,13 @@ export class AdminPage extends Component {
 
         const clearAllBtn = document.getElementById('clearAllBtn');
         clearAllBtn.addEventListener('click', () => this.handleClearAll());
+
+        const pinAliasBtn = document.getElementById('pinAliasBtn');
+        pinAliasBtn.addEventListener('click', () => this.handlePinAlias());
+
+        document.getElementById('analyticsHoursSelect').addEventListener('change', () => this.loadAnalytics());
+        document.getElementById('analyticsSourceSelect').addEventListener('change', () => this.loadAnalytics());
+        document.getElementById('clearAnalyticsBtn').addEventListener('click', () => this.handleClearAnalytics());
     }
 
     handleFileSelect(e) {
@@ -225,7 +311,8 @@ export class AdminPage extends Component {
 
         try {
             // Upload file - returns immediately with jobId
-            const response = await apiClient.uploadAndIndex(this.selectedFile, version);
+            const chunkStrategy = document.getElementById('chunkStrategySelect').value || undefined;
+            const response = await apiClient.uploadAndIndex(this.selectedFile, version, null, { chunkStrategy });
 
             console.log('Upload response:', response);
 
@@ -284,8 +371,12 @@ export class AdminPage extends Component {
             processing: 'Processing Documents',
             embedding: 'Generating Embeddings',
             storing: 'Storing in Vector DB',
+            promoting: 'Promoting Version',
             finalizing: 'Finalizing',
             completed: 'Completed',
+            cancelling: 'Cancelling',
+            cancelled: 'Cancelled',
+            interrupted: 'Interrupted',
             error: 'Error',
         };
 
@@ -319,7 +410,7 @@ export class AdminPage extends Component {
 
         // Update status badge
         const statusBadge = document.getElementById('progress-status-badge');
-        statusBadge.className = `badge ${job.status === 'completed' ? 'badge-success' : job.status === 'failed' ? 'badge-error' : 'badge-primary'}`;
+        statusBadge.className = `badge ${this.getStatusBadgeClass(job.status)}`;
         statusBadge.textContent = job.status;
 
         // Update content (no fade-in animation here)
@@ -366,6 +457,12 @@ export class AdminPage extends Component {
                         Indexed ${job.result.documentsProcessed} documents into ${job.result.chunksIndexed} chunks
                         in ${(job.result.durationMs / 1000).toFixed(1)}s
                     </p>
+                    ${job.result.diff ? `
+                        <p style="font-size: 0.875rem; color: var(--text-secondary); margin-top: 0.25rem;">
+                            ${job.result.diff.added.length} added, ${job.result.diff.changed.length} changed,
+                            ${job.result.diff.removed.length} removed, ${job.result.diff.unchanged} unchanged
+                        </p>
+                    ` : ''}
                 </div>
             ` : ''}
 
@@ -374,20 +471,133 @@ export class AdminPage extends Component {
                     <strong>Error:</strong> ${job.error.message}
                 </div>
             ` : ''}
+
+            ${job.status === 'running' ? `
+                <div style="margin-top: 1rem; display: flex; justify-content: flex-end;">
+                    <button id="cancelJobBtn" class="btn btn-secondary" ${job.stage === 'cancelling' ? 'disabled' : ''}>
+                        ${job.stage === 'cancelling' ? 'Cancelling...' : 'Cancel'}
+                    </button>
+                </div>
+            ` : ''}
         `;
 
-        // If completed, clear currentJobId after showing final result
-        if (job.status === 'completed' || job.status === 'failed') {
+        const cancelJobBtn = document.getElementById('cancelJobBtn');
+        if (cancelJobBtn) {
+            cancelJobBtn.addEventListener('click', () => this.handleCancelJob(job.id));
+        }
+
+        // If finished, clear currentJobId after showing final result
+        if (['completed', 'failed', 'cancelled'].includes(job.status)) {
             setTimeout(() => {
                 this.currentJobId = null;
                 // Reload stats after successful indexing
                 if (job.status === 'completed') {
                     this.loadStats();
                 }
+                this.loadJobHistory();
             }, 500);
         }
     }
 
+    getStatusBadgeClass(status) {
+        const badgeClasses = {
+            completed: 'badge-success',
+            failed: 'badge-error',
+            cancelled: 'badge-secondary',
+            interrupted: 'badge-secondary',
+        };
+
+        return badgeClasses[status] || 'badge-primary';
+    }
+
+    async loadJobHistory() {
+        try {
+            const { jobs } = await apiClient.getJobs();
+            this.showJobHistory(jobs);
+        } catch (error) {
+            console.error('Error loading job history:', error);
+            const container = document.getElementById('jobHistoryContent');
+            if (container) {
+                container.innerHTML = `
+                    <div class="alert alert-error">
+                        <strong>Error:</strong> Failed to load job history
+                    </div>
+                `;
+            }
+        }
+    }
+
+    showJobHistory(jobs) {
+        const container = document.getElementById('jobHistoryContent');
+        if (!container) return;
+
+        if (jobs.length === 0) {
+            container.innerHTML = `
+                <p style="color: var(--text-secondary); font-size: 0.875rem;">No indexing jobs yet</p>
+            `;
+            return;
+        }
+
+        const sorted = [...jobs].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        container.innerHTML = sorted.map(job => `
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; padding: 0.75rem 0; border-bottom: 1px solid var(--border);">
+                <div>
+                    <p style="font-weight: 500;">
+                        ${job.metadata?.version || 'Unknown version'}
+                        <span style="font-weight: 400; color: var(--text-secondary);">${job.metadata?.filename || ''}</span>
+                    </p>
+                    <p style="font-size: 0.75rem; color: var(--text-secondary);">
+                        ${new Date(job.createdAt).toLocaleString()}
+                        ${job.result ? ` - ${job.result.documentsProcessed} documents, ${job.result.chunksIndexed} chunks` : ''}
+                        ${job.status === 'failed' || job.status === 'interrupted' ? ` - ${job.message}` : ''}
+                    </p>
+                </div>
+                <div style="display: flex; align-items: center; gap: 0.5rem;">
+                    ${job.status === 'failed' || job.status === 'interrupted' ? `
+                        <button class="btn btn-secondary retry-job-btn" data-job-id="${job.id}">Retry</button>
+                    ` : ''}
+                    <span class="badge ${this.getStatusBadgeClass(job.status)}">${job.status}</span>
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.retry-job-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.handleRetryJob(btn.dataset.jobId));
+        });
+    }
+
+    async handleCancelJob(jobId) {
+        try {
+            await apiClient.cancelJob(jobId);
+        } catch (error) {
+            console.error('Cancel failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async handleRetryJob(jobId) {
+        try {
+            const response = await apiClient.retryJob(jobId);
+
+            this.currentJobId = jobId;
+            jobsWebSocket.subscribeToJob(jobId);
+
+            this.showProgress({
+                id: jobId,
+                status: 'running',
+                stage: 'initializing',
+                progress: 0,
+                message: `Retrying indexing for version ${response.version}...`,
+            });
+
+            this.loadJobHistory();
+        } catch (error) {
+            console.error('Retry failed:', error);
+            this.showError(error.message);
+        }
+    }
+
     showError(message) {
         const container = document.getElementById('progressContainer');
         container.innerHTML = `
@@ -405,6 +615,7 @@ export class AdminPage extends Component {
             }
             this.stats = await response.json();
             this.showStats();
+            await this.loadAliases();
         } catch (error) {
             console.error('Error loading stats:', error);
             const container = document.getElementById('statsContent');
@@ -491,6 +702,204 @@ export class AdminPage extends Component {
         container.innerHTML = html;
     }
 
+    async loadAliases() {
+        try {
+            const { aliases } = await apiClient.getVersionAliases();
+            this.showAliases(aliases);
+        } catch (error) {
+            console.error('Error loading version aliases:', error);
+            const container = document.getElementById('aliasesContent');
+            if (container) {
+                container.innerHTML = `
+                    <div class="alert alert-error">
+                        <strong>Error:</strong> Failed to load version aliases
+                    </div>
+                `;
+            }
+        }
+    }
+
+    showAliases(aliases) {
+        const container = document.getElementById('aliasesContent');
+        const versionSelect = document.getElementById('aliasVersionSelect');
+        if (!container || !versionSelect) return;
+
+        const versions = this.stats?.versions.all || [];
+        versionSelect.innerHTML = [...versions].reverse()
+            .map(v => `<option value="${v}">${v}</option>`)
+            .join('');
+
+        container.innerHTML = Object.entries(aliases).map(([alias, { version, pinned }]) => `
+            <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem 0; border-bottom: 1px solid var(--border);">
+                <div style="display: flex; align-items: center; gap: 0.5rem;">
+                    <span style="font-weight: 500;">${alias}</span>
+                    <span style="color: var(--text-secondary);">&rarr;</span>
+                    <span class="badge badge-primary">${version || 'None'}</span>
+                    <span class="badge badge-secondary">${pinned ? 'pinned' : 'automatic'}</span>
+                </div>
+                ${pinned ? `
+                    <button class="btn btn-secondary unpin-alias-btn" data-alias="${alias}">Unpin</button>
+                ` : ''}
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.unpin-alias-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.handleUnpinAlias(btn.dataset.alias));
+        });
+    }
+
+    async handlePinAlias() {
+        const aliasInput = document.getElementById('aliasInput');
+        const alias = aliasInput.value.trim().toLowerCase();
+        const version = document.getElementById('aliasVersionSelect').value;
+
+        if (!alias || !version) {
+            this.showError('Alias and version are required');
+            return;
+        }
+
+        try {
+            await apiClient.setVersionAlias(alias, version);
+            aliasInput.value = '';
+            await this.loadAliases();
+        } catch (error) {
+            console.error('Pin alias failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async handleUnpinAlias(alias) {
+        try {
+            await apiClient.deleteVersionAlias(alias);
+            await this.loadAliases();
+        } catch (error) {
+            console.error('Unpin alias failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async loadAnalytics() {
+        const hours = document.getElementById('analyticsHoursSelect')?.value;
+        const source = document.getElementById('analyticsSourceSelect')?.value;
+
+        try {
+            const analytics = await apiClient.getSearchAnalytics({ hours, source });
+            this.showAnalytics(analytics);
+        } catch (error) {
+            console.error('Error loading search analytics:', error);
+            const container = document.getElementById('analyticsContent');
+            if (container) {
+                container.innerHTML = `
+                    <div class="alert alert-error">
+                        <strong>Error:</strong> Failed to load search analytics
+                    </div>
+                `;
+            }
+        }
+    }
+
+    showAnalytics(analytics) {
+        const container = document.getElementById('analyticsContent');
+        if (!container) return;
+
+        const { totals, topQueries, zeroResultQueries, slowQueries, clients } = analytics;
+
+        if (totals.searches === 0) {
+            container.innerHTML = `
+                <p style="color: var(--text-secondary); font-size: 0.875rem;">No searches recorded in this period</p>
+            `;
+            return;
+        }
+
+        const section = (title, rows, renderRow, empty) => `
+            <div style="margin-top: 1.5rem;">
+                <div style="font-weight: 600; margin-bottom: 0.5rem; font-size: 0.875rem;">${title}</div>
+                ${rows.length > 0 ? rows.map(row => `
+                    <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; padding: 0.5rem 0; border-bottom: 1px solid var(--border); font-size: 0.875rem;">
+                        ${renderRow(row)}
+                    </div>
+                `).join('') : `
+                    <p style="color: var(--text-secondary); font-size: 0.875rem;">${empty}</p>
+                `}
+            </div>
+        `;
+
+        const secondary = text => `<span style="color: var(--text-secondary); font-size: 0.75rem;">${text}</span>`;
+
+        container.innerHTML = `
+            <div class="stats-grid">
+                <div class="stat-item">
+                    <div class="stat-value">${totals.searches.toLocaleString()}</div>
+                    <div class="stat-label">Searches</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-value">${(totals.zeroResultRate * 100).toFixed(1)}%</div>
+                    <div class="stat-label">Zero Results</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-value">${totals.averageLatencyMs} ms</div>
+                    <div class="stat-label">Avg Latency</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-value">${totals.p95LatencyMs} ms</div>
+                    <div class="stat-label">p95 Latency</div>
+                </div>
+            </div>
+
+            ${section('Top Queries', topQueries, q => `
+                <div>
+                    <div>${this.escapeHtml(q.query)}</div>
+                    ${secondary(`${q.averageResults} results avg - ${this.escapeHtml(q.topPaths[0] || 'no results')}`)}
+                </div>
+                <span class="badge badge-primary">${q.count}</span>
+            `, 'No searches yet')}
+
+            ${section('Zero-Result Queries', zeroResultQueries, q => `
+                <div>
+                    <div>${this.escapeHtml(q.query)}</div>
+                    ${secondary(`${this.escapeHtml(q.versions.join(', ') || 'no version')} - last ${new Date(q.lastSearched).toLocaleString()}`)}
+                </div>
+                <span class="badge badge-error">${q.count}</span>
+            `, 'Every query found results')}
+
+            ${section('Slow Queries', slowQueries, q => `
+                <div>
+                    <div>${this.escapeHtml(q.query)}</div>
+                    ${secondary(`${this.escapeHtml(q.client.source)}${q.client.name ? ` (${this.escapeHtml(q.client.name)})` : ''} - ${new Date(q.timestamp).toLocaleString()}`)}
+                </div>
+                <span class="badge badge-secondary">${q.latencyMs} ms</span>
+            `, 'No slow queries')}
+
+            ${section('Clients', clients, c => `
+                <div>
+                    <div>${this.escapeHtml(c.name || 'Unknown')} ${secondary(this.escapeHtml(c.source))}</div>
+                    ${secondary(`${c.zeroResults} without results - ${c.averageLatencyMs} ms avg`)}
+                </div>
+                <span class="badge badge-primary">${c.count}</span>
+            `, 'No clients yet')}
+        `;
+    }
+
+    async handleClearAnalytics() {
+        if (!confirm('Clear the search analytics log?')) {
+            return;
+        }
+
+        try {
+            await apiClient.clearSearchAnalytics();
+            await this.loadAnalytics();
+        } catch (error) {
+            console.error('Clear search analytics failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     async handleClearAll() {
         // Show confirmation dialog
         const confirmed = confirm(
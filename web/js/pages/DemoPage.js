@@ -830,12 +830,12 @@ export class DemoPage extends Component {
         }
 
         // Model info
-        if (debug.claudeModel) {
+        if (debug.model) {
             html += `
                 <div class="ai-debug-step">
                     <div class="ai-debug-step-title">2. AI Model</div>
                     <div class="ai-debug-step-content">
-                        Model: ${debug.claudeModel}<br>
+                        Model: ${debug.model} (${debug.provider})<br>
                         Tokens: ${debug.tokensUsed?.input || 0} input + ${debug.tokensUsed?.output || 0} output
                     </div>
                 </div>
@@ -939,25 +939,25 @@ export class DemoPage extends Component {
             </div>
 
             <div class="debug-step">
-                <div class="debug-step-header">4. Context Sent to Claude</div>
+                <div class="debug-step-header">4. Context Sent to the LLM</div>
                 ${this.createExpandableText(debug.docsContext, 500)}
             </div>
 
             <div class="debug-step">
-                <div class="debug-step-header">5. Full Prompt to Claude</div>
+                <div class="debug-step-header">5. Full Prompt to the LLM</div>
                 ${this.createExpandableText(debug.fullPrompt, 500)}
             </div>
 
             <div class="debug-step">
-                <div class="debug-step-header">6. Claude API Call</div>
+                <div class="debug-step-header">6. LLM API Call</div>
                 <div class="debug-info">
-                    <strong>Model:</strong> ${debug.claudeModel}<br>
+                    <strong>Model:</strong> ${debug.model} (${debug.provider})<br>
                     <strong>Tokens Used:</strong> ${debug.tokensUsed.input} input + ${debug.tokensUsed.output} output = ${debug.tokensUsed.input + debug.tokensUsed.output} total
                 </div>
             </div>
 
             <div class="debug-step">
-                <div class="debug-step-header">7. Claude Raw Response</div>
+                <div class="debug-step-header">7. LLM Raw Response</div>
                 ${this.createExpandableText(debug.rawResponse, 500)}
             </div>
 
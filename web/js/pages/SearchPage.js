@@ -2,6 +2,7 @@
  * Search Page Component
  *
  * Handles document search with RAG integration.
+ * Further pages are loaded as the end of the results scrolls into view.
  * Follows Single Responsibility Principle (SRP).
  */
 import { Component } from '../components/Component.js';
@@ -14,6 +15,21 @@ export class SearchPage extends Component {
         this.loading = false;
         this.searched = false;
         this.versions = [];
+        this.aliases = {};
+        this.lastSearch = null; // { query, options } of the shown results
+        this.nextCursor = null;
+        this.loadingMore = false;
+        this.searchId = 0; // Responses of superseded searches are ignored
+        this.votes = new Map(); // Result id -> 'up' or 'down', for the shown results
+        this.mode = 'search'; // 'search' lists results, 'ask' answers from them
+        this.askController = null; // Aborts the streamed answer of a superseded question
+        this.observer = null;
+    }
+
+    unmount() {
+        this.observer?.disconnect();
+        this.observer = null;
+        this.askController?.abort();
     }
 
     async render() {
@@ -24,11 +40,17 @@ export class SearchPage extends Component {
         try {
             const versionsData = await apiClient.getVersions();
             this.versions = versionsData.versions || [];
+            this.aliases = versionsData.aliases || {};
         } catch (error) {
             console.error('Failed to load versions:', error);
         }
 
-        const versionsOptions = this.versions.map(v => `<option value="${v}">${v}</option>`).join('');
+        // Newest versions first; aliases (other than the default "latest") come before them
+        const aliasOptions = Object.entries(this.aliases)
+            .filter(([alias, { version }]) => alias !== 'latest' && version)
+            .map(([alias, { version }]) => `<option value="${alias}">${alias} (${version})</option>`)
+            .join('');
+        const versionsOptions = [...this.versions].reverse().map(v => `<option value="${v}">${v}</option>`).join('');
 
         const html = `
             <div class="fade-in">
@@ -42,8 +64,17 @@ export class SearchPage extends Component {
                 <form id="searchForm" class="mb-8">
                     <div class="card" style="margin-bottom: 1rem;">
                         <div class="card-content">
+                            <div style="display: flex; gap: 0.5rem; margin-bottom: 1rem;">
+                                <button type="button" class="btn btn-sm btn-primary" data-mode="search" onclick="window.searchPage.setMode('search')">
+                                    Search
+                                </button>
+                                <button type="button" class="btn btn-sm btn-secondary" data-mode="ask" onclick="window.searchPage.setMode('ask')">
+                                    Ask
+                                </button>
+                            </div>
+
                             <div style="margin-bottom: 1rem;">
-                                <label class="input-label" for="searchInput">Search Query</label>
+                                <label class="input-label" for="searchInput" id="searchInputLabel">Search Query</label>
                                 <input
                                     type="text"
                                     id="searchInput"
@@ -61,7 +92,8 @@ export class SearchPage extends Component {
                                     <div>
                                         <label class="input-label" for="versionSelect">Version</label>
                                         <select id="versionSelect" class="input">
-                                            <option value="">Latest</option>
+                                            <option value="">Latest${this.aliases.latest?.version ? ` (${this.aliases.latest.version})` : ''}</option>
+                                            ${aliasOptions}
                                             ${versionsOptions}
                                         </select>
                                     </div>
@@ -87,6 +119,15 @@ export class SearchPage extends Component {
                                             <option value="vue">Vue</option>
                                         </select>
                                     </div>
+                                    <div>
+                                        <label class="input-label" for="pathPrefixInput">Path Prefix</label>
+                                        <input
+                                            type="text"
+                                            id="pathPrefixInput"
+                                            class="input"
+                                            placeholder="grid/api/"
+                                        />
+                                    </div>
                                     <div>
                                         <label class="input-label" for="limitSelect">Results Limit</label>
                                         <select id="limitSelect" class="input">
@@ -97,13 +138,23 @@ export class SearchPage extends Component {
                                         </select>
                                     </div>
                                 </div>
+                                <div style="padding: 0.5rem 0;">
+                                    <label class="input-label" for="filterInput">Filter Expression (JSON)</label>
+                                    <textarea
+                                        id="filterInput"
+                                        class="input"
+                                        rows="3"
+                                        style="font-family: monospace; font-size: 0.8125rem;"
+                                        placeholder='{"or": [{"type": "api"}, {"chunkIndex": {"lt": 2}}], "not": {"framework": "react"}}'
+                                    ></textarea>
+                                </div>
                             </details>
 
                             <button type="submit" class="btn btn-primary btn-full">
                                 <svg style="width: 1rem; height: 1rem;" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
                                 </svg>
-                                <span>Search</span>
+                                <span id="searchSubmitLabel">Search</span>
                             </button>
                         </div>
                     </div>
@@ -111,6 +162,7 @@ export class SearchPage extends Component {
 
                 <div id="searchStats"></div>
                 <div id="searchResults"></div>
+                <div id="searchMore" style="display: flex; justify-content: center; padding: 1.5rem 0;"></div>
             </div>
         `;
 
@@ -121,6 +173,33 @@ export class SearchPage extends Component {
     attachEventListeners() {
         const form = document.getElementById('searchForm');
         form.addEventListener('submit', (e) => this.handleSearch(e));
+
+        // Load the next page when the end of the results comes into view
+        this.observer?.disconnect();
+        this.observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMore();
+            }
+        }, { rootMargin: '200px' });
+        this.observer.observe(document.getElementById('searchMore'));
+    }
+
+    /**
+     * Switch between listing results ('search') and answering from them ('ask')
+     */
+    setMode(mode) {
+        this.mode = mode;
+
+        document.querySelectorAll('#searchForm [data-mode]').forEach(button => {
+            button.classList.toggle('btn-primary', button.dataset.mode === mode);
+            button.classList.toggle('btn-secondary', button.dataset.mode !== mode);
+        });
+
+        document.getElementById('searchInputLabel').textContent = mode === 'ask' ? 'Question' : 'Search Query';
+        document.getElementById('searchSubmitLabel').textContent = mode === 'ask' ? 'Ask' : 'Search';
+        document.getElementById('searchInput').placeholder = mode === 'ask'
+            ? 'How do I let users reorder rows by drag and drop?'
+            : 'How do I create a grid with grouping?';
     }
 
     async handleSearch(e) {
@@ -140,28 +219,60 @@ export class SearchPage extends Component {
         const version = versionSelect.value || null; // null means latest
         const limit = parseInt(limitSelect.value) || 5;
 
+        const pathPrefix = document.getElementById('pathPrefixInput').value.trim();
+        const filterText = document.getElementById('filterInput').value.trim();
+
         // Build filter object (only include non-empty values)
         const filter = {};
         if (productSelect.value) filter.product = productSelect.value;
         if (frameworkSelect.value) filter.framework = frameworkSelect.value;
+        if (pathPrefix) filter.path = { prefix: pathPrefix };
+
+        // Custom expressions are AND-ed with the fields above; the server validates them
+        if (filterText) {
+            try {
+                filter.and = [JSON.parse(filterText)];
+            } catch (error) {
+                this.searched = true;
+                document.getElementById('searchStats').innerHTML = '';
+                document.getElementById('searchResults').innerHTML = `
+                    <div class="alert alert-error">
+                        Filter expression is not valid JSON: ${this.escapeHtml(error.message)}
+                    </div>
+                `;
+                return;
+            }
+        }
+
+        if (this.mode === 'ask') {
+            await this.handleAsk(query, { limit, version, filter });
+            return;
+        }
 
+        this.askController?.abort();
         this.loading = true;
         this.searched = true;
+        this.nextCursor = null;
         this.showSearching();
 
+        const searchId = ++this.searchId;
+        const options = { limit, version, filter };
+
         try {
-            const response = await apiClient.search(query, {
-                limit,
-                version,
-                filter
-            });
+            const response = await apiClient.search(query, options);
+            if (searchId !== this.searchId) return;
+
+            this.lastSearch = { query, options };
+            this.votes.clear();
             this.results = response.results;
+            this.nextCursor = response.nextCursor || null;
             this.renderResults(response.durationMs, response.version, filter);
+            this.renderMore();
         } catch (error) {
             console.error('Search failed:', error);
             document.getElementById('searchResults').innerHTML = `
                 <div class="alert alert-error">
-                    Search failed: ${error.message}
+                    Search failed: ${this.escapeHtml(error.message)}
                 </div>
             `;
         } finally {
@@ -169,14 +280,185 @@ export class SearchPage extends Component {
         }
     }
 
-    showSearching() {
+    /**
+     * Answer a question, streaming the answer and its sources into the results area
+     */
+    async handleAsk(question, options) {
+        this.askController?.abort();
+        const controller = new AbortController();
+        this.askController = controller;
+
+        // Results of an earlier search no longer apply
+        ++this.searchId;
+        this.searched = true;
+        this.nextCursor = null;
+        this.results = [];
+        this.lastSearch = null;
+        this.showSearching('Answering...');
+
+        let answer = '';
+        let sources = [];
+
+        document.getElementById('searchResults').innerHTML = `
+            <div class="card fade-in">
+                <div class="card-content">
+                    <div id="askAnswer" class="ask-answer"></div>
+                    <div id="askSources" class="ask-sources"></div>
+                </div>
+            </div>
+        `;
+
+        try {
+            await apiClient.ask(question, options, (type, data) => {
+                if (type === 'sources') {
+                    sources = data.sources;
+                    document.getElementById('askSources').innerHTML = this.renderSources(sources);
+                } else if (type === 'delta') {
+                    answer += data.text;
+                    document.getElementById('askAnswer').textContent = answer;
+                } else if (type === 'done') {
+                    document.getElementById('askAnswer').innerHTML = this.renderAnswer(data.answer, sources);
+                    document.getElementById('askSources').innerHTML = this.renderSources(sources, data.citations);
+                    document.getElementById('searchStats').innerHTML = `
+                        <div class="mb-4" style="font-size: 0.875rem; color: var(--text-secondary);">
+                            Answered from ${sources.length} sources${data.version ? ` of ${this.escapeHtml(data.version)}` : ''}
+                            by ${this.escapeHtml(data.provider)} (${this.escapeHtml(data.model)}) in ${data.durationMs}ms
+                        </div>
+                    `;
+                }
+            }, controller.signal);
+        } catch (error) {
+            if (controller.signal.aborted) return;
+
+            console.error('Ask failed:', error);
+            document.getElementById('searchStats').innerHTML = '';
+            document.getElementById('searchResults').innerHTML = `
+                <div class="alert alert-error">
+                    Ask failed: ${this.escapeHtml(error.message)}
+                </div>
+            `;
+        } finally {
+            if (this.askController === controller) {
+                this.askController = null;
+            }
+        }
+    }
+
+    /**
+     * Render an answer with its [n] citations linked to the sources
+     */
+    renderAnswer(answer, sources) {
+        const numbers = new Set(sources.map(source => source.number));
+
+        return this.escapeHtml(answer).replace(/\[(\d+)\]/g, (marker, number) =>
+            numbers.has(Number(number))
+                ? `<a href="#ask-source-${number}" class="ask-citation">${marker}</a>`
+                : marker
+        );
+    }
+
+    /**
+     * Render the numbered sources of an answer; cited ones are highlighted once the answer is done
+     */
+    renderSources(sources, citations = null) {
+        if (sources.length === 0) return '';
+
+        const cited = new Set((citations || []).map(citation => citation.number));
+
+        return `
+            <div class="input-label" style="margin-top: 1.5rem;">Sources</div>
+            <ol class="ask-source-list${citations ? ' answered' : ''}">
+                ${sources.map(source => `
+                    <li id="ask-source-${source.number}" class="${cited.has(source.number) ? 'cited' : ''}">
+                        <span class="badge badge-secondary">${source.number}</span>
+                        <a href="/api/doc/${encodeURIComponent(source.id)}" target="_blank" rel="noopener">
+                            ${this.escapeHtml(source.heading || source.documentPath)}
+                        </a>
+                        <span class="search-result-path">${this.escapeHtml(source.documentPath)}</span>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * Append the next page of results
+     */
+    async loadMore() {
+        if (!this.nextCursor || this.loading || this.loadingMore) return;
+
+        const searchId = this.searchId;
+        const { query, options } = this.lastSearch;
+
+        this.loadingMore = true;
+        this.renderMore();
+
+        try {
+            const response = await apiClient.search(query, { ...options, cursor: this.nextCursor });
+            if (searchId !== this.searchId) return;
+
+            this.results = [...this.results, ...response.results];
+            this.nextCursor = response.nextCursor || null;
+
+            document.getElementById('searchResults').insertAdjacentHTML(
+                'beforeend',
+                response.results.map(result => this.renderResult(result)).join('')
+            );
+            document.getElementById('searchCount').textContent = this.getCountText();
+        } catch (error) {
+            console.error('Loading more results failed:', error);
+            this.nextCursor = null;
+            document.getElementById('searchMore').innerHTML = `
+                <div class="alert alert-error">
+                    Loading more results failed: ${this.escapeHtml(error.message)}
+                </div>
+            `;
+            return;
+        } finally {
+            this.loadingMore = false;
+        }
+
+        this.renderMore();
+    }
+
+    /**
+     * Render the end of the results: a loader while the next page loads
+     */
+    renderMore() {
+        const more = document.getElementById('searchMore');
+        if (!more) return;
+
+        if (this.loadingMore) {
+            more.innerHTML = `
+                <div class="flex items-center gap-2" style="color: var(--text-secondary); font-size: 0.875rem;">
+                    <div class="loader loader-small"></div>
+                    <span>Loading more results...</span>
+                </div>
+            `;
+        } else if (this.nextCursor) {
+            more.innerHTML = `
+                <button type="button" class="btn btn-secondary" onclick="window.searchPage.loadMore()">
+                    Load more results
+                </button>
+            `;
+        } else {
+            more.innerHTML = '';
+        }
+    }
+
+    getCountText() {
+        return `Found ${this.results.length}${this.nextCursor ? '+' : ''} results`;
+    }
+
+    showSearching(message = 'Searching...') {
         document.getElementById('searchStats').innerHTML = `
             <div class="flex items-center gap-2" style="color: var(--text-secondary); font-size: 0.875rem;">
                 <div class="loader loader-small"></div>
-                <span>Searching...</span>
+                <span>${message}</span>
             </div>
         `;
         document.getElementById('searchResults').innerHTML = '';
+        document.getElementById('searchMore').innerHTML = '';
     }
 
     renderResults(duration, version, filter = {}) {
@@ -185,6 +467,8 @@ export class SearchPage extends Component {
         if (version) activeFilters.push(`Version: ${version}`);
         if (filter.product) activeFilters.push(`Product: ${filter.product}`);
         if (filter.framework) activeFilters.push(`Framework: ${filter.framework}`);
+        if (filter.path) activeFilters.push(`Path: ${this.escapeHtml(filter.path.prefix)}*`);
+        if (filter.and) activeFilters.push('Custom filter');
 
         const filtersHtml = activeFilters.length > 0
             ? `<div style="display: flex; flex-wrap: wrap; gap: 0.5rem; margin-top: 0.5rem;">
@@ -195,7 +479,7 @@ export class SearchPage extends Component {
         // Render stats
         document.getElementById('searchStats').innerHTML = `
             <div class="mb-4" style="font-size: 0.875rem; color: var(--text-secondary);">
-                Found ${this.results.length} results in ${duration}ms
+                <span id="searchCount">${this.getCountText()}</span> in ${duration}ms
                 ${filtersHtml}
             </div>
         `;
@@ -228,6 +512,7 @@ export class SearchPage extends Component {
         // URL-encode the document path for API calls
         const documentPath = encodeURIComponent(result.metadata.documentPath);
         const version = encodeURIComponent(result.metadata.version);
+        const vote = this.votes.get(result.id);
 
         return `
             <div class="search-result fade-in">
@@ -244,9 +529,15 @@ export class SearchPage extends Component {
                         ${relevancePercent}% match
                     </div>
                 </div>
-                <div class="search-result-text">
-                    ${this.escapeHtml(result.text)}
-                </div>
+                ${result.snippets?.length > 0 ? `
+                    <div class="search-result-snippets">
+                        ${result.snippets.map(snippet => this.renderSnippet(snippet, result.text.length)).join('')}
+                    </div>
+                ` : `
+                    <div class="search-result-text">
+                        ${this.escapeHtml(result.text)}
+                    </div>
+                `}
                 <div class="search-result-meta">
                     <div style="display: flex; align-items: center; gap: 1rem; flex-wrap: wrap;">
                         <span>Chunk ${result.metadata.chunkIndex + 1} of ${result.metadata.totalChunks}</span>
@@ -256,6 +547,10 @@ export class SearchPage extends Component {
                             </div>
                         ` : ''}
                         <div style="margin-left: auto; display: flex; gap: 0.5rem;">
+                            <div class="search-result-feedback" data-result-id="${this.escapeHtml(result.id)}">
+                                ${this.renderVoteButton('up', vote)}
+                                ${this.renderVoteButton('down', vote)}
+                            </div>
                             <a href="/api/doc/${result.id}?download=true" class="btn btn-sm btn-secondary" download>
                                 Download Chunk
                             </a>
@@ -269,6 +564,62 @@ export class SearchPage extends Component {
         `;
     }
 
+    /**
+     * Render a thumbs up / down button; voting is disabled once the result has a vote
+     */
+    renderVoteButton(direction, vote) {
+        const label = direction === 'up' ? 'Relevant' : 'Not relevant';
+
+        return `
+            <button type="button" class="btn btn-sm btn-secondary btn-vote${vote === direction ? ' active' : ''}"
+                title="${label}" aria-label="${label}" ${vote ? 'disabled' : ''}
+                onclick="window.searchPage.vote(this, '${direction}')">
+                ${direction === 'up' ? '👍' : '👎'}
+            </button>
+        `;
+    }
+
+    /**
+     * Vote a result up or down for the shown query
+     */
+    async vote(button, direction) {
+        const container = button.closest('.search-result-feedback');
+        const resultId = container.dataset.resultId;
+        if (!this.lastSearch || this.votes.has(resultId)) return;
+
+        this.votes.set(resultId, direction);
+        container.innerHTML = this.renderVoteButton('up', direction) + this.renderVoteButton('down', direction);
+
+        try {
+            await apiClient.sendFeedback(this.lastSearch.query, resultId, direction);
+        } catch (error) {
+            console.error('Sending feedback failed:', error);
+            this.votes.delete(resultId);
+            container.innerHTML = this.renderVoteButton('up') + this.renderVoteButton('down');
+            container.title = `Sending feedback failed: ${error.message}`;
+        }
+    }
+
+    /**
+     * Render a snippet with its highlight ranges marked
+     * Built from the plain text and offsets so the chunk text is always escaped.
+     */
+    renderSnippet(snippet, textLength) {
+        let html = '';
+        let position = 0;
+
+        for (const { start, end } of snippet.highlights) {
+            html += this.escapeHtml(snippet.text.slice(position, start));
+            html += `<mark>${this.escapeHtml(snippet.text.slice(start, end))}</mark>`;
+            position = end;
+        }
+        html += this.escapeHtml(snippet.text.slice(position));
+
+        return `
+            <div class="search-result-snippet">${snippet.start > 0 ? '… ' : ''}${html}${snippet.end < textLength ? ' …' : ''}</div>
+        `;
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;